@@ -0,0 +1,82 @@
+// AI provider configuration.
+//
+// AI_PROVIDER picks the provider used for every task. Individual tasks can be
+// routed elsewhere with AI_PROVIDER_<TASK>, e.g. AI_PROVIDER_CHAT=ollama or
+// AI_PROVIDER_SUMMARY=anthropic:claude-3-5-haiku-latest (provider:model).
+// EMBEDDING_PROVIDER (same format) turns on semantic library search.
+
+export const getProviderSettings = () => ({
+  openrouter: {
+    type: 'openai-compatible',
+    label: 'OpenRouter',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    model: process.env.OPENROUTER_MODEL || 'openai/gpt-4o-mini',
+    embeddingModel: process.env.OPENROUTER_EMBEDDING_MODEL || 'openai/text-embedding-3-small',
+    baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+    requireApiKey: true,
+    headers: {
+      'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:5173',
+      'X-Title': 'Vid Essence Chat'
+    }
+  },
+  openai: {
+    type: 'openai-compatible',
+    label: 'OpenAI-compatible',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    model: process.env.OPENAI_COMPATIBLE_MODEL || 'gpt-4o-mini',
+    embeddingModel: process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL || 'text-embedding-3-small',
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+    requireApiKey: false
+  },
+  ollama: {
+    type: 'openai-compatible',
+    label: 'Ollama',
+    apiKey: process.env.OLLAMA_API_KEY,
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
+    baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    requireApiKey: false
+  },
+  anthropic: {
+    type: 'anthropic',
+    label: 'Anthropic',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+  },
+  mock: {
+    type: 'mock',
+    label: 'Mock',
+    model: 'mock',
+    embeddingModel: 'mock-hash'
+  }
+});
+
+// Convert a task name such as "keyPoints" to its env suffix ("KEY_POINTS")
+const toEnvSuffix = (task) => task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+// Resolve which provider (and optional model override) handles a task
+export const getTaskProvider = (task = 'default') => {
+  const taskSetting = task !== 'default' ? process.env[`AI_PROVIDER_${toEnvSuffix(task)}`] : undefined;
+  const setting = taskSetting || process.env.AI_PROVIDER || 'openrouter';
+  const [name, ...modelParts] = setting.trim().split(':');
+
+  return {
+    name: name.toLowerCase(),
+    model: modelParts.length > 0 ? modelParts.join(':') : undefined
+  };
+};
+
+// Resolve which provider (and optional model override) computes the
+// embeddings for semantic search. Returns null when EMBEDDING_PROVIDER is
+// not set, in which case search is keyword-only.
+export const getEmbeddingProvider = () => {
+  const setting = process.env.EMBEDDING_PROVIDER;
+  if (!setting || !setting.trim()) return null;
+
+  const [name, ...modelParts] = setting.trim().split(':');
+  return {
+    name: name.toLowerCase(),
+    model: modelParts.length > 0 ? modelParts.join(':') : undefined
+  };
+};
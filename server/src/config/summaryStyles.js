@@ -0,0 +1,66 @@
+// Summary styles and lengths offered when regenerating a video summary.
+//
+// Each style adds its own guidelines to the summary prompt; the "standard"
+// style is the one used by the initial analysis.
+
+export const SUMMARY_STYLES = {
+  standard: {
+    label: 'Standard',
+    guidelines: [
+      'Focus on the main topics, key insights, and important information',
+      'Structure the summary with clear paragraphs for different topics',
+      'Highlight actionable insights or practical information',
+      'Maintain the original tone and context of the video',
+      'Include specific details, examples, or data points mentioned'
+    ]
+  },
+  brief: {
+    label: 'Brief',
+    guidelines: [
+      'Cover only the central message and the few points that support it',
+      'Use short, plain sentences in one or two paragraphs',
+      'Leave out examples unless they are essential to the point'
+    ]
+  },
+  detailed: {
+    label: 'Detailed',
+    guidelines: [
+      'Walk through the video topic by topic, in the order it is presented',
+      'Keep examples, data points, names and caveats the speaker gives',
+      'Use a separate paragraph for each topic'
+    ]
+  },
+  eli5: {
+    label: 'Explain like I\'m five',
+    guidelines: [
+      'Explain the content so a curious child could follow it',
+      'Use simple words and everyday analogies instead of jargon',
+      'Define any term that cannot be avoided the first time it appears'
+    ]
+  },
+  technical: {
+    label: 'Technical',
+    guidelines: [
+      'Write for a technical audience that already knows the field',
+      'Use precise terminology and describe mechanisms, methods and trade-offs',
+      'Keep numbers, tools, versions and formulas exactly as stated'
+    ]
+  },
+  executive: {
+    label: 'Executive',
+    guidelines: [
+      'Open with the bottom line in one or two sentences',
+      'Follow with decisions, risks and recommended actions',
+      'Prefer short paragraphs a busy reader can scan'
+    ]
+  }
+};
+
+export const SUMMARY_LENGTHS = {
+  short: { label: 'Short', words: '100-200 words', maxTokens: 500 },
+  medium: { label: 'Medium', words: '200-500 words', maxTokens: 1500 },
+  long: { label: 'Long', words: '500-900 words', maxTokens: 2500 }
+};
+
+export const DEFAULT_SUMMARY_STYLE = 'standard';
+export const DEFAULT_SUMMARY_LENGTH = 'medium';
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const batchItemSchema = new mongoose.Schema({
+  videoId: {
+    type: String, // YouTube video ID
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId, // Empty when the video was already analyzed
+    ref: 'Job',
+    default: null
+  }
+}, { _id: false });
+
+const batchSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  source: {
+    type: String,
+    enum: ['playlist', 'urls'],
+    required: true
+  },
+  playlistId: {
+    type: String,
+    default: null
+  },
+  url: {
+    type: String, // Playlist URL the batch was created from
+    default: null
+  },
+  playlistTotal: {
+    type: Number, // Videos in the playlist; more than items.length when it was cut off at BATCH_MAX_VIDEOS
+    default: null
+  },
+  items: {
+    type: [batchItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A batch needs at least one video'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+batchSchema.index({ createdAt: -1 });
+batchSchema.index({ 'items.videoId': 1 });
+
+// Virtual for video count
+batchSchema.virtual('videoCount').get(function() {
+  return this.items.length;
+});
+
+// Static method to find recent batches, newest first
+batchSchema.statics.findRecent = function(limit = 20) {
+  return this.find().sort({ createdAt: -1 }).limit(limit);
+};
+
+const Batch = mongoose.model('Batch', batchSchema);
+
+export default Batch;
@@ -1,5 +1,26 @@
 import mongoose from 'mongoose';
 
+// What a chat session talks about: one video, or a set of videos picked by
+// hand, by tag, by channel or from a batch (playlist or URL list)
+export const CHAT_SCOPES = ['video', 'videos', 'tag', 'channel', 'batch'];
+
+const citationSchema = new mongoose.Schema({
+  videoId: {
+    type: String, // YouTube ID of the cited video; null in single-video chats
+    default: null
+  },
+  start: {
+    type: Number, // Transcript offset in seconds
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   content: {
     type: String,
@@ -11,18 +32,46 @@ const messageSchema = new mongoose.Schema({
     enum: ['user', 'assistant'],
     required: true
   },
+  citations: [citationSchema],
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+const scopeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CHAT_SCOPES,
+    default: 'video'
+  },
+  value: {
+    type: String, // Tag, channel name or batch ID the videos were picked by
+    default: null
+  },
+  label: {
+    type: String, // Shown as the session's title
+    maxlength: 500
+  }
+}, { _id: false });
+
 const chatSchema = new mongoose.Schema({
   videoId: {
     type: String,
-    required: true,
+    // Multi-video sessions list their videos in `videoIds` instead
+    required: function() {
+      return this.videoIds.length === 0;
+    },
     index: true
   },
+  videoIds: {
+    type: [String], // YouTube IDs, in the order the AI numbers them (V1, V2...)
+    default: []
+  },
+  scope: {
+    type: scopeSchema,
+    default: () => ({})
+  },
   sessionId: {
     type: String,
     required: true,
@@ -52,6 +101,7 @@ const chatSchema = new mongoose.Schema({
 chatSchema.index({ createdAt: -1 });
 chatSchema.index({ lastMessageAt: -1 });
 chatSchema.index({ videoId: 1, sessionId: 1 });
+chatSchema.index({ videoIds: 1 });
 
 // Virtual for message count
 chatSchema.virtual('messageCount').get(function() {
@@ -59,8 +109,8 @@ chatSchema.virtual('messageCount').get(function() {
 });
 
 // Instance method to add message
-chatSchema.methods.addMessage = function(content, role) {
-  this.messages.push({ content, role });
+chatSchema.methods.addMessage = function(content, role, citations = []) {
+  this.messages.push({ content, role, citations });
   this.totalMessages = this.messages.length;
   this.lastMessageAt = new Date();
   return this.save();
@@ -76,6 +126,11 @@ chatSchema.statics.findByVideoId = function(videoId) {
   return this.find({ videoId }).sort({ lastMessageAt: -1 });
 };
 
+// Instance method to check whether a session covers several videos
+chatSchema.methods.isMultiVideo = function() {
+  return this.videoIds.length > 0;
+};
+
 // Pre-save middleware to update message count and last message time
 chatSchema.pre('save', function(next) {
   if (this.isModified('messages')) {
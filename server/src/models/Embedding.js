@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Embedding vectors for semantic search, stored by the "mongo" vector store
+// (see services/vectorStores). One per video (its title, summary, key points
+// and tags) and one per transcript chunk.
+const embeddingSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['video', 'passage'],
+    required: true
+  },
+  chunkIndex: {
+    type: Number, // TranscriptChunk index for passages; null for videos
+    default: null
+  },
+  model: {
+    type: String, // provider:model that computed the vector; vectors of other models are ignored
+    required: true
+  },
+  vector: {
+    type: [Number],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+embeddingSchema.index({ model: 1, kind: 1 });
+embeddingSchema.index({ videoId: 1, model: 1 });
+
+// Static method to find the IDs of videos embedded with a model
+embeddingSchema.statics.findVideoIdsByModel = function(model) {
+  return this.distinct('videoId', { model, kind: 'video' });
+};
+
+const Embedding = mongoose.model('Embedding', embeddingSchema);
+
+export default Embedding;
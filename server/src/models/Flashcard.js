@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import { DEFAULT_EASE_FACTOR, MIN_EASE_FACTOR, PASSING_GRADE, scheduleReview } from '../utils/spacedRepetition.js';
+
+// Cards scheduled this many days apart count as learned
+const MATURE_INTERVAL_DAYS = 21;
+
+const reviewSchema = new mongoose.Schema({
+  grade: {
+    type: Number, // 0-5, see utils/spacedRepetition.js
+    required: true,
+    min: 0,
+    max: 5
+  },
+  interval: {
+    type: Number, // Days until the next review, as scheduled by this review
+    required: true
+  },
+  easeFactor: {
+    type: Number,
+    required: true
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const flashcardSchema = new mongoose.Schema({
+  historyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'History',
+    required: true,
+    index: true
+  },
+  videoId: {
+    type: String, // YouTube video ID
+    required: true,
+    index: true
+  },
+  front: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  back: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  source: {
+    type: String,
+    enum: ['keyPoint', 'transcript'],
+    default: 'transcript'
+  },
+  start: {
+    type: Number, // Transcript offset in seconds the card comes from
+    min: 0,
+    default: null
+  },
+  easeFactor: {
+    type: Number,
+    min: MIN_EASE_FACTOR,
+    default: DEFAULT_EASE_FACTOR
+  },
+  interval: {
+    type: Number, // Days between the last review and dueAt
+    min: 0,
+    default: 0
+  },
+  repetitions: {
+    type: Number, // Successful reviews in a row
+    min: 0,
+    default: 0
+  },
+  lapses: {
+    type: Number, // Times the card was forgotten after being learned
+    min: 0,
+    default: 0
+  },
+  dueAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviews: [reviewSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+flashcardSchema.index({ dueAt: 1 });
+flashcardSchema.index({ historyId: 1, createdAt: 1 });
+
+// Virtual for review count
+flashcardSchema.virtual('reviewCount').get(function() {
+  return this.reviews.length;
+});
+
+// Static method to find the cards due for review, most overdue first
+flashcardSchema.statics.findDue = function(limit = 20, now = new Date()) {
+  return this.find({ dueAt: { $lte: now } })
+    .sort({ dueAt: 1 })
+    .limit(limit)
+    .populate('historyId', 'videoTitle thumbnailUrl channelName');
+};
+
+// Static method to find a history item's cards in the order they were created
+flashcardSchema.statics.findByHistoryId = function(historyId) {
+  return this.find({ historyId }).sort({ createdAt: 1 });
+};
+
+// Static method to count cards by review state
+flashcardSchema.statics.getReviewStats = async function(now = new Date()) {
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const [total, due, unseen, mature, reviewedToday] = await Promise.all([
+    this.countDocuments(),
+    this.countDocuments({ dueAt: { $lte: now } }),
+    this.countDocuments({ lastReviewedAt: null }),
+    this.countDocuments({ interval: { $gte: MATURE_INTERVAL_DAYS } }),
+    this.countDocuments({ lastReviewedAt: { $gte: startOfDay } })
+  ]);
+
+  return {
+    total,
+    due,
+    new: unseen,
+    learning: total - unseen - mature,
+    mature,
+    reviewedToday
+  };
+};
+
+// Instance method to record a review and schedule the next one
+flashcardSchema.methods.review = function(grade, now = new Date()) {
+  const wasLearned = this.repetitions > 0;
+  const next = scheduleReview(this, grade, now);
+
+  if (grade < PASSING_GRADE && wasLearned) {
+    this.lapses += 1;
+  }
+
+  this.easeFactor = next.easeFactor;
+  this.interval = next.interval;
+  this.repetitions = next.repetitions;
+  this.dueAt = next.dueAt;
+  this.lastReviewedAt = now;
+  this.reviews.push({
+    grade,
+    interval: next.interval,
+    easeFactor: next.easeFactor,
+    reviewedAt: now
+  });
+
+  return this.save();
+};
+
+const Flashcard = mongoose.model('Flashcard', flashcardSchema);
+
+export default Flashcard;
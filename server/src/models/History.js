@@ -83,6 +83,18 @@ historySchema.index({ videoId: 1 }, { unique: true });
 historySchema.index({ channelName: 1 });
 historySchema.index({ isBookmarked: 1 });
 historySchema.index({ rating: 1 });
+// Full-text search ($text) over what a video is called and about, titles weighted highest
+historySchema.index({
+  videoTitle: 'text',
+  channelName: 'text',
+  summary: 'text',
+  keyPoints: 'text',
+  tags: 'text',
+  notes: 'text'
+}, {
+  name: 'history_text',
+  weights: { videoTitle: 10, tags: 5, channelName: 4, keyPoints: 3, notes: 3, summary: 1 }
+});
 
 // Virtual for formatted duration
 historySchema.virtual('formattedDuration').get(function() {
@@ -124,6 +136,35 @@ historySchema.statics.findByRating = function(rating) {
     .sort({ createdAt: -1 });
 };
 
+// Static method to add a video to history, or record another access to it
+historySchema.statics.recordVideo = async function(video) {
+  const existingHistory = await this.findOne({ videoId: video.videoId });
+
+  if (existingHistory) {
+    return existingHistory.updateAccess();
+  }
+
+  return this.create({
+    videoId: video.videoId,
+    videoTitle: video.title,
+    videoUrl: video.url,
+    thumbnailUrl: video.thumbnailUrl,
+    channelName: video.channelName,
+    duration: video.duration,
+    summary: video.summary,
+    keyPoints: video.keyPoints || [],
+    tags: video.tags || []
+  });
+};
+
+// Static method to copy a video's current analysis onto its history entry, if it has one
+historySchema.statics.syncAnalysis = function(video) {
+  return this.updateOne(
+    { videoId: video.videoId },
+    { $set: { summary: video.summary, keyPoints: video.keyPoints || [], tags: video.tags || [] } }
+  );
+};
+
 // Instance method to update access
 historySchema.methods.updateAccess = function() {
   this.lastAccessedAt = new Date();
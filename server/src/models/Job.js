@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  completedAt: Date,
+  error: {
+    type: String,
+    maxlength: 1000
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['analyze'],
+    default: 'analyze'
+  },
+  videoId: {
+    type: String, // YouTube video ID
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  transcriptLanguage: {
+    type: String, // Caption language requested for the transcript; null picks the best track
+    default: null
+  },
+  outputLanguage: {
+    type: String, // Language for the summary and key points; null keeps the video's
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    default: null
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stages: [stageSchema],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ videoId: 1, createdAt: -1 });
+// At most one queued or running job per video, even when two requests race
+// (partial filters with $in need MongoDB 6.0 or later)
+jobSchema.index({ videoId: 1 }, {
+  name: 'videoId_active',
+  unique: true,
+  partialFilterExpression: { status: { $in: ['queued', 'running'] } }
+});
+
+// Virtual for whether the job can still make progress
+jobSchema.virtual('isActive').get(function() {
+  return this.status === 'queued' || this.status === 'running';
+});
+
+// Static method to find the most recent job for a video
+jobSchema.statics.findLatestByVideoId = function(videoId) {
+  return this.findOne({ videoId }).sort({ createdAt: -1 });
+};
+
+// Static method to find a queued or running job for a video
+jobSchema.statics.findActiveByVideoId = function(videoId) {
+  return this.findOne({ videoId, status: { $in: ['queued', 'running'] } }).sort({ createdAt: -1 });
+};
+
+/**
+ * Atomically claim the next runnable job for a worker. Jobs whose worker
+ * stopped sending heartbeats for `lockTimeoutMs` are claimed again.
+ */
+jobSchema.statics.claimNext = function(workerId, lockTimeoutMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Cancel a job. Queued jobs are cancelled right away; running jobs are
+ * flagged, and their worker aborts them on its next heartbeat.
+ */
+jobSchema.statics.requestCancel = async function(jobId) {
+  const queued = await this.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, error: 'Job cancelled', completedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  return this.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+};
+
+/**
+ * Queue a failed or cancelled job again. Completed stages are kept, so the
+ * job resumes from the first stage that did not finish.
+ */
+jobSchema.statics.requeue = function(jobId) {
+  return this.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+    {
+      $set: {
+        status: 'queued',
+        stage: null,
+        attempts: 0,
+        runAt: new Date(),
+        cancelRequested: false,
+        'stages.$[unfinished].status': 'pending'
+      },
+      $unset: { error: '', completedAt: '' }
+    },
+    { arrayFilters: [{ 'unfinished.status': { $ne: 'completed' } }], new: true }
+  );
+};
+
+// Instance method to look up a stage entry by name
+jobSchema.methods.getStage = function(name) {
+  return this.stages.find(stage => stage.name === name);
+};
+
+// Instance method to recompute overall progress from completed stages
+jobSchema.methods.updateProgress = function() {
+  const completed = this.stages.filter(stage => stage.status === 'completed').length;
+  this.progress = this.stages.length > 0 ? Math.round((completed / this.stages.length) * 100) : 0;
+};
+
+// Instance method to mark a stage as running
+jobSchema.methods.startStage = function(name) {
+  const stage = this.getStage(name);
+  stage.status = 'running';
+  stage.attempts += 1;
+  stage.startedAt = new Date();
+  stage.error = undefined;
+  this.stage = name;
+  return this.save();
+};
+
+// Instance method to mark a stage as completed
+jobSchema.methods.completeStage = function(name) {
+  const stage = this.getStage(name);
+  stage.status = 'completed';
+  stage.completedAt = new Date();
+  this.updateProgress();
+  return this.save();
+};
+
+// Instance method to mark a stage as failed (or cancelled, when its job was)
+jobSchema.methods.failStage = function(name, error, status = 'failed') {
+  const stage = this.getStage(name);
+  stage.status = status;
+  stage.error = error.message?.substring(0, 1000);
+  this.error = stage.error;
+  return this.save();
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { tokenize } from '../utils/textSearch.js';
+
+// Share of the answer key's terms a short answer must contain to count as correct
+const SHORT_ANSWER_MATCH_RATIO = 0.6;
+
+const questionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  choices: [{
+    type: String,
+    trim: true,
+    maxlength: 500
+  }],
+  answer: {
+    type: String, // Correct choice text, or the model answer for short-answer questions
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  explanation: {
+    type: String,
+    maxlength: 2000
+  },
+  start: {
+    type: Number, // Transcript offset in seconds that supports the answer
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+const quizSchema = new mongoose.Schema({
+  videoId: {
+    type: String, // YouTube video ID
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['multiple-choice', 'short-answer'],
+    required: true
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0,
+      message: 'A quiz needs at least one question'
+    }
+  },
+  provider: String,
+  model: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+quizSchema.index({ videoId: 1, createdAt: -1 });
+
+// Virtual for question count
+quizSchema.virtual('questionCount').get(function() {
+  return this.questions.length;
+});
+
+// Static method to find quizzes for a video, newest first
+quizSchema.statics.findByVideoId = function(videoId) {
+  return this.find({ videoId }).sort({ createdAt: -1 });
+};
+
+// Helper function to normalize an answer for comparison
+const normalizeAnswer = (value) => String(value || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+
+// Instance method to check one response against a question's answer key
+quizSchema.methods.isCorrect = function(questionIndex, response) {
+  const question = this.questions[questionIndex];
+  if (!question || response === undefined || response === null || response === '') return false;
+
+  if (normalizeAnswer(response) === normalizeAnswer(question.answer)) return true;
+  if (this.type === 'multiple-choice') return false;
+
+  // Short answers count when they contain most of the answer key's terms
+  const keyTerms = [...new Set(tokenize(question.answer))];
+  if (keyTerms.length === 0) return false;
+  const responseTerms = new Set(tokenize(response));
+  const matched = keyTerms.filter(term => responseTerms.has(term)).length;
+  return matched / keyTerms.length >= SHORT_ANSWER_MATCH_RATIO;
+};
+
+// Instance method to grade a list of responses (one per question, in order)
+quizSchema.methods.grade = function(responses = []) {
+  const results = this.questions.map((question, index) => ({
+    questionIndex: index,
+    response: responses[index] ?? '',
+    correct: this.isCorrect(index, responses[index])
+  }));
+
+  const score = results.filter(result => result.correct).length;
+  return { results, score, total: this.questions.length };
+};
+
+// Instance method to describe the quiz without its answer key
+quizSchema.methods.toQuestionSheet = function() {
+  return {
+    _id: this._id,
+    videoId: this.videoId,
+    type: this.type,
+    questionCount: this.questions.length,
+    questions: this.questions.map(({ question, choices }) => ({
+      question,
+      choices: this.type === 'multiple-choice' ? choices : []
+    })),
+    createdAt: this.createdAt
+  };
+};
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+export default Quiz;
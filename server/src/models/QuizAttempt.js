@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const responseSchema = new mongoose.Schema({
+  questionIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  response: {
+    type: String,
+    maxlength: 1000
+  },
+  correct: {
+    type: Boolean,
+    required: true
+  }
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+    index: true
+  },
+  videoId: {
+    type: String, // YouTube video ID
+    required: true,
+    index: true
+  },
+  responses: [responseSchema],
+  score: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+quizAttemptSchema.index({ videoId: 1, createdAt: -1 });
+
+// Virtual for score as a percentage
+quizAttemptSchema.virtual('percentage').get(function() {
+  return Math.round((this.score / this.total) * 100);
+});
+
+// Static method to find a video's attempts, newest first
+quizAttemptSchema.statics.findByVideoId = function(videoId) {
+  return this.find({ videoId }).sort({ createdAt: -1 });
+};
+
+// Static method to summarize scores for a video
+quizAttemptSchema.statics.getVideoStats = async function(videoId) {
+  const [stats] = await this.aggregate([
+    { $match: { videoId } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: null,
+        attempts: { $sum: 1 },
+        bestPercentage: { $max: { $multiply: [{ $divide: ['$score', '$total'] }, 100] } },
+        averagePercentage: { $avg: { $multiply: [{ $divide: ['$score', '$total'] }, 100] } },
+        lastAttemptAt: { $last: '$createdAt' }
+      }
+    }
+  ]);
+
+  return {
+    attempts: stats?.attempts || 0,
+    bestPercentage: stats ? Math.round(stats.bestPercentage) : null,
+    averagePercentage: stats ? Math.round(stats.averagePercentage) : null,
+    lastAttemptAt: stats?.lastAttemptAt || null
+  };
+};
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+export default QuizAttempt;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const transcriptChunkSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  start: {
+    type: Number, // Offset in seconds; null when the transcript has no timing
+    default: null
+  },
+  end: {
+    type: Number,
+    default: null
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  terms: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+transcriptChunkSchema.index({ videoId: 1, index: 1 }, { unique: true });
+// Library search looks up chunks containing any query term
+transcriptChunkSchema.index({ terms: 1 });
+
+// Static method to find chunks for a video in transcript order
+transcriptChunkSchema.statics.findByVideoId = function(videoId) {
+  return this.find({ videoId }).sort({ index: 1 });
+};
+
+const TranscriptChunk = mongoose.model('TranscriptChunk', transcriptChunkSchema);
+
+export default TranscriptChunk;
@@ -1,4 +1,105 @@
 import mongoose from 'mongoose';
+import { SUMMARY_LENGTHS, SUMMARY_STYLES } from '../config/summaryStyles.js';
+import { isYouTubeVideoUrl, parseYouTubeUrl } from '../shared/youtubeUrl.js';
+import { DEFAULT_OUTPUT_LANGUAGE, OUTPUT_LANGUAGES } from '../shared/languages.js';
+
+// Captions written by the uploader, captions YouTube generated automatically,
+// a subtitle file uploaded by the user, or the title and description when the
+// video has no captions at all
+const TRANSCRIPT_SOURCES = ['captions', 'auto-captions', 'uploaded', 'fallback-description'];
+
+const transcriptSegmentSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: Number, // Offset in seconds
+    required: true,
+    min: 0
+  },
+  duration: {
+    type: Number, // Duration in seconds
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const captionTrackSchema = new mongoose.Schema({
+  languageCode: {
+    type: String, // BCP 47 code as YouTube lists it, e.g. "es-419"
+    required: true,
+    maxlength: 20
+  },
+  name: {
+    type: String,
+    maxlength: 100
+  },
+  autoGenerated: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const chapterSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  start: {
+    type: Number, // Offset in seconds
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number, // Offset in seconds
+    min: 0
+  },
+  summary: {
+    type: String,
+    maxlength: 2000
+  }
+}, { _id: false });
+
+const summaryVersionSchema = new mongoose.Schema({
+  summary: {
+    type: String,
+    required: true,
+    maxlength: 10000
+  },
+  style: {
+    type: String,
+    enum: Object.keys(SUMMARY_STYLES),
+    default: 'standard'
+  },
+  length: {
+    type: String,
+    enum: Object.keys(SUMMARY_LENGTHS),
+    default: 'medium'
+  },
+  instruction: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  language: {
+    type: String,
+    enum: Object.keys(OUTPUT_LANGUAGES),
+    default: DEFAULT_OUTPUT_LANGUAGE
+  },
+  provider: String,
+  model: String,
+  prompt: {
+    type: String, // System prompt the summary was generated with
+    maxlength: 5000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const videoSchema = new mongoose.Schema({
   videoId: {
@@ -12,7 +113,7 @@ const videoSchema = new mongoose.Schema({
     required: true,
     validate: {
       validator: function(v) {
-        return /^https?:\/\/(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/).+/.test(v);
+        return isYouTubeVideoUrl(v);
       },
       message: 'Please enter a valid YouTube URL'
     }
@@ -48,13 +149,40 @@ const videoSchema = new mongoose.Schema({
   },
   transcript: {
     type: String,
-    required: true
+    required: function() {
+      return this.processingStatus === 'completed';
+    }
+  },
+  transcriptSegments: [transcriptSegmentSchema],
+  transcriptSource: {
+    type: String,
+    enum: [...TRANSCRIPT_SOURCES, null], // Where the transcript came from; null for videos analyzed before this was recorded
+    default: null
+  },
+  transcriptQuality: {
+    type: String,
+    enum: ['full', 'metadata-only', null], // Set from transcriptSource; metadata-only analyses only saw the title and description
+    default: null
   },
   summary: {
     type: String,
-    required: true,
+    // Filled in by the analysis pipeline after the metadata is saved
+    required: function() {
+      return this.processingStatus === 'completed';
+    },
     maxlength: 10000
   },
+  summaryVersions: [summaryVersionSchema],
+  defaultSummaryVersion: {
+    type: mongoose.Schema.Types.ObjectId, // Version whose text is in `summary`
+    default: null
+  },
+  chapters: [chapterSchema],
+  chaptersSource: {
+    type: String,
+    enum: ['description', 'generated', null], // Parsed from the description or generated from the transcript
+    default: null
+  },
   keyPoints: [{
     type: String,
     maxlength: 1000
@@ -65,13 +193,19 @@ const videoSchema = new mongoose.Schema({
     maxlength: 50
   }],
   language: {
-    type: String,
+    type: String, // Language of the transcript, from its caption track when there is one
     default: 'en',
-    maxlength: 5
+    maxlength: 20
+  },
+  captionTracks: [captionTrackSchema], // Caption tracks the video offered when its transcript was fetched
+  outputLanguage: {
+    type: String, // Language the summary and key points are written in
+    enum: Object.keys(OUTPUT_LANGUAGES),
+    default: DEFAULT_OUTPUT_LANGUAGE
   },
   processingStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   processingError: {
@@ -97,6 +231,20 @@ videoSchema.index({ createdAt: -1 });
 videoSchema.index({ processingStatus: 1 });
 videoSchema.index({ channelName: 1 });
 videoSchema.index({ 'tags': 1 });
+// Full-text search ($text), weighted like the history one. `language` holds
+// caption codes such as "pt-BR" that $text does not know, so it must not be
+// read as the document's text search language.
+videoSchema.index({
+  title: 'text',
+  channelName: 'text',
+  summary: 'text',
+  keyPoints: 'text',
+  tags: 'text'
+}, {
+  name: 'video_text',
+  weights: { title: 10, tags: 5, channelName: 4, keyPoints: 3, summary: 1 },
+  language_override: 'textSearchLanguage'
+});
 
 // Virtual for formatted duration
 videoSchema.virtual('formattedDuration').get(function() {
@@ -110,18 +258,54 @@ videoSchema.statics.findByVideoId = function(videoId) {
   return this.findOne({ videoId });
 };
 
+// Static method to find by MongoDB ObjectId or YouTube video ID
+videoSchema.statics.findByAnyId = function(id, projection) {
+  const filter = /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { videoId: id };
+  return this.findOne(filter, projection);
+};
+
+// Instance method to add a summary version, optionally making it the default.
+// Videos summarized before versions existed keep their summary as the first version.
+videoSchema.methods.addSummaryVersion = function(data, { makeDefault = false } = {}) {
+  if (this.summaryVersions.length === 0 && this.summary) {
+    this.summaryVersions.push({ summary: this.summary, createdAt: this.createdAt });
+    this.defaultSummaryVersion = this.summaryVersions[0]._id;
+  }
+
+  this.summaryVersions.push(data);
+  const version = this.summaryVersions[this.summaryVersions.length - 1];
+
+  if (makeDefault || !this.defaultSummaryVersion) {
+    this.setDefaultSummaryVersion(version._id);
+  }
+  return version;
+};
+
+// Instance method to make a summary version the one shown and used for chat
+videoSchema.methods.setDefaultSummaryVersion = function(versionId) {
+  const version = this.summaryVersions.id(versionId);
+  if (!version) return null;
+
+  this.summary = version.summary;
+  this.defaultSummaryVersion = version._id;
+  return version;
+};
+
 // Instance method to extract video ID from URL
 videoSchema.methods.extractVideoId = function() {
-  const regex = /(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\n?#]+)/;
-  const match = this.url.match(regex);
-  return match ? match[1] : null;
+  return parseYouTubeUrl(this.url)?.videoId || null;
 };
 
-// Pre-save middleware to extract video ID
+// Pre-save middleware to extract video ID and flag metadata-only transcripts
 videoSchema.pre('save', function(next) {
   if (this.isNew || this.isModified('url')) {
     this.videoId = this.extractVideoId();
   }
+  if (this.isModified('transcriptSource')) {
+    this.transcriptQuality = this.transcriptSource
+      ? (this.transcriptSource === 'fallback-description' ? 'metadata-only' : 'full')
+      : null;
+  }
   next();
 });
 
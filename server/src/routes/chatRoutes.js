@@ -3,9 +3,20 @@ import { body, param, query, validationResult } from 'express-validator';
 import { v4 as uuidv4 } from 'uuid';
 import Chat from '../models/Chat.js';
 import Video from '../models/Video.js';
+import Batch from '../models/Batch.js';
 import { AIService } from '../services/aiService.js';
+import { RetrievalService } from '../services/retrievalService.js';
+import { escapeRegExp, tokenize } from '../utils/textSearch.js';
+import { openEventStream, writeEvent } from '../utils/sse.js';
+import { OUTPUT_LANGUAGES } from '../shared/languages.js';
 
 const router = express.Router();
+const retrievalService = new RetrievalService();
+// Most videos one chat session can cover
+const CHAT_MAX_VIDEOS = parseInt(process.env.CHAT_MAX_VIDEOS) || 20;
+// Ways to pick the videos of a session; /start accepts exactly one of them
+const SCOPE_FIELDS = ['videoId', 'videoIds', 'tag', 'channel', 'batchId'];
+const VIDEO_INFO_FIELDS = 'videoId title channelName thumbnailUrl';
 // Delay instantiation of AIService until it's needed
 let aiService = null;
 
@@ -30,9 +41,63 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// POST /api/chat/start - Start a new chat session for a video
+// Helper function to find the completed videos a multi-video session covers,
+// in the order given. Returns { scope, videos } or { status, error }.
+async function resolveChatScope({ videoIds, tag, channel, batchId }) {
+  let scope;
+  let ids = null;
+  let filter = null;
+
+  if (videoIds) {
+    const found = await Promise.all(videoIds.map(id => Video.findByAnyId(id, 'videoId')));
+    ids = [...new Set(found.filter(Boolean).map(video => video.videoId))];
+    scope = { type: 'videos', value: null };
+  } else if (batchId) {
+    const batch = await Batch.findById(batchId).select('title items.videoId');
+    if (!batch) {
+      return { status: 404, error: 'Batch not found' };
+    }
+    ids = [...new Set(batch.items.map(item => item.videoId))];
+    scope = { type: 'batch', value: batch.id, label: batch.title };
+  } else if (tag) {
+    filter = { tags: { $regex: new RegExp(`^${escapeRegExp(tag)}$`, 'i') } };
+    scope = { type: 'tag', value: tag, label: `Tag: ${tag}` };
+  } else {
+    filter = { channelName: channel };
+    scope = { type: 'channel', value: channel, label: channel };
+  }
+
+  let videos = await Video.find({ ...(filter || { videoId: { $in: ids } }), processingStatus: 'completed' })
+    .sort({ publishedAt: -1 })
+    .limit(CHAT_MAX_VIDEOS + 1);
+  if (ids) {
+    videos = ids.map(id => videos.find(video => video.videoId === id)).filter(Boolean);
+  }
+
+  if (videos.length === 0) {
+    return { status: 404, error: 'No fully processed videos found for this selection' };
+  }
+  if (videos.length > CHAT_MAX_VIDEOS) {
+    return { status: 400, error: `A chat session can cover at most ${CHAT_MAX_VIDEOS} videos; pick fewer videos` };
+  }
+
+  scope.label = scope.label || `${videos.length} videos`;
+  return { scope, videos };
+}
+
+// POST /api/chat/start - Start a new chat session for a video, or for several videos
+// picked by hand (videoIds), by tag, by channel or from a batch (batchId)
 router.post('/start', [
+  body()
+    .custom((value) => {
+      const given = SCOPE_FIELDS.filter(field => value[field] !== undefined);
+      if (given.length !== 1) {
+        throw new Error(`Provide exactly one of: ${SCOPE_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
   body('videoId')
+    .optional()
     .notEmpty()
     .withMessage('Video ID is required')
     .custom(async (videoId) => {
@@ -53,11 +118,75 @@ router.post('/start', [
         throw new Error('Invalid video ID format');
       }
       return true;
-    })
+    }),
+  body('videoIds')
+    .optional()
+    .isArray({ min: 1, max: CHAT_MAX_VIDEOS })
+    .withMessage(`Video IDs must be a list of 1 to ${CHAT_MAX_VIDEOS} videos`),
+  body('videoIds.*')
+    .isString()
+    .matches(/^([0-9a-fA-F]{24}|[a-zA-Z0-9_-]{11})$/)
+    .withMessage('Invalid video ID format'),
+  body('tag')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tag must be between 1 and 100 characters'),
+  body('channel')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Channel must be between 1 and 200 characters'),
+  body('batchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid batch ID is required')
 ], handleValidationErrors, async (req, res) => {
   try {
     const { videoId } = req.body;
-    
+
+    // Generate unique session ID
+    const sessionId = uuidv4();
+
+    if (!videoId) {
+      const { scope, videos, status, error } = await resolveChatScope(req.body);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const chat = new Chat({
+        videoIds: videos.map(video => video.videoId),
+        scope,
+        sessionId,
+        messages: [],
+        isActive: true
+      });
+
+      await chat.save();
+      console.log(`💬 Chat session ${sessionId} started across ${videos.length} videos (${scope.type})`);
+
+      return res.json({
+        success: true,
+        message: 'Chat session started',
+        data: {
+          sessionId,
+          videoTitle: scope.label,
+          scope,
+          videos: videos.map(video => ({
+            videoId: video.videoId,
+            title: video.title,
+            channelName: video.channelName,
+            thumbnailUrl: video.thumbnailUrl
+          }))
+        }
+      });
+    }
+
     // Find the video (handle both MongoDB ID and YouTube video ID)
     let video;
     if (videoId.length === 24) {
@@ -73,12 +202,10 @@ router.post('/start', [
       });
     }
 
-    // Generate unique session ID
-    const sessionId = uuidv4();
-
     // Create new chat session
     const chat = new Chat({
       videoId: video.videoId, // Always use YouTube video ID
+      scope: { type: 'video', value: video.videoId, label: video.title },
       sessionId,
       messages: [],
       isActive: true
@@ -106,71 +233,182 @@ router.post('/start', [
   }
 });
 
-// POST /api/chat/message - Send a message in a chat session
-router.post('/message', [
+// GET /api/chat/scopes - List the tags and channels a multi-video session can cover,
+// with how many fully processed videos each has
+router.get('/scopes', async (req, res) => {
+  try {
+    const [tags, channels] = await Promise.all([
+      Video.aggregate([
+        { $match: { processingStatus: 'completed' } },
+        { $unwind: '$tags' },
+        { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 100 }
+      ]),
+      Video.aggregate([
+        { $match: { processingStatus: 'completed' } },
+        { $group: { _id: '$channelName', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 100 }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        maxVideos: CHAT_MAX_VIDEOS,
+        tags: tags.map(tag => ({ name: tag._id, count: tag.count })),
+        channels: channels.map(channel => ({ name: channel._id, count: channel.count }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting chat scopes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get chat scopes',
+      error: error.message
+    });
+  }
+});
+
+// Validation rules shared by the plain and streaming message endpoints
+const messageValidation = [
   body('sessionId')
     .isUUID(4)
     .withMessage('Valid session ID is required'),
   body('message')
     .notEmpty()
     .isLength({ min: 1, max: 1000 })
-    .withMessage('Message must be between 1 and 1000 characters')
-], handleValidationErrors, async (req, res) => {
-  try {
-    const { sessionId, message } = req.body;
+    .withMessage('Message must be between 1 and 1000 characters'),
+  body('language')
+    .optional()
+    .isIn(Object.keys(OUTPUT_LANGUAGES))
+    .withMessage(`Language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`)
+];
+
+// Helper function to load the session and the videos a message is about:
+// `video` for a single-video session, `videos` (in session order) otherwise
+async function findChatAndVideo(sessionId) {
+  const chat = await Chat.findActiveBySession(sessionId);
+  if (!chat) {
+    return { status: 404, error: 'Chat session not found or inactive' };
+  }
 
-    // Find chat session
-    const chat = await Chat.findActiveBySession(sessionId);
-    if (!chat) {
-      return res.status(404).json({
-        success: false,
-        message: 'Chat session not found or inactive'
-      });
+  if (chat.isMultiVideo()) {
+    const found = await Video.find({ videoId: { $in: chat.videoIds }, processingStatus: 'completed' });
+    const videos = chat.videoIds.map(id => found.find(video => video.videoId === id)).filter(Boolean);
+    if (videos.length === 0) {
+      return { status: 400, error: 'Video context not available' };
     }
+    return { chat, videos };
+  }
 
-    // Find video context
-    const video = await Video.findByVideoId(chat.videoId);
-    if (!video || video.processingStatus !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Video context not available'
-      });
-    }
+  const video = await Video.findByVideoId(chat.videoId);
+  if (!video || video.processingStatus !== 'completed') {
+    return { status: 400, error: 'Video context not available' };
+  }
 
-    // Add user message to chat
-    await chat.addMessage(message, 'user');
+  return { chat, video };
+}
 
-    // Prepare video context for AI
-    const videoContext = {
+// Helper function to build the AI context of a multi-video question from the
+// passages of each video that are relevant to it
+async function buildMultiVideoContext(videos, retrievalQuery, language) {
+  const passages = await retrievalService.retrieveFromVideos(videos, retrievalQuery);
+
+  return {
+    videos: videos.map((video, index) => ({
+      videoId: video.videoId,
       title: video.title,
       channelName: video.channelName,
       summary: video.summary,
       keyPoints: video.keyPoints,
-      transcript: video.transcript
+      transcriptQuality: video.transcriptQuality,
+      passages: passages[index]
+    })),
+    outputLanguage: language || videos[0].outputLanguage
+  };
+}
+
+// Helper function to record the user's message and build the AI context for it.
+// `target` is { video } or { videos } from findChatAndVideo(). Answers are
+// written in `language`, or the language of the (first) video's summary.
+async function prepareChatTurn(chat, { video, videos }, message, language) {
+  // Add user message to chat
+  await chat.addMessage(message, 'user');
+
+  // Get recent chat history (last 10 messages for context)
+  const recentMessages = chat.messages.slice(-10).map(msg => ({
+    role: msg.role === 'user' ? 'user' : 'assistant',
+    content: msg.content
+  }));
+
+  // Retrieve the transcript passages relevant to this question. Short
+  // follow-ups ("and why?") borrow the previous question's terms.
+  const previousQuestion = recentMessages.slice(0, -1).reverse().find(msg => msg.role === 'user');
+  const retrievalQuery = previousQuestion && tokenize(message).length < 4
+    ? `${message} ${previousQuestion.content}`
+    : message;
+  const history = recentMessages.slice(0, -1); // Exclude the current message
+
+  if (videos) {
+    return {
+      videoContext: await buildMultiVideoContext(videos, retrievalQuery, language),
+      history
     };
+  }
+
+  const passages = await retrievalService.retrieve(video, retrievalQuery);
 
-    // Get recent chat history (last 10 messages for context)
-    const recentMessages = chat.messages.slice(-10).map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'assistant',
-      content: msg.content
-    }));
+  // Prepare video context for AI
+  const videoContext = {
+    title: video.title,
+    channelName: video.channelName,
+    summary: video.summary,
+    keyPoints: video.keyPoints,
+    transcript: video.transcript,
+    transcriptQuality: video.transcriptQuality,
+    outputLanguage: language || video.outputLanguage,
+    passages
+  };
+
+  return { videoContext, history };
+}
+
+// POST /api/chat/message - Send a message in a chat session
+router.post('/message', messageValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { sessionId, message, language } = req.body;
+
+    // Find chat session and video context
+    const { chat, video, videos, status, error } = await findChatAndVideo(sessionId);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { videoContext, history } = await prepareChatTurn(chat, { video, videos }, message, language);
 
     // Generate AI response
     const aiServiceInstance = getAIService();
     const aiResponse = await aiServiceInstance.generateChatResponse(
       message,
       videoContext,
-      recentMessages.slice(0, -1) // Exclude the current message
+      history
     );
 
     // Add AI response to chat
-    await chat.addMessage(aiResponse, 'assistant');
+    await chat.addMessage(aiResponse.content, 'assistant', aiResponse.citations);
 
     // Return the AI response
     res.json({
       success: true,
       data: {
-        message: aiResponse,
+        message: aiResponse.content,
+        citations: aiResponse.citations,
         sessionId: chat.sessionId,
         messageId: chat.messages[chat.messages.length - 1]._id
       }
@@ -186,6 +424,90 @@ router.post('/message', [
   }
 });
 
+// POST /api/chat/message/stream - Send a message and stream the answer as Server-Sent Events
+// Events: "token" { text }, then "done" { message, citations, sessionId, messageId } or "error" { message }
+router.post('/message/stream', messageValidation, handleValidationErrors, async (req, res) => {
+  const { sessionId, message, language } = req.body;
+  const abortController = new AbortController();
+  let content = '';
+  let finished = false;
+
+  try {
+    // Find chat session and video context
+    const { chat, video, videos, status, error } = await findChatAndVideo(sessionId);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { videoContext, history } = await prepareChatTurn(chat, { video, videos }, message, language);
+
+    // Stop generating when the client goes away. The partial answer is still
+    // saved so the session history keeps a reply for every question.
+    res.on('close', () => {
+      if (!finished) {
+        abortController.abort();
+      }
+    });
+
+    openEventStream(res);
+
+    const aiServiceInstance = getAIService();
+    const stream = aiServiceInstance.streamChatResponse(message, videoContext, history, {
+      signal: abortController.signal
+    });
+
+    try {
+      for await (const event of stream) {
+        if (event.type === 'token') {
+          content += event.text;
+          writeEvent(res, 'token', { text: event.text });
+          continue;
+        }
+
+        finished = true;
+        await chat.addMessage(event.content, 'assistant', event.citations);
+
+        writeEvent(res, 'done', {
+          message: event.content,
+          citations: event.citations,
+          sessionId: chat.sessionId,
+          messageId: chat.messages[chat.messages.length - 1]._id
+        });
+      }
+    } catch (streamError) {
+      finished = true;
+
+      if (content.trim()) {
+        await chat.addMessage(content, 'assistant');
+      }
+
+      if (abortController.signal.aborted) {
+        console.log(`💬 Chat stream closed by client: ${sessionId}`);
+      } else {
+        console.error('Error streaming chat message:', streamError);
+        writeEvent(res, 'error', { message: `Failed to generate response: ${streamError.message}` });
+      }
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('Error processing streamed chat message:', error);
+    if (res.headersSent) {
+      writeEvent(res, 'error', { message: 'Failed to process message' });
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process message',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/chat/session/:sessionId - Get chat session with messages
 router.get('/session/:sessionId', [
   param('sessionId').isUUID(4).withMessage('Valid session ID is required')
@@ -201,14 +523,23 @@ router.get('/session/:sessionId', [
       });
     }
 
-    // Get video info
-    const video = await Video.findByVideoId(chat.videoId).select('title channelName thumbnailUrl');
+    // Get video info; multi-video sessions list every video, in session order
+    let video = null;
+    let videos;
+    if (chat.isMultiVideo()) {
+      const found = await Video.find({ videoId: { $in: chat.videoIds } }).select(VIDEO_INFO_FIELDS);
+      videos = chat.videoIds.map(id => found.find(candidate => candidate.videoId === id)).filter(Boolean);
+    } else {
+      video = await Video.findByVideoId(chat.videoId).select('title channelName thumbnailUrl');
+    }
 
     res.json({
       success: true,
       data: {
         sessionId: chat.sessionId,
+        scope: chat.scope,
         videoInfo: video,
+        videos,
         messages: chat.messages,
         totalMessages: chat.totalMessages,
         lastMessageAt: chat.lastMessageAt,
@@ -324,15 +655,16 @@ router.get('/sessions', [
       .sort({ lastMessageAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('sessionId videoId totalMessages lastMessageAt createdAt isActive');
+      .select('sessionId videoId videoIds scope totalMessages lastMessageAt createdAt isActive');
 
     const total = await Chat.countDocuments(query);
 
-    // Populate video titles
+    // Populate video titles; multi-video sessions are titled by their scope label
     const sessionsWithVideoInfo = await Promise.all(
       sessions.map(async (session) => {
-        const video = await Video.findByVideoId(session.videoId)
-          .select('title channelName thumbnailUrl');
+        const video = session.isMultiVideo()
+          ? null
+          : await Video.findByVideoId(session.videoId).select('title channelName thumbnailUrl');
         
         return {
           ...session.toObject(),
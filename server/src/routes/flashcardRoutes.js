@@ -0,0 +1,355 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Flashcard from '../models/Flashcard.js';
+import History from '../models/History.js';
+import Video from '../models/Video.js';
+import { AIService } from '../services/aiService.js';
+import { buildAnkiDeck, buildCsv } from '../utils/deckExport.js';
+import { buildWatchUrl } from '../shared/youtubeUrl.js';
+
+const router = express.Router();
+
+// Delay instantiation of AIService until it's needed
+let aiService = null;
+
+// Helper function to get AIService instance
+const getAIService = () => {
+  if (!aiService) {
+    aiService = new AIService();
+  }
+  return aiService;
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// POST /api/flashcards/generate - Create flashcards for a video in the history
+router.post('/generate', [
+  body('videoId')
+    .notEmpty()
+    .withMessage('Video ID is required'),
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Count must be between 1 and 30'),
+  body('replace')
+    .optional()
+    .isBoolean()
+    .withMessage('Replace must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const count = parseInt(req.body.count) || 10;
+    const replace = req.body.replace === true || req.body.replace === 'true';
+
+    const historyItem = await History.findOne({ videoId: req.body.videoId });
+    if (!historyItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found in history. Analyze the video first.'
+      });
+    }
+
+    const existingCount = await Flashcard.countDocuments({ historyId: historyItem._id });
+    if (existingCount > 0 && !replace) {
+      return res.status(409).json({
+        success: false,
+        message: 'Flashcards already exist for this video. Set replace to create a new deck.'
+      });
+    }
+
+    const video = await Video.findByVideoId(historyItem.videoId);
+    if (!video || video.processingStatus !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video analysis must complete before flashcards can be created'
+      });
+    }
+
+    console.log(`🃏 Generating ${count} flashcards for ${video.videoId}`);
+
+    const cards = await getAIService().generateFlashcards(video, { count, language: video.outputLanguage });
+    if (cards.length === 0) {
+      return res.status(502).json({
+        success: false,
+        message: 'The AI provider did not return any usable flashcards. Please try again.'
+      });
+    }
+
+    if (existingCount > 0) {
+      await Flashcard.deleteMany({ historyId: historyItem._id });
+    }
+
+    const flashcards = await Flashcard.insertMany(cards.map(card => ({
+      ...card,
+      historyId: historyItem._id,
+      videoId: historyItem.videoId
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${flashcards.length} flashcards created`,
+      data: flashcards
+    });
+
+  } catch (error) {
+    console.error('Error generating flashcards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate flashcards',
+      error: error.message
+    });
+  }
+});
+
+// Helper function to turn history items into export notes, from their
+// flashcards or from their key points
+async function collectExportNotes(historyItems, content) {
+  const notes = [];
+
+  for (const item of historyItems) {
+    const video = {
+      videoTitle: item.videoTitle,
+      channelName: item.channelName,
+      tags: ['vid-essence', ...(item.tags || [])]
+    };
+
+    if (content === 'keyPoints') {
+      item.keyPoints.forEach((point, index) => {
+        notes.push({
+          ...video,
+          front: `"${item.videoTitle}" - key point ${index + 1} of ${item.keyPoints.length}`,
+          back: point,
+          timestamp: null,
+          link: buildWatchUrl(item.videoId)
+        });
+      });
+      continue;
+    }
+
+    const cards = await Flashcard.findByHistoryId(item._id).select('front back start');
+    cards.forEach(card => {
+      notes.push({
+        ...video,
+        front: card.front,
+        back: card.back,
+        timestamp: card.start,
+        link: buildWatchUrl(item.videoId, { start: card.start })
+      });
+    });
+  }
+
+  return notes;
+}
+
+// GET /api/flashcards/export - Download flashcards or key points as an Anki deck or CSV file
+router.get('/export', [
+  query('format').optional().isIn(['anki', 'csv']).withMessage('Format must be anki or csv'),
+  query('content').optional().isIn(['flashcards', 'keyPoints']).withMessage('Content must be flashcards or keyPoints'),
+  query('bookmarked').optional().isBoolean().withMessage('Bookmarked must be a boolean'),
+  query('videoId')
+    .if(query('bookmarked').not().equals('true'))
+    .isString()
+    .withMessage('Video ID must be a string')
+    .bail()
+    .notEmpty()
+    .withMessage('Provide a videoId, or bookmarked=true to export all bookmarked videos')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const format = req.query.format || 'anki';
+    const content = req.query.content || 'flashcards';
+    const bookmarked = req.query.bookmarked === 'true';
+
+    const historyItems = bookmarked
+      ? await History.findBookmarked()
+      : await History.find({ videoId: req.query.videoId });
+
+    if (historyItems.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: bookmarked ? 'No bookmarked videos found' : 'Video not found in history'
+      });
+    }
+
+    const notes = await collectExportNotes(historyItems, content);
+    if (notes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: content === 'keyPoints' ? 'No key points to export' : 'No flashcards to export. Create flashcards first.'
+      });
+    }
+
+    // "::" separates subdecks in Anki deck names
+    const deckName = bookmarked ? 'Vid Essence::Bookmarks' : `Vid Essence::${historyItems[0].videoTitle.replace(/::/g, ':')}`;
+    const baseName = bookmarked ? 'bookmarks' : historyItems[0].videoId;
+    const fileName = `${baseName}-${content === 'keyPoints' ? 'key-points' : 'flashcards'}.${format === 'csv' ? 'csv' : 'txt'}`;
+
+    console.log(`📤 Exporting ${notes.length} ${content} notes as ${format}`);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'text/tab-separated-values; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(format === 'csv' ? buildCsv(notes) : buildAnkiDeck(notes, { deckName }));
+
+  } catch (error) {
+    console.error('Error exporting flashcards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export flashcards',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/flashcards/review - Get the cards due for review
+router.get('/review', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [cards, stats] = await Promise.all([
+      Flashcard.findDue(limit).select('-reviews'),
+      Flashcard.getReviewStats()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        cards,
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get review queue',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/flashcards/stats - Get review statistics
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await Flashcard.getReviewStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Error getting flashcard stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get flashcard statistics',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/flashcards/video/:videoId - Get a video's flashcards
+router.get('/video/:videoId', async (req, res) => {
+  try {
+    const historyItem = await History.findOne({ videoId: req.params.videoId });
+    if (!historyItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'History item not found'
+      });
+    }
+
+    const cards = await Flashcard.findByHistoryId(historyItem._id).select('-reviews');
+
+    res.json({
+      success: true,
+      data: cards
+    });
+
+  } catch (error) {
+    console.error('Error getting flashcards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get flashcards',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/flashcards/:cardId/review - Record a review and schedule the next one
+router.post('/:cardId/review', [
+  param('cardId').isMongoId().withMessage('Invalid flashcard ID'),
+  body('grade')
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Grade must be between 0 and 5')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const card = await Flashcard.findById(req.params.cardId);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flashcard not found'
+      });
+    }
+
+    await card.review(parseInt(req.body.grade));
+
+    res.json({
+      success: true,
+      message: 'Review recorded',
+      data: {
+        card,
+        stats: await Flashcard.getReviewStats()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record review',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/flashcards/:cardId - Delete a flashcard
+router.delete('/:cardId', [
+  param('cardId').isMongoId().withMessage('Invalid flashcard ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const deletedCard = await Flashcard.findByIdAndDelete(req.params.cardId);
+    if (!deletedCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flashcard not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Flashcard deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting flashcard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete flashcard',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,9 +2,14 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import History from '../models/History.js';
 import Video from '../models/Video.js';
+import Flashcard from '../models/Flashcard.js';
+import { buildSnippet, escapeRegExp, parseSearchQuery } from '../utils/textSearch.js';
 
 const router = express.Router();
 
+// Fields a search result's snippet is cut from, in order of preference
+const SEARCH_SNIPPET_FIELDS = ['summary', 'keyPoints', 'notes'];
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -18,11 +23,51 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// GET /api/history - Get user's video history with pagination and filtering
+// Helper function to build the pattern of a substring search, ignoring $text syntax
+const buildSubstringPattern = (search) => {
+  const { words, phrases } = parseSearchQuery(search);
+  return new RegExp(escapeRegExp([...words, ...phrases].join(' ') || search), 'gi');
+};
+
+// Helper function to show why a history item matched a search: the words
+// highlighted in its title and a snippet of its best matching field
+const buildSearchMatch = (item, search, searchMode) => {
+  const { words, phrases } = parseSearchQuery(search);
+  const terms = [...words, ...phrases].join(' ');
+
+  // Substring matches can end inside a word, so mark exactly what matched
+  const titleHighlights = searchMode === 'substring'
+    ? [...item.videoTitle.matchAll(buildSubstringPattern(search))]
+      .map(match => ({ start: match.index, end: match.index + match[0].length }))
+    : buildSnippet(item.videoTitle, terms, { maxLength: item.videoTitle.length }).highlights;
+
+  let best = null;
+  SEARCH_SNIPPET_FIELDS.forEach(field => {
+    const text = Array.isArray(item[field]) ? item[field].join('. ') : item[field];
+    if (!text) return;
+    const snippet = buildSnippet(text, terms);
+    if (!best || snippet.matchCount > best.matchCount) {
+      best = { field, ...snippet };
+    }
+  });
+
+  return {
+    titleHighlights,
+    field: best?.field || null,
+    snippet: best?.text || '',
+    highlights: best?.highlights || []
+  };
+};
+
+// GET /api/history - Get user's video history with pagination and filtering.
+// `search` is a MongoDB text search ("exact phrase", -excluded) ranked by
+// relevance; when it matches nothing, titles, channels and tags containing
+// it are listed instead, so partly typed words still find something.
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long'),
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Search term too long'),
+  query('sort').optional().isIn(['recent', 'created', 'title', 'channel', 'rating', 'relevance']).withMessage('Invalid sort option'),
   query('bookmarked').optional().isBoolean().withMessage('Bookmarked must be a boolean'),
   query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
 ], handleValidationErrors, async (req, res) => {
@@ -34,15 +79,6 @@ router.get('/', [
     // Build query
     const query = {};
     
-    // Search filter
-    if (req.query.search) {
-      query.$or = [
-        { videoTitle: { $regex: req.query.search, $options: 'i' } },
-        { channelName: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ];
-    }
-    
     // Bookmarked filter
     if (req.query.bookmarked === 'true') {
       query.isBookmarked = true;
@@ -53,19 +89,41 @@ router.get('/', [
       query.rating = parseInt(req.query.rating);
     }
     
+    // Search filter
+    const search = req.query.search || '';
+    let searchMode = null;
+    if (search) {
+      const textQuery = { ...query, $text: { $search: search } };
+      if (await History.exists(textQuery)) {
+        Object.assign(query, textQuery);
+        searchMode = 'text';
+      } else {
+        const pattern = new RegExp(buildSubstringPattern(search).source, 'i');
+        query.$or = [
+          { videoTitle: pattern },
+          { channelName: pattern },
+          { tags: pattern }
+        ];
+        searchMode = 'substring';
+      }
+    }
+
     // Sort options
+    const sort = req.query.sort || (searchMode === 'text' ? 'relevance' : 'recent');
     let sortOption = { lastAccessedAt: -1 }; // Default: most recently accessed
-    if (req.query.sort === 'created') {
+    if (sort === 'relevance' && searchMode === 'text') {
+      sortOption = { score: { $meta: 'textScore' }, lastAccessedAt: -1 };
+    } else if (sort === 'created') {
       sortOption = { createdAt: -1 };
-    } else if (req.query.sort === 'title') {
+    } else if (sort === 'title') {
       sortOption = { videoTitle: 1 };
-    } else if (req.query.sort === 'channel') {
+    } else if (sort === 'channel') {
       sortOption = { channelName: 1 };
-    } else if (req.query.sort === 'rating') {
+    } else if (sort === 'rating') {
       sortOption = { rating: -1, createdAt: -1 };
     }
 
-    const historyItems = await History.find(query)
+    const historyItems = await History.find(query, searchMode === 'text' ? { score: { $meta: 'textScore' } } : {})
       .sort(sortOption)
       .skip(skip)
       .limit(limit);
@@ -75,7 +133,9 @@ router.get('/', [
     res.json({
       success: true,
       data: {
-        history: historyItems,
+        history: search
+          ? historyItems.map(item => ({ ...item.toJSON(), searchMatch: buildSearchMatch(item, search, searchMode) }))
+          : historyItems,
         pagination: {
           page,
           limit,
@@ -83,10 +143,11 @@ router.get('/', [
           pages: Math.ceil(total / limit)
         },
         filters: {
-          search: req.query.search || '',
+          search,
+          searchMode,
           bookmarked: req.query.bookmarked === 'true',
           rating: req.query.rating ? parseInt(req.query.rating) : null,
-          sort: req.query.sort || 'recent'
+          sort
         }
       }
     });
@@ -377,6 +438,9 @@ router.delete('/:videoId', [
       });
     }
 
+    // Flashcards belong to the history item
+    await Flashcard.deleteMany({ historyId: deletedItem._id });
+
     res.json({
       success: true,
       message: 'Video removed from history successfully'
@@ -405,6 +469,7 @@ router.delete('/', async (req, res) => {
     }
 
     const result = await History.deleteMany({});
+    await Flashcard.deleteMany({});
 
     res.json({
       success: true,
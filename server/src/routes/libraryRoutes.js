@@ -0,0 +1,93 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { LibraryService } from '../services/libraryService.js';
+
+// Mounted at /api
+const router = express.Router();
+const libraryService = new LibraryService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/export/library - Download a backup of the whole library
+router.get('/export/library', async (req, res) => {
+  try {
+    const date = new Date().toISOString().substring(0, 10);
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="vid-essence-library-${date}.json"`);
+
+    console.log('📦 Exporting library backup');
+    await libraryService.writeArchive(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Error exporting library:', error);
+    // Once the archive has started streaming the client can only see a truncated file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export library',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/import/library - Restore a library backup (the archive is the request body)
+router.post('/import/library', [
+  query('mode').optional().isIn(['merge', 'replace']).withMessage('Mode must be merge or replace'),
+  query('overwrite').optional().isBoolean().withMessage('Overwrite must be a boolean'),
+  query('confirm')
+    .if(query('mode').equals('replace'))
+    .equals('true')
+    .withMessage('Replacing the library deletes all current data; add ?confirm=true to the request')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    const overwrite = req.query.overwrite === 'true';
+
+    const problems = await libraryService.checkArchive(req.body);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The archive cannot be imported. Nothing was changed.',
+        errors: problems
+      });
+    }
+
+    console.log(`📦 Importing library backup (${mode}${overwrite ? ', overwrite' : ''})`);
+    const result = await libraryService.importArchive(req.body, { mode, overwrite });
+
+    const importedVideos = result.imported.videos;
+    res.json({
+      success: true,
+      message: `Imported ${importedVideos} video${importedVideos === 1 ? '' : 's'}` +
+        (result.duplicateVideoIds.length > 0 && !result.overwrite && mode === 'merge'
+          ? `, skipped ${result.duplicateVideoIds.length} already in the library`
+          : ''),
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error importing library:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import library',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,264 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Video from '../models/Video.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import { AIService } from '../services/aiService.js';
+
+// Mounted at /api/videos/:videoId/quiz
+const router = express.Router({ mergeParams: true });
+
+// Delay instantiation of AIService until it's needed
+let aiService = null;
+
+// Helper function to get AIService instance
+const getAIService = () => {
+  if (!aiService) {
+    aiService = new AIService();
+  }
+  return aiService;
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Helper function to load the video a quiz request is about
+async function findQuizVideo(req, res, projection) {
+  const video = await Video.findByAnyId(req.params.videoId, projection);
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      message: 'Video not found'
+    });
+    return null;
+  }
+  return video;
+}
+
+// POST /api/videos/:videoId/quiz - Generate a quiz from the video transcript
+router.post('/', [
+  body('type')
+    .optional()
+    .isIn(['multiple-choice', 'short-answer'])
+    .withMessage('Type must be multiple-choice or short-answer'),
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Count must be between 1 and 20')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const type = req.body.type || 'multiple-choice';
+    const count = parseInt(req.body.count) || 5;
+
+    const video = await findQuizVideo(req, res);
+    if (!video) return;
+
+    if (video.processingStatus !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video analysis must complete before a quiz can be generated'
+      });
+    }
+
+    console.log(`📝 Generating ${count}-question ${type} quiz for ${video.videoId}`);
+
+    const aiServiceInstance = getAIService();
+    const questions = await aiServiceInstance.generateQuiz(video, { type, count, language: video.outputLanguage });
+    if (questions.length === 0) {
+      return res.status(502).json({
+        success: false,
+        message: 'The AI provider did not return any usable questions. Please try again.'
+      });
+    }
+
+    const quiz = await Quiz.create({
+      videoId: video.videoId,
+      type,
+      questions,
+      ...aiServiceInstance.describeProvider('quiz')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz generated',
+      data: quiz.toQuestionSheet()
+    });
+
+  } catch (error) {
+    console.error('Error generating quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate quiz',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/:videoId/quiz - List a video's quizzes with score statistics
+router.get('/', async (req, res) => {
+  try {
+    const video = await findQuizVideo(req, res, 'videoId');
+    if (!video) return;
+
+    const [quizzes, stats] = await Promise.all([
+      Quiz.findByVideoId(video.videoId),
+      QuizAttempt.getVideoStats(video.videoId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        quizzes: quizzes.map(quiz => quiz.toQuestionSheet()),
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quizzes',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/:videoId/quiz/attempts - Get quiz attempts and scores for a video
+router.get('/attempts', async (req, res) => {
+  try {
+    const video = await findQuizVideo(req, res, 'videoId');
+    if (!video) return;
+
+    const [attempts, stats] = await Promise.all([
+      QuizAttempt.findByVideoId(video.videoId).select('-responses'),
+      QuizAttempt.getVideoStats(video.videoId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting quiz attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quiz attempts',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/:videoId/quiz/:quizId - Get a quiz without its answer key
+router.get('/:quizId', [
+  param('quizId').isMongoId().withMessage('Invalid quiz ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const video = await findQuizVideo(req, res, 'videoId');
+    if (!video) return;
+
+    const quiz = await Quiz.findOne({ _id: req.params.quizId, videoId: video.videoId });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quiz.toQuestionSheet()
+    });
+
+  } catch (error) {
+    console.error('Error getting quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quiz',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/videos/:videoId/quiz/:quizId/attempts - Submit answers, record the score and return the answer key
+router.post('/:quizId/attempts', [
+  param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+  body('responses')
+    .isArray({ max: 20 })
+    .withMessage('Responses must be an array with one answer per question'),
+  body('responses.*')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Each response must be text of at most 1000 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const video = await findQuizVideo(req, res, 'videoId');
+    if (!video) return;
+
+    const quiz = await Quiz.findOne({ _id: req.params.quizId, videoId: video.videoId });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const { results, score, total } = quiz.grade(req.body.responses);
+
+    const attempt = await QuizAttempt.create({
+      quizId: quiz._id,
+      videoId: quiz.videoId,
+      responses: results,
+      score,
+      total
+    });
+
+    console.log(`📝 Quiz ${quiz.id} scored ${score}/${total} for ${quiz.videoId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz attempt recorded',
+      data: {
+        attemptId: attempt._id,
+        score,
+        total,
+        percentage: attempt.percentage,
+        results: results.map(result => {
+          const question = quiz.questions[result.questionIndex];
+          return {
+            ...result,
+            question: question.question,
+            answer: question.answer,
+            explanation: question.explanation,
+            start: question.start
+          };
+        }),
+        stats: await QuizAttempt.getVideoStats(quiz.videoId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording quiz attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record quiz attempt',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,106 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { SearchService } from '../services/searchService.js';
+
+const router = express.Router();
+const searchService = new SearchService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/search - Search the library for videos and transcript passages
+router.get('/', [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('type').optional().isIn(['all', 'videos', 'passages']).withMessage('Type must be all, videos or passages')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const results = await searchService.search(req.query.q, {
+      limit: parseInt(req.query.limit) || 10,
+      type: req.query.type || 'all'
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Error searching library:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search library',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/search/status - Whether search is semantic and how much of the library is embedded
+router.get('/status', async (req, res) => {
+  try {
+    const status = await searchService.getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Error getting search status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get search status',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/search/reindex - Embed the videos analyzed before semantic search was set up
+router.post('/reindex', [
+  body('force').optional().isBoolean().withMessage('Force must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!searchService.getEmbeddingService().isEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Semantic search is not configured. Set EMBEDDING_PROVIDER to enable it.'
+      });
+    }
+
+    const count = await searchService.reindexLibrary({ force: req.body.force === true });
+    if (count === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'The library is already being reindexed'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: count === 0
+        ? 'Every video is already indexed'
+        : `Embedding ${count} video${count === 1 ? '' : 's'} in the background`,
+      data: { count }
+    });
+
+  } catch (error) {
+    console.error('Error reindexing library:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reindex library',
+      error: error.message
+    });
+  }
+});
+
+export default router;
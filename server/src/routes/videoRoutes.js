@@ -1,12 +1,53 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import Video from '../models/Video.js';
 import History from '../models/History.js';
+import Job from '../models/Job.js';
+import Batch from '../models/Batch.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Flashcard from '../models/Flashcard.js';
+import Chat from '../models/Chat.js';
 import { YouTubeService } from '../services/youtubeService.js';
 import { AIService } from '../services/aiService.js';
+import { RetrievalService } from '../services/retrievalService.js';
+import { SearchService } from '../services/searchService.js';
+import { EXPORT_FORMATS, ExportService } from '../services/exportService.js';
+import {
+  ANALYSIS_STAGES,
+  analysisEvents,
+  cancelAnalysisJob,
+  createAnalysisJob,
+  generateSummaryVersion,
+  getStageResult,
+  queueAnalysis,
+  replaceTranscript,
+  retryAnalysisJob
+} from '../services/analysisPipeline.js';
+import { SUMMARY_LENGTHS, SUMMARY_STYLES } from '../config/summaryStyles.js';
+import { openEventStream, writeComment, writeEvent } from '../utils/sse.js';
+import { SUBTITLE_FORMATS, parseSubtitles } from '../utils/subtitles.js';
+import { escapeRegExp } from '../utils/textSearch.js';
+import { buildWatchUrl, isYouTubeVideoUrl, parseYouTubeUrl } from '../shared/youtubeUrl.js';
+import { OUTPUT_LANGUAGES, isLanguageCode } from '../shared/languages.js';
+
+// How often an event stream re-reads job state, for workers in other processes
+const EVENTS_POLL_INTERVAL_MS = 2000;
+// How often an idle event stream sends a keep-alive comment
+const EVENTS_KEEPALIVE_MS = 15000;
+// Reconnect delay suggested to EventSource clients
+const EVENTS_RETRY_MS = 3000;
+// Largest number of videos one batch may queue
+const BATCH_MAX_VIDEOS = parseInt(process.env.BATCH_MAX_VIDEOS) || 50;
+// Number of videos one comparison takes
+const COMPARE_MIN_VIDEOS = 2;
+const COMPARE_MAX_VIDEOS = 5;
 
 const router = express.Router();
 const youtubeService = new YouTubeService();
+const retrievalService = new RetrievalService();
+const searchService = new SearchService();
+const exportService = new ExportService();
 // Delay instantiation of AIService until it's needed
 let aiService = null;
 
@@ -31,259 +72,611 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// POST /api/videos/analyze - Analyze and summarize a YouTube video
+// Validation rules for the languages a new analysis uses: the caption track
+// to transcribe and the language of the summary and key points
+const analysisLanguageValidation = [
+  body('transcriptLanguage')
+    .optional()
+    .custom((value) => {
+      if (!isLanguageCode(value)) {
+        throw new Error('Transcript language must be a language code such as "es" or "pt-BR"');
+      }
+      return true;
+    }),
+  body('outputLanguage')
+    .optional()
+    .isIn(Object.keys(OUTPUT_LANGUAGES))
+    .withMessage(`Output language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`)
+];
+
+// POST /api/videos/analyze - Queue a YouTube video for analysis
 router.post('/analyze', [
+  ...analysisLanguageValidation,
   body('url')
     .isURL()
     .withMessage('Please provide a valid URL')
     .custom((value) => {
-      const youtubeRegex = /^https?:\/\/(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/).+/;
-      if (!youtubeRegex.test(value)) {
+      if (!isYouTubeVideoUrl(value)) {
         throw new Error('Please provide a valid YouTube URL');
       }
       return true;
     })
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, transcriptLanguage, outputLanguage } = req.body;
     
     console.log(`📹 Starting video analysis for: ${url}`);
     
-    // Extract video ID
-    const videoId = youtubeService.extractVideoId(url);
-    if (!videoId) {
+    // Extract video ID, start time and playlist from any URL variant
+    const parsedUrl = parseYouTubeUrl(url);
+    if (!parsedUrl?.videoId) {
       return res.status(400).json({
         success: false,
         message: 'Could not extract video ID from URL'
       });
     }
+    const { videoId, start, playlistId } = parsedUrl;
 
-    // Check if video already exists in database
-    let existingVideo = await Video.findByVideoId(videoId);
-    if (existingVideo && existingVideo.processingStatus === 'completed') {
+    // Completed videos are only recorded in history; otherwise an existing
+    // job is reused or resumed instead of starting over. Either way the
+    // requested output language may not be the one used, which languageMismatch
+    // reports so the client can offer to regenerate the summary
+    const { video: existingVideo, job, languageMismatch } = await queueAnalysis(videoId, parsedUrl.url, { transcriptLanguage, outputLanguage });
+    if (existingVideo) {
       console.log(`📹 Video already processed: ${videoId}`);
-      
-      // Update history
-      await updateVideoHistory(existingVideo);
-      
+
       return res.json({
         success: true,
         message: 'Video already processed',
-        data: existingVideo
-      });
-    }
-
-    // Process video immediately (don't save incomplete data to DB first)
-    try {
-      // Step 1: Get video info and transcript
-      const videoData = await youtubeService.processVideo(url);
-      
-      // Step 2: Generate AI summary
-      const aiServiceInstance = getAIService();
-      const summary = await aiServiceInstance.generateSummary(
-        videoData.transcript,
-        videoData.title,
-        videoData.channelName,
-        videoData.duration
-      );
-
-      // Step 3: Extract key points
-      const keyPoints = await aiServiceInstance.extractKeyPoints(
-        videoData.transcript,
-        videoData.title
-      );
-
-      // Step 4: Generate tags
-      const tags = await aiServiceInstance.generateTags(
-        videoData.transcript,
-        videoData.title,
-        videoData.channelName
-      );
-
-      // Step 5: Save complete video data
-      const completeVideoData = {
-        ...videoData,
-        summary,
-        keyPoints,
-        tags,
-        processingStatus: 'completed'
-      };
-
-      let video;
-      if (!existingVideo) {
-        video = new Video(completeVideoData);
-        await video.save();
-      } else {
-        Object.assign(existingVideo, completeVideoData);
-        await existingVideo.save();
-        video = existingVideo;
+        data: { ...existingVideo.toJSON(), languageMismatch }
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Video analysis queued',
+      data: {
+        jobId: job._id,
+        videoId,
+        start,
+        playlistId,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        languageMismatch
       }
+    });
+
+  } catch (error) {
+    console.error('❌ Video analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyze video',
+      error: error.message
+    });
+  }
+});
+
+// Helper function to describe a job's progress for API responses
+function formatJob(job) {
+  return {
+    jobId: job._id,
+    videoId: job.videoId,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    stages: job.stages,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt
+  };
+}
 
-      // Add to history
-      await updateVideoHistory(video);
+// Job states mapped onto the video processingStatus values clients already know
+const JOB_STATUS_TO_VIDEO_STATUS = {
+  queued: 'pending',
+  running: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
 
-      console.log(`✅ Video processing completed: ${video.videoId}`);
+// Helper function to combine a video and its latest job into one processing status
+function describeProcessingStatus(video, job) {
+  // A video that completed earlier stays completed even if a later job exists
+  const status = video?.processingStatus === 'completed' || !job
+    ? video.processingStatus
+    : JOB_STATUS_TO_VIDEO_STATUS[job.status];
 
-      return res.json({
-        success: true,
-        message: 'Video analysis completed',
-        data: video
+  return {
+    videoId: video ? video._id : job.videoId,
+    status,
+    error: job?.error || video?.processingError,
+    progress: status === 'completed' ? 100 : job?.progress || 0,
+    stage: job?.stage || null,
+    job: job ? formatJob(job) : null
+  };
+}
+
+// Helper function to describe a video's summary versions, oldest first
+function formatSummaryVersions(video) {
+  return {
+    videoId: video.videoId,
+    summary: video.summary,
+    defaultSummaryVersion: video.defaultSummaryVersion,
+    versions: video.summaryVersions
+  };
+}
+
+// GET /api/videos/status/:videoId - Get video processing status (accepts both MongoDB ObjectId and YouTube video ID)
+router.get('/status/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const video = await Video.findByAnyId(videoId, 'videoId processingStatus processingError');
+    const job = await Job.findLatestByVideoId(video ? video.videoId : videoId);
+    
+    if (!video && !job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
       });
+    }
+
+    res.json({
+      success: true,
+      data: describeProcessingStatus(video, job)
+    });
 
-    } catch (error) {
-      console.error('❌ Video processing error:', error);
-      return res.status(500).json({
+  } catch (error) {
+    console.error('Error getting video status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get video status',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/jobs/:jobId - Get an analysis job with its stages
+router.get('/jobs/:jobId', [
+  param('jobId').isMongoId().withMessage('Invalid job ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to analyze video',
-        error: error.message
+        message: 'Job not found'
       });
     }
 
+    res.json({
+      success: true,
+      data: formatJob(job)
+    });
+
   } catch (error) {
-    console.error('❌ Video analysis error:', error);
+    console.error('Error getting job:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to analyze video',
+      message: 'Failed to get job',
       error: error.message
     });
   }
 });
 
-// Background processing function
-async function processVideoInBackground(videoDocId, url) {
+// Helper function to describe a batch with each video's processing status and the aggregate progress
+async function describeBatch(batch) {
+  const videoIds = batch.items.map(item => item.videoId);
+  const [videos, jobs] = await Promise.all([
+    Video.find({ videoId: { $in: videoIds } }).select('videoId title thumbnailUrl channelName duration processingStatus processingError'),
+    Job.find({ videoId: { $in: videoIds } }).sort({ createdAt: -1 })
+  ]);
+
+  const videosById = new Map(videos.map(video => [video.videoId, video]));
+  // The latest job wins, so a video re-analyzed after the batch reports its new run
+  const latestJobs = new Map();
+  jobs.forEach(job => {
+    if (!latestJobs.has(job.videoId)) latestJobs.set(job.videoId, job);
+  });
+
+  const items = batch.items.map((item, index) => {
+    const video = videosById.get(item.videoId);
+    const job = latestJobs.get(item.videoId);
+    // Deleting a video also deletes its jobs
+    const processing = video || job
+      ? describeProcessingStatus(video, job)
+      : { status: 'removed', error: null, progress: 0, stage: null };
+
+    return {
+      position: index + 1,
+      videoId: item.videoId,
+      url: item.url,
+      title: video?.title || item.title,
+      thumbnailUrl: video?.thumbnailUrl,
+      channelName: video?.channelName,
+      duration: video?.duration,
+      status: processing.status,
+      error: processing.error,
+      progress: processing.progress,
+      stage: processing.stage,
+      jobId: job ? job._id : null
+    };
+  });
+
+  const counts = { pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0, removed: 0 };
+  items.forEach(item => {
+    counts[item.status] += 1;
+  });
+
+  const tracked = items.filter(item => item.status !== 'removed');
+  const progress = tracked.length > 0
+    ? Math.round(tracked.reduce((sum, item) => sum + item.progress, 0) / tracked.length)
+    : 100;
+
+  let status = 'completed';
+  if (counts.pending + counts.processing > 0) {
+    status = 'processing';
+  } else if (counts.failed + counts.cancelled > 0) {
+    status = 'completed_with_errors';
+  }
+
+  return {
+    _id: batch._id,
+    title: batch.title,
+    source: batch.source,
+    playlistId: batch.playlistId,
+    url: batch.url,
+    status,
+    progress,
+    counts,
+    videoCount: items.length,
+    playlistTotal: batch.playlistTotal,
+    truncatedCount: Math.max((batch.playlistTotal || 0) - items.length, 0),
+    items,
+    createdAt: batch.createdAt
+  };
+}
+
+// POST /api/videos/batch - Queue a playlist, or a list of video URLs, for analysis as one batch
+router.post('/batch', [
+  ...analysisLanguageValidation,
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid URL')
+    .custom((value) => {
+      if (!youtubeService.extractPlaylistId(value)) {
+        throw new Error('Please provide a YouTube playlist URL');
+      }
+      return true;
+    }),
+  body('urls')
+    .optional()
+    .isArray({ min: 1, max: BATCH_MAX_VIDEOS })
+    .withMessage(`URLs must be a list of 1 to ${BATCH_MAX_VIDEOS} video URLs`),
+  body('urls.*')
+    .isURL()
+    .withMessage('Please provide valid URLs')
+    .bail()
+    .custom((value) => {
+      if (!isYouTubeVideoUrl(value)) {
+        throw new Error('Please provide valid YouTube video URLs');
+      }
+      return true;
+    }),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Title must be 1-500 characters'),
+  body().custom((value) => {
+    if (Boolean(value.url) === Boolean(value.urls)) {
+      throw new Error('Provide either a playlist url or a list of urls');
+    }
+    return true;
+  })
+], handleValidationErrors, async (req, res) => {
   try {
-    console.log(`🔄 Background processing started for video: ${videoDocId}`);
-    
-    const video = await Video.findById(videoDocId);
-    if (!video) {
-      console.error('Video document not found');
-      return;
+    const { url, urls, title, transcriptLanguage, outputLanguage } = req.body;
+
+    let batch;
+    if (url) {
+      const playlistId = youtubeService.extractPlaylistId(url);
+      console.log(`📚 Expanding playlist ${playlistId}`);
+
+      let playlist;
+      try {
+        playlist = await youtubeService.getPlaylist(playlistId, { limit: BATCH_MAX_VIDEOS });
+      } catch (error) {
+        return res.status(422).json({
+          success: false,
+          message: 'Could not read the playlist',
+          error: error.message
+        });
+      }
+
+      batch = new Batch({
+        title: title || playlist.title,
+        source: 'playlist',
+        playlistId,
+        url,
+        playlistTotal: playlist.totalVideos,
+        items: playlist.videos.map(video => ({ videoId: video.videoId, url: video.url, title: video.title }))
+      });
+      if (playlist.totalVideos > batch.items.length) {
+        console.log(`📚 Playlist ${playlistId} has ${playlist.totalVideos} videos; only the first ${batch.items.length} are queued`);
+      }
+    } else {
+      const items = [];
+      for (const videoUrl of urls) {
+        const parsedUrl = parseYouTubeUrl(videoUrl);
+        if (!parsedUrl?.videoId) {
+          return res.status(400).json({
+            success: false,
+            message: `Could not extract video ID from URL: ${videoUrl}`
+          });
+        }
+        if (!items.some(item => item.videoId === parsedUrl.videoId)) {
+          items.push({ videoId: parsedUrl.videoId, url: parsedUrl.url });
+        }
+      }
+
+      batch = new Batch({
+        title: title || `${items.length} video${items.length === 1 ? '' : 's'}`,
+        source: 'urls',
+        items
+      });
     }
 
-    // Step 1: Get video info and transcript
-    const videoData = await youtubeService.processVideo(url);
-    
-    // Step 2: Generate AI summary
-    const aiServiceInstance = getAIService();
-    const summary = await aiServiceInstance.generateSummary(
-      videoData.transcript,
-      videoData.title,
-      videoData.channelName,
-      videoData.duration
-    );
-
-    // Step 3: Extract key points
-    const keyPoints = await aiServiceInstance.extractKeyPoints(
-      videoData.transcript,
-      videoData.title
-    );
-
-    // Step 4: Generate tags
-    const tags = await aiServiceInstance.generateTags(
-      videoData.transcript,
-      videoData.title,
-      videoData.channelName
-    );
-
-    // Update video record
-    Object.assign(video, {
-      ...videoData,
-      summary,
-      keyPoints,
-      tags,
-      processingStatus: 'completed'
+    // Saved before any job is queued, so a failure part-way leaves no job outside a batch
+    await batch.save();
+
+    // Queue in order so the worker analyzes the videos in playlist order
+    for (const item of batch.items) {
+      const { job } = await queueAnalysis(item.videoId, item.url, { transcriptLanguage, outputLanguage });
+      item.jobId = job ? job._id : null;
+    }
+    await batch.save();
+
+    console.log(`📚 Batch ${batch.id} queued with ${batch.items.length} videos`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch analysis queued',
+      data: await describeBatch(batch)
     });
 
-    await video.save();
+  } catch (error) {
+    console.error('❌ Batch analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue batch analysis',
+      error: error.message
+    });
+  }
+});
 
-    // Add to history
-    await updateVideoHistory(video);
+// GET /api/videos/batch - List recent batches with their progress
+router.get('/batch', [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const batches = await Batch.findRecent(limit);
 
-    console.log(`✅ Video processing completed: ${video.videoId}`);
+    res.json({
+      success: true,
+      data: await Promise.all(batches.map(describeBatch))
+    });
 
   } catch (error) {
-    console.error('❌ Background processing error:', error);
-    
-    // Update video with error status
-    try {
-      const video = await Video.findById(videoDocId);
-      if (video) {
-        video.processingStatus = 'failed';
-        video.processingError = error.message;
-        await video.save();
-      }
-    } catch (updateError) {
-      console.error('Failed to update video error status:', updateError);
+    console.error('Error getting batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get batches',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/batch/:batchId - Get a batch with the status of each video and aggregate progress
+router.get('/batch/:batchId', [
+  param('batchId').isMongoId().withMessage('Invalid batch ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
     }
+
+    res.json({
+      success: true,
+      data: await describeBatch(batch)
+    });
+
+  } catch (error) {
+    console.error('Error getting batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get batch',
+      error: error.message
+    });
   }
-}
+});
 
-// Helper function to update video history
-async function updateVideoHistory(video) {
+// POST /api/videos/batch/:batchId/cancel - Cancel every queued or running analysis in a batch
+router.post('/batch/:batchId/cancel', [
+  param('batchId').isMongoId().withMessage('Invalid batch ID')
+], handleValidationErrors, async (req, res) => {
   try {
-    const existingHistory = await History.findOne({ videoId: video.videoId });
-    
-    if (existingHistory) {
-      await existingHistory.updateAccess();
-    } else {
-      const historyData = {
-        videoId: video.videoId,
-        videoTitle: video.title,
-        videoUrl: video.url,
-        thumbnailUrl: video.thumbnailUrl,
-        channelName: video.channelName,
-        duration: video.duration,
-        summary: video.summary,
-        keyPoints: video.keyPoints || [],
-        tags: video.tags || []
-      };
-      
-      await History.create(historyData);
+    const batch = await Batch.findById(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    const jobs = await Job.find({
+      videoId: { $in: batch.items.map(item => item.videoId) },
+      status: { $in: ['queued', 'running'] }
+    });
+    for (const job of jobs) {
+      await cancelAnalysisJob(job);
     }
+
+    console.log(`🛑 Batch ${batch.id}: cancellation requested for ${jobs.length} jobs`);
+
+    res.json({
+      success: true,
+      message: `Cancellation requested for ${jobs.length} video${jobs.length === 1 ? '' : 's'}`,
+      data: await describeBatch(batch)
+    });
+
   } catch (error) {
-    console.error('Error updating history:', error);
+    console.error('Error cancelling batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel batch',
+      error: error.message
+    });
   }
-}
+});
 
-// GET /api/videos/status/:videoId - Get video processing status (accepts both MongoDB ObjectId and YouTube video ID)
-router.get('/status/:videoId', async (req, res) => {
+// POST /api/videos/batch/:batchId/retry - Resume every failed or cancelled analysis in a batch
+router.post('/batch/:batchId/retry', [
+  param('batchId').isMongoId().withMessage('Invalid batch ID')
+], handleValidationErrors, async (req, res) => {
   try {
-    const { videoId } = req.params;
-    
-    let video;
-    
-    // Check if it's a MongoDB ObjectId (24 hex characters) or YouTube video ID (11 characters)
-    if (videoId.match(/^[0-9a-fA-F]{24}$/)) {
-      // MongoDB ObjectId format
-      video = await Video.findById(videoId);
-    } else {
-      // YouTube video ID format
-      video = await Video.findByVideoId(videoId);
+    const batch = await Batch.findById(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
     }
-    
-    if (!video) {
+
+    let retried = 0;
+    for (const item of batch.items) {
+      const video = await Video.findByVideoId(item.videoId).select('processingStatus');
+      if (video?.processingStatus === 'completed') continue;
+
+      const job = await Job.findLatestByVideoId(item.videoId);
+      if (job && ['failed', 'cancelled'].includes(job.status) && await retryAnalysisJob(job)) {
+        retried += 1;
+      }
+    }
+
+    console.log(`🔄 Batch ${batch.id}: ${retried} jobs queued again`);
+
+    res.json({
+      success: true,
+      message: `Queued ${retried} video${retried === 1 ? '' : 's'} again`,
+      data: await describeBatch(batch)
+    });
+
+  } catch (error) {
+    console.error('Error retrying batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry batch',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/videos/compare - Compare two to five analyzed videos: shared themes,
+// disagreements, what each adds, and which to watch for which purpose
+router.post('/compare', [
+  body('videoIds')
+    .isArray({ min: COMPARE_MIN_VIDEOS, max: COMPARE_MAX_VIDEOS })
+    .withMessage(`Video IDs must be a list of ${COMPARE_MIN_VIDEOS} to ${COMPARE_MAX_VIDEOS} videos`),
+  body('videoIds.*')
+    .isString()
+    .matches(/^([0-9a-fA-F]{24}|[a-zA-Z0-9_-]{11})$/)
+    .withMessage('Invalid video ID format'),
+  body('language')
+    .optional()
+    .isIn(Object.keys(OUTPUT_LANGUAGES))
+    .withMessage(`Language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { videoIds, language } = req.body;
+
+    const found = await Promise.all(videoIds.map(id => Video.findByAnyId(id, '-transcript -transcriptSegments -summaryVersions')));
+    const missing = videoIds.filter((id, index) => !found[index]);
+    if (missing.length > 0) {
       return res.status(404).json({
         success: false,
-        message: 'Video not found'
+        message: `Video not found: ${missing.join(', ')}`
+      });
+    }
+
+    // The same video given twice, by YouTube and MongoDB ID, counts once
+    const videos = found.filter((video, index) => found.findIndex(other => other.videoId === video.videoId) === index);
+    if (videos.length < COMPARE_MIN_VIDEOS) {
+      return res.status(400).json({
+        success: false,
+        message: `Pick at least ${COMPARE_MIN_VIDEOS} different videos to compare`
+      });
+    }
+
+    const unfinished = videos.filter(video => video.processingStatus !== 'completed');
+    if (unfinished.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Video analysis must complete before comparing: ${unfinished.map(video => video.title || video.videoId).join(', ')}`
       });
     }
 
+    console.log(`⚖️ Comparing ${videos.map(video => video.videoId).join(', ')}`);
+
+    const ai = getAIService();
+    const comparison = await ai.compareVideos(videos, {
+      language: language || videos[0].outputLanguage
+    });
+
     res.json({
       success: true,
       data: {
-        videoId: video._id,
-        status: video.processingStatus,
-        error: video.processingError,
-        progress: video.processingStatus === 'completed' ? 100 : 
-                 video.processingStatus === 'processing' ? 50 : 0
+        videos: videos.map(video => ({
+          videoId: video.videoId,
+          id: video._id,
+          title: video.title,
+          channelName: video.channelName,
+          thumbnailUrl: video.thumbnailUrl,
+          duration: video.duration,
+          publishedAt: video.publishedAt,
+          transcriptQuality: video.transcriptQuality,
+          url: buildWatchUrl(video.videoId)
+        })),
+        ...comparison,
+        language: language || videos[0].outputLanguage,
+        ...ai.describeProvider('compare')
       }
     });
 
   } catch (error) {
-    console.error('Error getting video status:', error);
+    if (error.name === 'AIResponseError') {
+      return res.status(502).json({
+        success: false,
+        message: 'The AI provider did not return a usable comparison. Please try again.',
+        error: error.message
+      });
+    }
+
+    console.error('Error comparing videos:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get video status',
+      message: 'Failed to compare videos',
       error: error.message
     });
   }
@@ -327,6 +720,551 @@ router.get('/:videoId', async (req, res) => {
   }
 });
 
+// GET /api/videos/:videoId/transcript - Get timestamped transcript segments
+router.get('/:videoId/transcript', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    const video = await Video.findByAnyId(videoId, 'videoId title duration transcript transcriptSegments');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        videoId: video.videoId,
+        title: video.title,
+        duration: video.duration,
+        segments: video.transcriptSegments,
+        transcript: video.transcript
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting video transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get video transcript',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/videos/:videoId/transcript - Replace the transcript with an uploaded SRT, WebVTT or plain-text file
+// and re-run the summary, key points, tags and chapters from it
+router.post('/:videoId/transcript', [
+  body('content')
+    .isString()
+    .withMessage('Content must be the subtitle file as text')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('The subtitle file is empty'),
+  body('format')
+    .optional()
+    .isIn(SUBTITLE_FORMATS)
+    .withMessage(`Format must be one of: ${SUBTITLE_FORMATS.join(', ')}`),
+  body('language')
+    .optional()
+    .custom((value) => {
+      if (!isLanguageCode(value)) {
+        throw new Error('Language must be a language code such as "es" or "pt-BR"');
+      }
+      return true;
+    })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const video = await Video.findByAnyId(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const activeJob = await Job.findActiveByVideoId(video.videoId);
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        message: 'The video is still being analyzed; cancel or wait for the analysis first',
+        data: formatJob(activeJob)
+      });
+    }
+
+    const { format, segments } = parseSubtitles(req.body.content, {
+      format: req.body.format,
+      duration: video.duration
+    });
+    if (segments.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: `No subtitles found in the ${format === 'text' ? 'text' : format.toUpperCase()} file`
+      });
+    }
+
+    console.log(`📝 Transcript uploaded for ${video.videoId}: ${segments.length} segments (${format})`);
+    const job = await replaceTranscript(video, segments, { language: req.body.language });
+
+    res.status(202).json({
+      success: true,
+      message: 'Transcript replaced; summary is being regenerated',
+      data: {
+        jobId: job._id,
+        videoId: video.videoId,
+        format,
+        segmentCount: segments.length,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      // An analysis was queued for the video after the check above
+      return res.status(409).json({
+        success: false,
+        message: 'The video is still being analyzed; cancel or wait for the analysis first'
+      });
+    }
+
+    console.error('Error uploading transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload transcript',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/:videoId/events - Stream analysis progress as Server-Sent Events
+// Events: "status" { status, stage, progress, job } on every change, "stage" { name, progress, data }
+// once per completed stage with its results, then "done" { video }, "failed" { error } or "cancelled" { job }.
+// A reconnecting client receives the current state again.
+router.get('/:videoId/events', async (req, res) => {
+  try {
+    const initialVideo = await Video.findByAnyId(req.params.videoId, 'videoId');
+    const videoId = initialVideo ? initialVideo.videoId : req.params.videoId;
+    const initialJob = await Job.findLatestByVideoId(videoId);
+
+    if (!initialVideo && !initialJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    openEventStream(res);
+    res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+
+    const sentStages = new Set();
+    let lastStatus = null;
+    let closed = false;
+    let syncing = false;
+    let syncAgain = false;
+
+    const sendUpdates = async () => {
+      const job = await Job.findLatestByVideoId(videoId);
+      const video = await Video.findByVideoId(videoId).select('videoId processingStatus processingError');
+      if (!video && !job) return;
+
+      const processing = describeProcessingStatus(video, job);
+
+      const statusKey = JSON.stringify([processing.status, processing.stage, processing.progress, job?.attempts, processing.error]);
+      if (statusKey !== lastStatus) {
+        lastStatus = statusKey;
+        writeEvent(res, 'status', processing);
+      }
+
+      // Videos analyzed before the job queue have every stage saved but no job
+      const completedStages = ANALYSIS_STAGES.filter(name => job
+        ? job.getStage(name)?.status === 'completed'
+        : processing.status === 'completed');
+      const newStages = completedStages.filter(name => !sentStages.has(name));
+
+      const finished = ['completed', 'failed', 'cancelled'].includes(processing.status);
+      if (newStages.length === 0 && !finished) return;
+
+      const fullVideo = video ? await Video.findByVideoId(videoId) : null;
+      if (fullVideo) {
+        newStages.forEach(name => {
+          sentStages.add(name);
+          writeEvent(res, 'stage', {
+            name,
+            progress: processing.progress,
+            data: getStageResult(name, fullVideo)
+          });
+        });
+      }
+
+      if (processing.status === 'completed') {
+        writeEvent(res, 'done', { video: fullVideo });
+        close();
+      } else if (processing.status === 'failed') {
+        writeEvent(res, 'failed', { error: processing.error || 'Video processing failed' });
+        close();
+      } else if (processing.status === 'cancelled') {
+        writeEvent(res, 'cancelled', { job: processing.job });
+        close();
+      }
+    };
+
+    // Updates can arrive from the event bus and the poll timer at once;
+    // run them one at a time so events are never sent twice
+    const sync = async () => {
+      if (closed) return;
+      if (syncing) {
+        syncAgain = true;
+        return;
+      }
+
+      syncing = true;
+      try {
+        do {
+          syncAgain = false;
+          await sendUpdates();
+        } while (syncAgain && !closed);
+      } catch (error) {
+        console.error('Error streaming analysis events:', error);
+      } finally {
+        syncing = false;
+      }
+    };
+
+    const onUpdate = (updatedVideoId) => {
+      if (updatedVideoId === videoId) sync();
+    };
+
+    const pollTimer = setInterval(sync, EVENTS_POLL_INTERVAL_MS);
+    const keepAliveTimer = setInterval(() => writeComment(res, 'keep-alive'), EVENTS_KEEPALIVE_MS);
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(pollTimer);
+      clearInterval(keepAliveTimer);
+      analysisEvents.off('update', onUpdate);
+      res.end();
+    }
+
+    analysisEvents.on('update', onUpdate);
+    res.on('close', close);
+
+    await sync();
+
+  } catch (error) {
+    console.error('Error opening analysis event stream:', error);
+    if (res.headersSent) {
+      writeEvent(res, 'error', { message: 'Failed to stream analysis events' });
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stream analysis events',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/videos/:videoId/cancel - Cancel a queued or running analysis
+router.post('/:videoId/cancel', async (req, res) => {
+  try {
+    const video = await Video.findByAnyId(req.params.videoId, 'videoId');
+    const job = await Job.findActiveByVideoId(video ? video.videoId : req.params.videoId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'No analysis in progress for this video'
+      });
+    }
+
+    const cancelled = await cancelAnalysisJob(job);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Analysis already finished'
+      });
+    }
+
+    console.log(`🛑 Cancellation requested for job ${cancelled.id} (${cancelled.videoId})`);
+
+    // A running job stops once its worker sees the request
+    res.status(cancelled.status === 'cancelled' ? 200 : 202).json({
+      success: true,
+      message: cancelled.status === 'cancelled' ? 'Analysis cancelled' : 'Cancellation requested',
+      data: formatJob(cancelled)
+    });
+
+  } catch (error) {
+    console.error('Error cancelling analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel analysis',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/videos/:videoId/retry - Resume a failed or cancelled analysis from its first unfinished stage
+router.post('/:videoId/retry', async (req, res) => {
+  try {
+    const video = await Video.findByAnyId(req.params.videoId, 'videoId url processingStatus');
+    const videoId = video ? video.videoId : req.params.videoId;
+
+    if (video?.processingStatus === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video analysis already completed'
+      });
+    }
+
+    const activeJob = await Job.findActiveByVideoId(videoId);
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        message: 'Analysis already in progress',
+        data: formatJob(activeJob)
+      });
+    }
+
+    const latestJob = await Job.findLatestByVideoId(videoId);
+    if (!latestJob && !video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    // Videos that failed before the job queue existed have no job to resume
+    let job = latestJob && await retryAnalysisJob(latestJob);
+    if (!job) {
+      job = await createAnalysisJob(videoId, video?.url || latestJob.url);
+    }
+
+    console.log(`🔁 Analysis job ${job.id} queued again for ${videoId}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Video analysis queued',
+      data: formatJob(job)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      // Another request queued the video after the check above
+      return res.status(409).json({
+        success: false,
+        message: 'Analysis already in progress'
+      });
+    }
+
+    console.error('Error retrying analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry analysis',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/videos/:videoId/regenerate - Generate a new summary version in a chosen style and language
+router.post('/:videoId/regenerate', [
+  body('style')
+    .isIn(Object.keys(SUMMARY_STYLES))
+    .withMessage(`Style must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`),
+  body('length')
+    .optional()
+    .isIn(Object.keys(SUMMARY_LENGTHS))
+    .withMessage(`Length must be one of: ${Object.keys(SUMMARY_LENGTHS).join(', ')}`),
+  body('instruction')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Instruction must be at most 500 characters'),
+  body('language')
+    .optional()
+    .isIn(Object.keys(OUTPUT_LANGUAGES))
+    .withMessage(`Language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`),
+  body('setDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('setDefault must be a boolean')
+    .toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { style, length, instruction, language, setDefault } = req.body;
+
+    const video = await Video.findByAnyId(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (video.processingStatus !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video analysis must complete before the summary can be regenerated'
+      });
+    }
+
+    console.log(`📝 Regenerating ${style} summary for ${video.videoId}`);
+
+    const version = await generateSummaryVersion(video, {
+      style,
+      length,
+      instruction: instruction || undefined,
+      language: language || video.outputLanguage,
+      makeDefault: setDefault === true
+    });
+    await video.save();
+    if (setDefault === true) {
+      // History shows the default summary too
+      await History.syncAnalysis(video);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Summary regenerated',
+      data: {
+        version,
+        ...formatSummaryVersions(video)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error regenerating summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate summary',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/:videoId/summary-versions - List a video's summary versions
+router.get('/:videoId/summary-versions', async (req, res) => {
+  try {
+    const video = await Video.findByAnyId(req.params.videoId, 'videoId summary summaryVersions defaultSummaryVersion');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSummaryVersions(video)
+    });
+
+  } catch (error) {
+    console.error('Error getting summary versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get summary versions',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/videos/:videoId/summary-versions/:versionId/default - Make a summary version the default
+router.put('/:videoId/summary-versions/:versionId/default', [
+  param('versionId').isMongoId().withMessage('Invalid summary version ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const video = await Video.findByAnyId(req.params.videoId);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (!video.setDefaultSummaryVersion(req.params.versionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Summary version not found'
+      });
+    }
+    await video.save();
+    await History.syncAnalysis(video);
+
+    res.json({
+      success: true,
+      message: 'Default summary updated',
+      data: formatSummaryVersions(video)
+    });
+
+  } catch (error) {
+    console.error('Error setting default summary version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set default summary version',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/videos/:videoId/export - Download the analysis as Markdown, HTML, JSON or PDF
+router.get('/:videoId/export', [
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('includeChat').optional().isBoolean().withMessage('includeChat must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    const includeChat = req.query.includeChat === 'true';
+
+    const video = await Video.findByAnyId(req.params.videoId, '-transcript -transcriptSegments -summaryVersions');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (video.processingStatus !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video analysis must complete before it can be exported'
+      });
+    }
+
+    const [history, chats] = await Promise.all([
+      History.findOne({ videoId: video.videoId }),
+      includeChat ? Chat.findByVideoId(video.videoId) : []
+    ]);
+
+    const doc = exportService.buildDocument(video, { history, chats });
+    const output = await exportService.render(doc, format);
+    const { extension, contentType } = EXPORT_FORMATS[format];
+
+    console.log(`📤 Exporting ${video.videoId} as ${format}`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${video.videoId}-summary.${extension}"`);
+    res.send(output);
+
+  } catch (error) {
+    console.error('Error exporting video:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export video',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/videos/youtube/:youtubeVideoId - Get video by YouTube video ID
 router.get('/youtube/:youtubeVideoId', [
   param('youtubeVideoId').isLength({ min: 11, max: 11 }).withMessage('Invalid YouTube video ID')
@@ -371,19 +1309,30 @@ router.get('/', async (req, res) => {
       query.processingStatus = req.query.status;
     }
     
-    // Search by title or channel
+    // Text search ranked by relevance, or titles and channels containing the
+    // search when it matches no whole word
+    let sortOption = { createdAt: -1 };
+    let projection = {};
     if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { channelName: { $regex: req.query.search, $options: 'i' } }
-      ];
+      const textQuery = { ...query, $text: { $search: String(req.query.search) } };
+      if (await Video.exists(textQuery)) {
+        Object.assign(query, textQuery);
+        projection = { score: { $meta: 'textScore' } };
+        sortOption = { score: { $meta: 'textScore' }, createdAt: -1 };
+      } else {
+        const pattern = new RegExp(escapeRegExp(String(req.query.search)), 'i');
+        query.$or = [
+          { title: pattern },
+          { channelName: pattern }
+        ];
+      }
     }
 
-    const videos = await Video.find(query)
-      .sort({ createdAt: -1 })
+    const videos = await Video.find(query, projection)
+      .sort(sortOption)
       .skip(skip)
       .limit(limit)
-      .select('-transcript'); // Exclude transcript for list view
+      .select('-transcript -transcriptSegments -summaryVersions'); // Exclude transcript for list view
 
     const total = await Video.countDocuments(query);
 
@@ -428,8 +1377,18 @@ router.delete('/:videoId', [
     // Delete from video collection
     await Video.findByIdAndDelete(videoId);
     
-    // Delete from history if exists
+    // Delete from history if exists, along with its flashcards
     await History.findOneAndDelete({ videoId: video.videoId });
+    await Flashcard.deleteMany({ videoId: video.videoId });
+
+    // Delete the transcript index, search embeddings and analysis jobs
+    await retrievalService.removeVideo(video.videoId);
+    await searchService.removeVideo(video.videoId);
+    await Job.deleteMany({ videoId: video.videoId });
+
+    // Delete quizzes and their recorded attempts
+    await Quiz.deleteMany({ videoId: video.videoId });
+    await QuizAttempt.deleteMany({ videoId: video.videoId });
 
     res.json({
       success: true,
@@ -12,6 +12,11 @@ import { errorHandler, notFound } from './middleware/errorMiddleware.js';
 import videoRoutes from './routes/videoRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
 import historyRoutes from './routes/historyRoutes.js';
+import quizRoutes from './routes/quizRoutes.js';
+import flashcardRoutes from './routes/flashcardRoutes.js';
+import libraryRoutes from './routes/libraryRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import { createAnalysisWorker } from './services/analysisPipeline.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,6 +33,11 @@ app.set('trust proxy', 1);
 // Connect to MongoDB
 connectDB();
 
+// Process queued video analysis jobs in this process unless a separate
+// worker (npm run worker) is used
+const analysisWorker = process.env.JOB_WORKER_ENABLED === 'false' ? null : createAnalysisWorker();
+analysisWorker?.start();
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -54,7 +64,9 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Lets the frontend read the file name of downloads
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Rate limiting
@@ -69,6 +81,8 @@ const limiter = rateLimit({
 app.use('/api', limiter);
 
 // Body parsing middleware
+// Library backups can be much larger than any other request
+app.use('/api/import/library', express.json({ limit: process.env.LIBRARY_IMPORT_MAX_SIZE || '100mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -90,9 +104,13 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/videos/:videoId/quiz', quizRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/history', historyRoutes);
+app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api', libraryRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -111,11 +129,13 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  analysisWorker?.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  analysisWorker?.stop();
   process.exit(0);
 });
 
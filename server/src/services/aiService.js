@@ -1,94 +1,262 @@
-import axios from 'axios';
+import crypto from 'crypto';
+import { getTaskProvider } from '../config/ai.js';
+import { createAbortError, createProvider } from './providers/index.js';
+import {
+  DEFAULT_SUMMARY_LENGTH,
+  DEFAULT_SUMMARY_STYLE,
+  SUMMARY_LENGTHS,
+  SUMMARY_STYLES
+} from '../config/summaryStyles.js';
+import { chunkText, estimateTokens, formatTimestamp, groupSegments, parseTimestamp } from '../utils/transcript.js';
+import { DEFAULT_OUTPUT_LANGUAGE, getLanguageName } from '../shared/languages.js';
+
+// Token budget for a single transcript window in the map-reduce pipeline
+const CHUNK_TOKEN_BUDGET = 3000;
+// Number of window summaries requested from the AI provider at once
+const MAP_CONCURRENCY = 3;
+// Number of condensed transcripts kept in memory for reuse across tasks
+const CONDENSED_CACHE_SIZE = 20;
+
+// Character budget for the transcript excerpt sent with each chat question
+const CHAT_CONTEXT_CHARS = 6000;
+// Maximum length of the quoted transcript text stored with a citation
+const CITATION_QUOTE_CHARS = 240;
+// Token budget for the transcript sent when generating quizzes and flashcards
+const STUDY_CONTEXT_TOKENS = 6000;
+// Length of each timestamped transcript line sent when generating quizzes and flashcards
+const STUDY_BLOCK_SECONDS = 30;
+// Added to the chat system prompt for videos analyzed without a transcript
+const METADATA_ONLY_CHAT_NOTE = `
+
+Important: this video has no transcript. The context below is only its title, channel and description, and the summary and key points were generated from that alone. You do not know what is actually said in the video: say so when a question depends on it, and never invent quotes, details or timestamps.`;
+// Longest summary of each video sent with a multi-video chat question
+const MULTI_VIDEO_SUMMARY_CHARS = 1500;
+// Most key points of each video sent with a multi-video chat question
+const MULTI_VIDEO_KEY_POINTS = 8;
+// Longest summary of each video sent for a comparison
+const COMPARISON_SUMMARY_CHARS = 2500;
+// Most key points of each video sent for a comparison
+const COMPARISON_KEY_POINTS = 12;
+
+// Helper function to create the error thrown when the AI provider's reply is
+// unusable, so routes can answer 502 instead of reporting a server bug
+const createResponseError = (message) => {
+  const responseError = new Error(message);
+  responseError.name = 'AIResponseError';
+  return responseError;
+};
+
+// Helper function to find the transcript block a timestamp falls into, or the closest preceding one
+const findCitedBlock = (blocks, seconds) => {
+  let block = blocks[0];
+  for (const candidate of blocks) {
+    if (Math.floor(candidate.start) <= seconds) block = candidate;
+    else break;
+  }
+  return block;
+};
+
+// Helper function to build a citation of a transcript block
+const toCitation = (block) => ({
+  start: block.start,
+  text: block.text.length > CITATION_QUOTE_CHARS
+    ? `${block.text.substring(0, CITATION_QUOTE_CHARS).trim()}...`
+    : block.text
+});
 
 export class AIService {
   constructor() {
-    this.apiKey = process.env.OPENROUTER_API_KEY;
-    this.model = process.env.OPENROUTER_MODEL || 'openai/gpt-4o-mini';
-    this.baseURL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
-    
-    if (!this.apiKey) {
-      console.error('❌ OpenRouter API key not found in environment variables');
+    // One adapter instance per provider/model pair, created on first use
+    this.providers = new Map();
+
+    const defaultProvider = this.getProvider();
+    if (!defaultProvider.isConfigured()) {
+      console.error(`❌ ${defaultProvider.label} API key not found in environment variables`);
     }
+
+    // Summary, key points and tags all run on the same transcript, so the
+    // condensed version is cached to avoid repeating the map step
+    this.condensedCache = new Map();
   }
 
   /**
-   * Make a request to OpenRouter API
+   * Get the provider configured for a task
+   */
+  getProvider(task = 'default') {
+    const { name, model } = getTaskProvider(task);
+    const key = `${name}:${model || ''}`;
+
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(name, model ? { model } : {}));
+    }
+    return this.providers.get(key);
+  }
+
+  /**
+   * Describe the provider and model that handle a task, for recording with results
+   */
+  describeProvider(task = 'default') {
+    const provider = this.getProvider(task);
+    return { provider: provider.label, model: provider.model };
+  }
+
+  /**
+   * Make a request to the AI provider configured for options.task
    */
   async makeRequest(messages, options = {}) {
-    try {
-      if (!this.apiKey) {
-        throw new Error('OpenRouter API key not configured');
+    if (options.signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const provider = this.getProvider(options.task);
+    return provider.complete(messages, options);
+  }
+
+  /**
+   * Summarize one transcript window (the "map" step)
+   */
+  async summarizeChunk(chunk, videoTitle, index, total, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an expert video content analyzer. You will receive one consecutive part of a long video transcript. Write dense notes on this part only.
+
+Guidelines:
+1. 150-250 words
+2. Keep every main topic, argument, example, number and named entity
+3. Keep the order in which things are discussed
+4. Do not add an introduction or conclusion about the video as a whole`
+      },
+      {
+        role: 'user',
+        content: `Video title: "${videoTitle}"
+Part ${index + 1} of ${total}:
+
+${chunk}`
       }
+    ];
 
-      const requestData = {
-        model: this.model,
-        messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || 2000,
-        top_p: options.topP || 0.9,
-        frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0,
-        ...options
-      };
+    return this.makeRequest(messages, {
+      task: 'summary',
+      temperature: 0.2,
+      maxTokens: 500,
+      signal: options.signal
+    });
+  }
 
-      const response = await axios.post(
-        `${this.baseURL}/chat/completions`,
-        requestData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:5173',
-            'X-Title': 'Vid Essence Chat'
-          },
-          timeout: 60000 // 60 second timeout
-        }
-      );
+  /**
+   * Reduce a transcript to content that fits a single request.
+   * Short transcripts are returned unchanged; long ones are split into
+   * token-budgeted windows, each window is summarized, and the partial
+   * summaries are combined (repeatedly if they are still too long).
+   * options.signal stops the map-reduce between requests.
+   */
+  async condenseTranscript(transcript, videoTitle, options = {}) {
+    if (estimateTokens(transcript) <= CHUNK_TOKEN_BUDGET) {
+      return { content: transcript, condensed: false };
+    }
 
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      console.error('OpenRouter API Error:', error.response?.data || error.message);
-      
-      if (error.response?.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.response?.status === 401) {
-        throw new Error('Invalid API key. Please check your OpenRouter API configuration.');
-      } else if (error.response?.status === 402) {
-        throw new Error('Insufficient credits. Please check your OpenRouter account balance.');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout. The AI service took too long to respond.');
+    const cacheKey = crypto.createHash('sha1').update(`${videoTitle}\n${transcript}`).digest('hex');
+    if (!this.condensedCache.has(cacheKey)) {
+      const pending = this.runMapReduce(transcript, videoTitle, options).catch(error => {
+        this.condensedCache.delete(cacheKey);
+        throw error;
+      });
+
+      this.condensedCache.set(cacheKey, pending);
+      if (this.condensedCache.size > CONDENSED_CACHE_SIZE) {
+        this.condensedCache.delete(this.condensedCache.keys().next().value);
       }
-      
-      throw new Error(`AI service error: ${error.message}`);
     }
+
+    const content = await this.condensedCache.get(cacheKey);
+    return { content, condensed: true };
+  }
+
+  /**
+   * Summarize every window, then repeat on the joined results until they fit
+   */
+  async runMapReduce(transcript, videoTitle, options = {}) {
+    let content = transcript;
+
+    while (estimateTokens(content) > CHUNK_TOKEN_BUDGET) {
+      const chunks = chunkText(content, CHUNK_TOKEN_BUDGET);
+      const partials = new Array(chunks.length);
+      let next = 0;
+
+      const worker = async () => {
+        while (next < chunks.length) {
+          const index = next++;
+          partials[index] = await this.summarizeChunk(chunks[index], videoTitle, index, chunks.length, options);
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(MAP_CONCURRENCY, chunks.length) }, worker));
+
+      console.log(`🧩 Condensed ${chunks.length} transcript windows for "${videoTitle}"`);
+      content = partials
+        .map((partial, index) => `Part ${index + 1} of ${partials.length}:\n${partial.trim()}`)
+        .join('\n\n');
+    }
+
+    return content;
+  }
+
+  /**
+   * Build the guideline that sets the language of generated text, whatever
+   * language the transcript is in
+   */
+  buildLanguageGuideline(what, language = DEFAULT_OUTPUT_LANGUAGE) {
+    return `Write the ${what} in ${getLanguageName(language || DEFAULT_OUTPUT_LANGUAGE)}, whatever language the transcript is in`;
   }
 
   /**
-   * Generate video summary from transcript
+   * Build the system prompt for a summary style, length, language and optional reader instruction
    */
-  async generateSummary(transcript, videoTitle, channelName, duration) {
+  buildSummarySystemPrompt(options = {}) {
+    const style = SUMMARY_STYLES[options.style] || SUMMARY_STYLES[DEFAULT_SUMMARY_STYLE];
+    const length = SUMMARY_LENGTHS[options.length] || SUMMARY_LENGTHS[DEFAULT_SUMMARY_LENGTH];
+
+    const guidelines = [
+      `Create a concise yet comprehensive summary (${length.words})`,
+      ...style.guidelines,
+      'Avoid redundancy and filler content',
+      this.buildLanguageGuideline('summary', options.language)
+    ];
+
+    let prompt = `You are an expert video content analyzer. Your task is to create well-structured summaries of YouTube videos based on their transcripts.
+
+Guidelines for the summary:
+${guidelines.map((guideline, index) => `${index + 1}. ${guideline}`).join('\n')}`;
+
+    if (options.instruction) {
+      prompt += `\n\nAdditional instruction from the reader (follow it unless it conflicts with the transcript):\n${options.instruction}`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Generate video summary from transcript.
+   * options.style, options.length and options.instruction shape the summary
+   * (see config/summaryStyles.js); options.language is its output language.
+   */
+  async generateSummary(transcript, videoTitle, channelName, duration, options = {}) {
     try {
       const durationMinutes = Math.floor(duration / 60);
-      
-      const systemPrompt = `You are an expert video content analyzer. Your task is to create comprehensive, well-structured summaries of YouTube videos based on their transcripts.
+      const { content, condensed } = await this.condenseTranscript(transcript, videoTitle, options);
+      const length = SUMMARY_LENGTHS[options.length] || SUMMARY_LENGTHS[DEFAULT_SUMMARY_LENGTH];
 
-Guidelines for the summary:
-1. Create a concise yet comprehensive summary (200-500 words)
-2. Focus on the main topics, key insights, and important information
-3. Structure the summary with clear paragraphs for different topics
-4. Highlight actionable insights or practical information
-5. Maintain the original tone and context of the video
-6. Include specific details, examples, or data points mentioned
-7. Avoid redundancy and filler content`;
+      const systemPrompt = this.buildSummarySystemPrompt(options);
 
-      const userPrompt = `Please create a detailed summary for this YouTube video:
+      const userPrompt = `Please create a summary for this YouTube video:
 
 Title: "${videoTitle}"
 Channel: ${channelName}
 Duration: ${durationMinutes} minutes
 
-Transcript:
-${transcript.substring(0, 8000)} ${transcript.length > 8000 ? '...' : ''}
+${condensed ? 'Notes on consecutive parts of the video, covering the whole transcript' : 'Transcript'}:
+${content}
 
 Please provide a well-structured summary that captures the essence of the video content, key points, and main takeaways.`;
 
@@ -98,22 +266,27 @@ Please provide a well-structured summary that captures the essence of the video
       ];
 
       const summary = await this.makeRequest(messages, {
+        task: 'summary',
         temperature: 0.3,
-        maxTokens: 1500
+        maxTokens: length.maxTokens,
+        signal: options.signal
       });
 
       return summary;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error generating summary:', error);
       throw new Error(`Failed to generate video summary: ${error.message}`);
     }
   }
 
   /**
-   * Extract key points from transcript
+   * Extract key points from transcript, in options.language
    */
-  async extractKeyPoints(transcript, videoTitle) {
+  async extractKeyPoints(transcript, videoTitle, options = {}) {
     try {
+      const { content, condensed } = await this.condenseTranscript(transcript, videoTitle, options);
+
       const systemPrompt = `You are an expert at extracting key points from video content. Your task is to identify the most important points, insights, and takeaways from a video transcript.
 
 Guidelines:
@@ -122,14 +295,15 @@ Guidelines:
 3. Focus on actionable insights, important facts, or main concepts
 4. Prioritize unique or valuable information
 5. Avoid generic or obvious statements
-6. Format each point clearly and independently`;
+6. Format each point clearly and independently
+7. ${this.buildLanguageGuideline('key points', options.language)}`;
 
       const userPrompt = `Extract the key points from this video transcript:
 
 Title: "${videoTitle}"
 
-Transcript:
-${transcript.substring(0, 6000)} ${transcript.length > 6000 ? '...' : ''}
+${condensed ? 'Notes on consecutive parts of the video, covering the whole transcript' : 'Transcript'}:
+${content}
 
 Please provide the key points as a bulleted list with each point being concise and valuable.`;
 
@@ -139,8 +313,10 @@ Please provide the key points as a bulleted list with each point being concise a
       ];
 
       const keyPointsText = await this.makeRequest(messages, {
+        task: 'keyPoints',
         temperature: 0.2,
-        maxTokens: 800
+        maxTokens: 800,
+        signal: options.signal
       });
 
       // Parse key points from response
@@ -152,17 +328,111 @@ Please provide the key points as a bulleted list with each point being concise a
 
       return keyPoints;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error extracting key points:', error);
       throw new Error(`Failed to extract key points: ${error.message}`);
     }
   }
 
   /**
-   * Generate contextual chat response
+   * Build the timestamped transcript excerpt used as chat context.
+   * Uses the retrieved passages when present, otherwise the opening of the transcript.
    */
-  async generateChatResponse(question, videoContext, chatHistory = []) {
-    try {
-      const systemPrompt = `You are an intelligent assistant specialized in discussing YouTube video content. You have access to the full context of a specific video and can answer questions about it accurately.
+  buildChatTranscriptContext(videoContext) {
+    const blocks = videoContext.passages || groupSegments(videoContext.segments || []);
+    const timedBlocks = blocks.filter(block => typeof block.start === 'number');
+
+    if (blocks.length === 0) {
+      const transcript = videoContext.transcript || '';
+      return {
+        blocks: [],
+        text: `${transcript.substring(0, CHAT_CONTEXT_CHARS)}${transcript.length > CHAT_CONTEXT_CHARS ? '...' : ''}`
+      };
+    }
+
+    const included = [];
+    let length = 0;
+    for (const block of blocks) {
+      const line = typeof block.start === 'number' ? `[${formatTimestamp(block.start)}] ${block.text}` : block.text;
+      if (length + line.length > CHAT_CONTEXT_CHARS && included.length > 0) break;
+      included.push({ ...block, line });
+      length += line.length + 1;
+    }
+
+    return {
+      blocks: timedBlocks.length > 0 ? included.filter(block => typeof block.start === 'number') : [],
+      text: included.map(block => block.line).join(timedBlocks.length > 0 ? '\n' : '\n...\n')
+    };
+  }
+
+  /**
+   * Resolve [m:ss] markers in an answer to the transcript blocks they cite
+   */
+  extractCitations(answer, blocks) {
+    if (!blocks || blocks.length === 0) return [];
+
+    const citations = [];
+    const seen = new Set();
+    const markerRegex = /\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g;
+    let match;
+
+    while ((match = markerRegex.exec(answer)) !== null) {
+      const seconds = parseTimestamp(match[1]);
+      if (seconds === null) continue;
+
+      const block = findCitedBlock(blocks, seconds);
+      if (seen.has(block.start)) continue;
+      seen.add(block.start);
+
+      citations.push(toCitation(block));
+    }
+
+    return citations;
+  }
+
+  /**
+   * Resolve [V2 4:05] markers in a multi-video answer to the transcript
+   * blocks of the videos they cite. `sources` are { label, videoId, blocks }.
+   */
+  extractVideoCitations(answer, sources) {
+    const citations = [];
+    const seen = new Set();
+    const markerRegex = /\[(V\d+)[\s,@]+((?:\d{1,2}:)?\d{1,2}:\d{2})\]/gi;
+    let match;
+
+    while ((match = markerRegex.exec(answer)) !== null) {
+      const source = sources.find(candidate => candidate.label === match[1].toUpperCase());
+      const seconds = parseTimestamp(match[2]);
+      if (!source || source.blocks.length === 0 || seconds === null) continue;
+
+      const block = findCitedBlock(source.blocks, seconds);
+      const key = `${source.videoId}:${block.start}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      citations.push({ videoId: source.videoId, ...toCitation(block) });
+    }
+
+    return citations;
+  }
+
+  /**
+   * Resolve the citations of an answer built from buildChatMessages()
+   */
+  extractChatCitations(answer, { blocks, sources }) {
+    return sources ? this.extractVideoCitations(answer, sources) : this.extractCitations(answer, blocks);
+  }
+
+  /**
+   * Build the chat prompt and the transcript blocks its citations can refer to.
+   * A context with `videos` is a multi-video chat (see buildMultiVideoChatMessages).
+   */
+  buildChatMessages(question, videoContext, chatHistory = []) {
+    if (videoContext.videos) {
+      return this.buildMultiVideoChatMessages(question, videoContext, chatHistory);
+    }
+
+    const systemPrompt = `You are an intelligent assistant specialized in discussing YouTube video content. You have access to the full context of a specific video and can answer questions about it accurately.
 
 Your capabilities:
 1. Answer questions about the video content with specific details
@@ -177,10 +447,14 @@ Guidelines:
 3. If asked about something not covered in the video, acknowledge this clearly
 4. Keep responses focused and relevant to the question
 5. Use examples from the video when possible
-6. Maintain context from previous messages in the conversation`;
+6. Maintain context from previous messages in the conversation
+7. Cite the transcript passages you rely on by repeating their timestamp in square brackets, e.g. [4:05]. Only use timestamps that appear in the transcript
+8. ${this.buildLanguageGuideline('answers', videoContext.outputLanguage)}, unless the user asks for another language. Keep quotes from the transcript in its original language${videoContext.transcriptQuality === 'metadata-only' ? METADATA_ONLY_CHAT_NOTE : ''}`;
 
-      // Prepare video context
-      const contextMessage = `Video Context:
+    const transcriptContext = this.buildChatTranscriptContext(videoContext);
+
+    // Prepare video context
+    const contextMessage = `Video Context:
 Title: ${videoContext.title}
 Channel: ${videoContext.channelName}
 Summary: ${videoContext.summary}
@@ -188,47 +462,141 @@ Summary: ${videoContext.summary}
 Key Points:
 ${videoContext.keyPoints?.map(point => `• ${point}`).join('\n') || 'No key points available'}
 
-Transcript: ${videoContext.transcript.substring(0, 4000)}${videoContext.transcript.length > 4000 ? '...' : ''}`;
-
-      // Build conversation history
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'assistant', content: `I have the context of the video "${videoContext.title}" and I'm ready to answer your questions about it.` },
-        { role: 'user', content: `Context: ${contextMessage}` },
-        { role: 'assistant', content: 'I understand the video content and context. What would you like to know about it?' }
-      ];
+${videoContext.passages ? 'Transcript passages relevant to the question' : 'Transcript'}${transcriptContext.blocks.length > 0 ? ' (each line starts with its [timestamp])' : ''}:
+${transcriptContext.text}`;
 
-      // Add chat history
-      chatHistory.forEach(msg => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
-        });
-      });
+    // Build conversation history
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'assistant', content: `I have the context of the video "${videoContext.title}" and I'm ready to answer your questions about it.` },
+      { role: 'user', content: `Context: ${contextMessage}` },
+      { role: 'assistant', content: 'I understand the video content and context. What would you like to know about it?' }
+    ];
 
-      // Add current question
+    // Add chat history
+    chatHistory.forEach(msg => {
       messages.push({
-        role: 'user',
-        content: question
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.content
       });
+    });
+
+    // Add current question
+    messages.push({
+      role: 'user',
+      content: question
+    });
+
+    return { messages, blocks: transcriptContext.blocks };
+  }
+
+  /**
+   * Build the prompt for a question about several videos. `context.videos`
+   * holds each video's title, channel, summary, key points and retrieved
+   * passages; they are labelled V1, V2... and answers cite them as [V2 4:05].
+   * Returns the messages and, per label, the blocks citations can refer to.
+   */
+  buildMultiVideoChatMessages(question, context, chatHistory = []) {
+    const sources = [];
+    const sections = context.videos.map((video, index) => {
+      const label = `V${index + 1}`;
+      const transcriptContext = this.buildChatTranscriptContext(video);
+      sources.push({ label, videoId: video.videoId, blocks: transcriptContext.blocks });
+
+      const summary = video.summary || '';
+      const keyPoints = (video.keyPoints || []).slice(0, MULTI_VIDEO_KEY_POINTS);
+      return `${label}: "${video.title}" by ${video.channelName}${video.transcriptQuality === 'metadata-only' ? ' (no transcript: only its title and description were analyzed)' : ''}
+Summary: ${summary.substring(0, MULTI_VIDEO_SUMMARY_CHARS)}${summary.length > MULTI_VIDEO_SUMMARY_CHARS ? '...' : ''}
+Key Points:
+${keyPoints.map(point => `• ${point}`).join('\n') || 'No key points available'}
+Transcript passages relevant to the question${transcriptContext.blocks.length > 0 ? ' (each line starts with its [timestamp])' : ''}:
+${transcriptContext.text || 'None'}`;
+    });
+
+    const hasMetadataOnly = context.videos.some(video => video.transcriptQuality === 'metadata-only');
+    const systemPrompt = `You are an intelligent assistant that answers questions across several YouTube videos at once. The context labels each video V1, V2 and so on, with its summary, key points and the transcript passages most relevant to the question.
+
+Guidelines:
+1. Base your answers on the videos provided and make clear which video each point comes from, by its title or label
+2. When asked to compare, contrast the videos directly: where they agree, where they disagree, and what only some of them cover
+3. If the videos do not cover something, say so clearly rather than guessing
+4. Be conversational and keep responses focused on the question
+5. Maintain context from previous messages in the conversation
+6. Cite the transcript passages you rely on with the video label and timestamp in square brackets, e.g. [V2 4:05]. Only use timestamps that appear in that video's passages
+7. ${this.buildLanguageGuideline('answers', context.outputLanguage)}, unless the user asks for another language. Keep quotes from the transcripts in their original language${hasMetadataOnly ? '\n8. Videos marked "no transcript" were analyzed from their title and description only: never invent quotes, details or timestamps for them' : ''}`;
+
+    const titles = context.videos.map((video, index) => `V${index + 1} "${video.title}"`).join(', ');
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'assistant', content: `I have the context of ${context.videos.length} videos: ${titles}. I'm ready to answer your questions about them.` },
+      { role: 'user', content: `Context:\n\n${sections.join('\n\n---\n\n')}` },
+      { role: 'assistant', content: 'I understand the videos and their context. What would you like to know about them?' },
+      ...chatHistory.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      })),
+      { role: 'user', content: question }
+    ];
 
-      const response = await this.makeRequest(messages, {
+    return { messages, sources };
+  }
+
+  /**
+   * Generate contextual chat response with transcript citations
+   */
+  async generateChatResponse(question, videoContext, chatHistory = []) {
+    try {
+      const prompt = this.buildChatMessages(question, videoContext, chatHistory);
+
+      const response = await this.makeRequest(prompt.messages, {
+        task: 'chat',
         temperature: 0.4,
-        maxTokens: 1000
+        maxTokens: videoContext.videos ? 1500 : 1000
       });
 
-      return response;
+      return {
+        content: response,
+        citations: this.extractChatCitations(response, prompt)
+      };
     } catch (error) {
       console.error('Error generating chat response:', error);
       throw new Error(`Failed to generate response: ${error.message}`);
     }
   }
 
+  /**
+   * Stream a chat response. Yields { type: 'token', text } for each delta and
+   * finally { type: 'done', content, citations } with the complete answer.
+   */
+  async *streamChatResponse(question, videoContext, chatHistory = [], options = {}) {
+    const prompt = this.buildChatMessages(question, videoContext, chatHistory);
+    const provider = this.getProvider('chat');
+    let content = '';
+
+    for await (const text of provider.stream(prompt.messages, {
+      task: 'chat',
+      temperature: 0.4,
+      maxTokens: videoContext.videos ? 1500 : 1000,
+      signal: options.signal
+    })) {
+      content += text;
+      yield { type: 'token', text };
+    }
+
+    yield {
+      type: 'done',
+      content,
+      citations: this.extractChatCitations(content, prompt)
+    };
+  }
+
   /**
    * Generate tags for video content
    */
-  async generateTags(transcript, title, channelName) {
+  async generateTags(transcript, title, channelName, options = {}) {
     try {
+      const { content } = await this.condenseTranscript(transcript, title, options);
+
       const systemPrompt = `You are an expert at creating relevant tags for video content. Generate 5-10 descriptive tags that accurately represent the video's content, topics, and themes.
 
 Guidelines:
@@ -244,7 +612,7 @@ Guidelines:
 Title: "${title}"
 Channel: ${channelName}
 
-Content summary: ${transcript.substring(0, 1500)}...
+Content: ${content}
 
 Please provide 5-10 relevant tags separated by commas.`;
 
@@ -254,8 +622,10 @@ Please provide 5-10 relevant tags separated by commas.`;
       ];
 
       const tagsResponse = await this.makeRequest(messages, {
+        task: 'tags',
         temperature: 0.3,
-        maxTokens: 200
+        maxTokens: 200,
+        signal: options.signal
       });
 
       // Parse tags from response
@@ -267,11 +637,423 @@ Please provide 5-10 relevant tags separated by commas.`;
 
       return tags;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error generating tags:', error);
       return []; // Return empty array if tag generation fails
     }
   }
 
+  /**
+   * Parse a JSON array from a model reply, tolerating code fences and prose around it
+   */
+  parseJsonArray(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Parse a JSON object from a model reply, tolerating code fences and prose around it
+   */
+  parseJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return {};
+
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Split a timestamped transcript into chapters with a title and a
+   * one-paragraph summary. `blocks` are { start, end, text } windows in
+   * video order; long transcripts are handled a token-budgeted span at a time.
+   */
+  async generateChapters(blocks, videoTitle, options = {}) {
+    const spans = [];
+    let current = [];
+    let tokens = 0;
+    blocks.forEach(block => {
+      const blockTokens = estimateTokens(block.text) + 4;
+      if (current.length > 0 && tokens + blockTokens > CHUNK_TOKEN_BUDGET) {
+        spans.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(block);
+      tokens += blockTokens;
+    });
+    if (current.length > 0) spans.push(current);
+
+    const chapters = [];
+    for (const [index, span] of spans.entries()) {
+      const messages = [
+        {
+          role: 'system',
+          content: `You are an expert video editor. Divide a timestamped video transcript into chapters.
+
+Guidelines:
+1. Start a chapter where the topic changes; aim for one chapter every 2-8 minutes
+2. Use the [m:ss] timestamp of the line where each chapter begins
+3. Titles are short (2-6 words) and specific to the content
+4. Each summary is one paragraph of 1-3 sentences
+5. ${this.buildLanguageGuideline('titles and summaries', options.language)}
+6. Reply with only a JSON array: [{"start": "m:ss", "title": "...", "summary": "..."}]`
+        },
+        {
+          role: 'user',
+          content: `Video title: "${videoTitle}"
+${spans.length > 1 ? `Part ${index + 1} of ${spans.length} of the transcript:` : 'Transcript:'}
+
+${span.map(block => `[${formatTimestamp(block.start)}] ${block.text}`).join('\n')}`
+        }
+      ];
+
+      const reply = await this.makeRequest(messages, {
+        task: 'chapters',
+        temperature: 0.2,
+        maxTokens: 1200,
+        signal: options.signal
+      });
+
+      const spanStart = span[0].start;
+      const spanEnd = span[span.length - 1].end;
+      this.parseJsonArray(reply).forEach(item => {
+        const start = parseTimestamp(item?.start);
+        const title = String(item?.title || '').trim();
+        if (start === null || !title) return;
+
+        chapters.push({
+          title: title.substring(0, 200),
+          // Keep chapters inside the span they were generated from
+          start: Math.min(Math.max(start, spanStart), spanEnd),
+          summary: String(item.summary || '').trim().substring(0, 2000)
+        });
+      });
+    }
+
+    // The first chapter always starts the video, and two chapters never share a start
+    if (chapters.length > 0) {
+      chapters.sort((a, b) => a.start - b.start);
+      chapters[0].start = Math.min(chapters[0].start, blocks[0].start);
+    }
+    return chapters.filter((chapter, index) => index === 0 || chapter.start > chapters[index - 1].start);
+  }
+
+  /**
+   * Write a one-paragraph summary for each chapter from the transcript it
+   * covers. `chapters` are { title, start, end, text }; returns summaries in order.
+   */
+  async summarizeChapters(chapters, videoTitle, options = {}) {
+    // Share the request's budget evenly between chapters
+    const charsPerChapter = Math.floor((CHUNK_TOKEN_BUDGET * 4) / Math.max(chapters.length, 1));
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an expert video content analyzer. You will receive the chapters of a video with the transcript of each.
+
+Guidelines:
+1. Write one paragraph of 1-3 sentences per chapter
+2. Describe what the chapter covers, using specifics from its transcript
+3. ${this.buildLanguageGuideline('summaries', options.language)}
+4. Reply with only a JSON array of strings, one summary per chapter, in the same order`
+      },
+      {
+        role: 'user',
+        content: `Video title: "${videoTitle}"
+
+${chapters.map((chapter, index) => `Chapter ${index + 1}: "${chapter.title}" (${formatTimestamp(chapter.start)}-${formatTimestamp(chapter.end)})
+${chapter.text.substring(0, charsPerChapter) || '(no transcript)'}`).join('\n\n')}`
+      }
+    ];
+
+    const reply = await this.makeRequest(messages, {
+      task: 'chapters',
+      temperature: 0.2,
+      maxTokens: Math.min(200 * chapters.length, 4000),
+      signal: options.signal
+    });
+
+    const summaries = this.parseJsonArray(reply);
+    return chapters.map((chapter, index) => String(summaries[index] || '').trim().substring(0, 2000));
+  }
+
+  /**
+   * Transcript excerpt for quizzes and flashcards: timestamped blocks spread
+   * over the whole video, or the condensed transcript when there are no segments
+   */
+  async buildStudyContext(video, options = {}) {
+    const segments = video.transcriptSegments || [];
+    if (segments.length === 0) {
+      const { content } = await this.condenseTranscript(video.transcript, video.title, options);
+      return content;
+    }
+
+    // Keep every nth block of long videos so the excerpt covers the whole video
+    const blocks = groupSegments(segments, STUDY_BLOCK_SECONDS);
+    const totalTokens = blocks.reduce((sum, block) => sum + estimateTokens(block.text), 0);
+    const step = Math.max(1, Math.ceil(totalTokens / STUDY_CONTEXT_TOKENS));
+    return blocks
+      .filter((block, index) => index % step === 0)
+      .map(block => `[${formatTimestamp(block.start)}] ${block.text}`)
+      .join('\n');
+  }
+
+  /**
+   * Generate quiz questions from a video's transcript, with an answer key and
+   * an explanation pointing at the transcript timestamp that supports each answer.
+   * options.type is "multiple-choice" or "short-answer"; options.language is
+   * the video's output language. Returns [{ question, choices, answer, explanation, start }].
+   */
+  async generateQuiz(video, options = {}) {
+    const type = options.type || 'multiple-choice';
+    const count = options.count || 5;
+    const segments = video.transcriptSegments || [];
+    const content = await this.buildStudyContext(video, options);
+
+    const format = type === 'multiple-choice'
+      ? '[{"question": "...", "choices": ["...", "...", "...", "..."], "answerIndex": 0, "explanation": "...", "timestamp": "m:ss"}]'
+      : '[{"question": "...", "answer": "...", "explanation": "...", "timestamp": "m:ss"}]';
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an expert teacher writing a quiz that checks understanding of a video.
+
+Guidelines:
+1. Ask only about information stated in the transcript
+2. Cover different parts of the video rather than one passage
+3. ${type === 'multiple-choice'
+    ? 'Give four plausible choices with exactly one correct answer'
+    : 'Expect answers of a few words to one sentence; the answer key states the essential facts briefly'}
+4. Each explanation says why the answer is correct in one or two sentences
+5. timestamp is the [m:ss] marker of the passage that supports the answer (omit it if the transcript has no markers)
+6. ${this.buildLanguageGuideline('questions, choices, answers and explanations', options.language)}
+7. Reply with only a JSON array: ${format}`
+      },
+      {
+        role: 'user',
+        content: `Question type: ${type}
+Number of questions: ${count}
+Video title: "${video.title}"
+
+Transcript:
+${content}`
+      }
+    ];
+
+    const reply = await this.makeRequest(messages, {
+      task: 'quiz',
+      temperature: 0.4,
+      maxTokens: Math.min(250 * count, 4000),
+      signal: options.signal
+    });
+
+    const questions = [];
+    this.parseJsonArray(reply).forEach(item => {
+      const question = String(item?.question || '').trim();
+      if (!question) return;
+
+      let choices = [];
+      let answer = String(item.answer || '').trim();
+      if (type === 'multiple-choice') {
+        choices = (Array.isArray(item.choices) ? item.choices : [])
+          .map(choice => String(choice).trim())
+          .filter(Boolean);
+        answer = Number.isInteger(item.answerIndex) ? choices[item.answerIndex] : answer;
+        if (choices.length < 2 || !choices.includes(answer)) return;
+      }
+      if (!answer) return;
+
+      const start = segments.length > 0 && item.timestamp ? parseTimestamp(item.timestamp) : null;
+      questions.push({
+        question,
+        choices,
+        answer,
+        explanation: String(item.explanation || '').trim(),
+        start
+      });
+    });
+
+    return questions.slice(0, count);
+  }
+
+  /**
+   * Turn a video's key points and transcript into question/answer flashcards.
+   * Each key point becomes one card; the rest come from the transcript.
+   * options.language is the video's output language. Returns [{ front, back, source, start }] with source "keyPoint" or "transcript".
+   */
+  async generateFlashcards(video, options = {}) {
+    const count = options.count || 10;
+    const keyPoints = (video.keyPoints || []).slice(0, count);
+    const segments = video.transcriptSegments || [];
+    const content = await this.buildStudyContext(video, options);
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an expert teacher writing flashcards that help someone remember a video.
+
+Guidelines:
+1. Write one card for each key point, then cards for other important facts in the transcript
+2. The front is a specific question; the back answers it in one or two sentences
+3. Each card tests a single fact or idea and makes sense without the video
+4. Ask only about information stated in the key points or transcript
+5. timestamp is the [m:ss] marker of the passage the card comes from (omit it if the transcript has no markers)
+6. source is "keyPoint" for cards written from a key point and "transcript" otherwise
+7. ${this.buildLanguageGuideline('cards', options.language)}
+8. Reply with only a JSON array: [{"front": "...", "back": "...", "source": "keyPoint", "timestamp": "m:ss"}]`
+      },
+      {
+        role: 'user',
+        content: `Number of cards: ${count}
+Video title: "${video.title}"
+
+Key points:
+${keyPoints.map(point => `- ${point}`).join('\n') || '- (none)'}
+
+Transcript:
+${content}`
+      }
+    ];
+
+    const reply = await this.makeRequest(messages, {
+      task: 'flashcards',
+      temperature: 0.4,
+      maxTokens: Math.min(150 * count, 4000),
+      signal: options.signal
+    });
+
+    const cards = [];
+    this.parseJsonArray(reply).forEach(item => {
+      const front = String(item?.front || '').trim();
+      const back = String(item?.back || '').trim();
+      if (!front || !back) return;
+
+      cards.push({
+        front,
+        back,
+        source: item.source === 'keyPoint' ? 'keyPoint' : 'transcript',
+        start: segments.length > 0 && item.timestamp ? parseTimestamp(item.timestamp) : null
+      });
+    });
+
+    return cards.slice(0, count);
+  }
+
+  /**
+   * Compare two or more analyzed videos from their summaries and key points.
+   * The videos are labelled V1, V2... in the prompt; the reply's labels are
+   * mapped back to YouTube IDs. Returns { overview, sharedThemes: [{ theme,
+   * coverage: { videoId: note } }], disagreements: [{ topic, positions:
+   * { videoId: position } }], uniqueInsights: [{ videoId, insights }],
+   * recommendations: [{ purpose, videoId, reason }] }. Throws if the reply
+   * has no JSON object or none of these sections survive normalizing.
+   */
+  async compareVideos(videos, options = {}) {
+    const labels = new Map(videos.map((video, index) => [`V${index + 1}`, video.videoId]));
+
+    const sections = videos.map((video, index) => {
+      const summary = video.summary || '';
+      const keyPoints = (video.keyPoints || []).slice(0, COMPARISON_KEY_POINTS);
+      return `V${index + 1}: "${video.title}" by ${video.channelName} (${formatTimestamp(video.duration || 0)})${video.transcriptQuality === 'metadata-only' ? ' [analyzed from its title and description only]' : ''}
+Summary:
+${summary.substring(0, COMPARISON_SUMMARY_CHARS)}${summary.length > COMPARISON_SUMMARY_CHARS ? '...' : ''}
+Key points:
+${keyPoints.map(point => `- ${point}`).join('\n') || '- (none)'}`;
+    });
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are an expert analyst comparing YouTube videos so a viewer can decide which to watch.
+
+Guidelines:
+1. Use only what the summaries and key points say; do not guess at what the videos might contain
+2. sharedThemes are topics at least two videos cover; coverage says in a sentence how each of those videos treats the theme, keyed by label
+3. disagreements are topics where the videos take different positions, give conflicting facts or recommend different things; positions states each video's view, keyed by label. Leave the list empty if they do not disagree
+4. uniqueInsights lists, for every video, the points only that video makes
+5. recommendations say which video to watch for which purpose (e.g. "a quick overview", "hands-on detail") and why
+6. Refer to the videos only by their labels (V1, V2...) in the JSON keys and "video" fields
+7. ${this.buildLanguageGuideline('comparison', options.language)}
+8. Reply with only a JSON object: {"overview": "...", "sharedThemes": [{"theme": "...", "coverage": {"V1": "...", "V2": "..."}}], "disagreements": [{"topic": "...", "positions": {"V1": "...", "V2": "..."}}], "uniqueInsights": {"V1": ["..."], "V2": ["..."]}, "recommendations": [{"purpose": "...", "video": "V1", "reason": "..."}]}`
+      },
+      {
+        role: 'user',
+        content: `Compare these ${videos.length} videos:
+
+${sections.join('\n\n')}`
+      }
+    ];
+
+    const reply = await this.makeRequest(messages, {
+      task: 'compare',
+      temperature: 0.3,
+      maxTokens: Math.min(600 * videos.length, 4000),
+      signal: options.signal
+    });
+
+    const result = this.parseJsonObject(reply);
+    if (Object.keys(result).length === 0) {
+      throw createResponseError('The AI reply did not contain a comparison');
+    }
+
+    const text = value => String(value || '').trim();
+    // Keep the entries of a { label: text } object whose label names a video
+    const byVideo = (entries) => Object.fromEntries(
+      Object.entries(entries && typeof entries === 'object' ? entries : {})
+        .map(([label, value]) => [labels.get(label.trim().toUpperCase()), text(value)])
+        .filter(([videoId, value]) => videoId && value)
+    );
+    const list = value => (Array.isArray(value) ? value : []);
+
+    const uniqueInsights = result.uniqueInsights && typeof result.uniqueInsights === 'object' ? result.uniqueInsights : {};
+    const insightsByVideo = new Map(Object.entries(uniqueInsights).map(([label, insights]) => [label.trim().toUpperCase(), insights]));
+
+    const comparison = {
+      overview: text(result.overview),
+      sharedThemes: list(result.sharedThemes)
+        .map(item => ({ theme: text(item?.theme), coverage: byVideo(item?.coverage) }))
+        .filter(item => item.theme && Object.keys(item.coverage).length > 0),
+      disagreements: list(result.disagreements)
+        .map(item => ({ topic: text(item?.topic), positions: byVideo(item?.positions) }))
+        .filter(item => item.topic && Object.keys(item.positions).length > 1),
+      uniqueInsights: [...labels].map(([label, videoId]) => ({
+        videoId,
+        insights: list(insightsByVideo.get(label)).map(text).filter(Boolean)
+      })),
+      recommendations: list(result.recommendations)
+        .map(item => ({
+          purpose: text(item?.purpose),
+          videoId: labels.get(text(item?.video).toUpperCase()),
+          reason: text(item?.reason)
+        }))
+        .filter(item => item.purpose && item.videoId)
+    };
+
+    const hasSections = comparison.sharedThemes.length > 0 ||
+      comparison.disagreements.length > 0 ||
+      comparison.uniqueInsights.some(item => item.insights.length > 0) ||
+      comparison.recommendations.length > 0;
+    if (!hasSections) {
+      throw createResponseError('The AI reply had no usable comparison sections');
+    }
+
+    return comparison;
+  }
+
   /**
    * Check API key validity
    */
@@ -0,0 +1,429 @@
+import { EventEmitter } from 'events';
+import Job from '../models/Job.js';
+import Video from '../models/Video.js';
+import History from '../models/History.js';
+import { YouTubeService } from './youtubeService.js';
+import { AIService } from './aiService.js';
+import { RetrievalService } from './retrievalService.js';
+import { SearchService } from './searchService.js';
+import { ChapterService } from './chapterService.js';
+import { JobQueue } from './jobQueue.js';
+import { createAbortError } from './providers/index.js';
+import { segmentsToText } from '../utils/transcript.js';
+import { DEFAULT_OUTPUT_LANGUAGE } from '../shared/languages.js';
+
+// Analysis steps in execution order. Each step saves its result on the Video
+// document, so a retried job resumes from the first step that has not completed.
+export const ANALYSIS_STAGES = ['metadata', 'transcript', 'summary', 'keyPoints', 'tags', 'chapters'];
+
+// Emits "update" with a YouTube video ID whenever a job running in this
+// process saves progress (workers in other processes are picked up by
+// polling), and "cancel" with a job ID when a cancellation is requested.
+export const analysisEvents = new EventEmitter();
+analysisEvents.setMaxListeners(0);
+
+const youtubeService = new YouTubeService();
+const retrievalService = new RetrievalService();
+const searchService = new SearchService();
+// Delay instantiation of AIService until it's needed
+let aiService = null;
+
+// Helper function to get AIService instance
+const getAIService = () => {
+  if (!aiService) {
+    aiService = new AIService();
+  }
+  return aiService;
+};
+
+// Video fields each stage produces, sent to clients as soon as the stage completes
+const STAGE_RESULTS = {
+  metadata: video => ({
+    videoId: video.videoId,
+    title: video.title,
+    description: video.description,
+    duration: video.duration,
+    thumbnailUrl: video.thumbnailUrl,
+    channelName: video.channelName,
+    publishedAt: video.publishedAt,
+    viewCount: video.viewCount,
+    likeCount: video.likeCount
+  }),
+  transcript: video => ({
+    segmentCount: video.transcriptSegments?.length || 0,
+    hasTimestamps: (video.transcriptSegments?.length || 0) > 0,
+    transcriptSource: video.transcriptSource,
+    language: video.language,
+    captionTracks: video.captionTracks,
+    transcriptQuality: video.transcriptQuality
+  }),
+  summary: video => ({ summary: video.summary }),
+  keyPoints: video => ({ keyPoints: video.keyPoints }),
+  tags: video => ({ tags: video.tags }),
+  chapters: video => ({ chapters: video.chapters, chaptersSource: video.chaptersSource })
+};
+
+/**
+ * Get the partial results a completed stage saved on the video
+ */
+export const getStageResult = (name, video) => STAGE_RESULTS[name](video);
+
+const stageHandlers = {
+  async metadata(job) {
+    const videoInfo = await youtubeService.getVideoInfo(job.url);
+
+    let video = await Video.findByVideoId(videoInfo.videoId);
+    if (!video) {
+      video = new Video(videoInfo);
+    } else {
+      Object.assign(video, videoInfo);
+    }
+    if (job.outputLanguage) video.outputLanguage = job.outputLanguage;
+    video.processingStatus = 'processing';
+    video.processingError = undefined;
+    await video.save();
+    return video;
+  },
+
+  async transcript(job, video) {
+    const { transcript, transcriptSegments, transcriptSource, language, captionTracks } =
+      await youtubeService.getTranscriptWithFallback(video, { language: job.transcriptLanguage || undefined });
+    video.transcript = transcript;
+    video.transcriptSegments = transcriptSegments;
+    video.transcriptSource = transcriptSource;
+    video.captionTracks = captionTracks;
+    if (language) video.language = language;
+    await video.save();
+
+    try {
+      await retrievalService.indexVideo(video);
+    } catch (error) {
+      // Chat falls back to indexing lazily, so this must not fail the analysis
+      console.error('Error indexing transcript:', error);
+    }
+    return video;
+  },
+
+  async summary(job, video, { signal }) {
+    await generateSummaryVersion(video, { signal, makeDefault: true, language: video.outputLanguage });
+    await video.save();
+    return video;
+  },
+
+  async keyPoints(job, video, { signal }) {
+    video.keyPoints = await getAIService().extractKeyPoints(video.transcript, video.title, { signal, language: video.outputLanguage });
+    await video.save();
+    return video;
+  },
+
+  async tags(job, video, { signal }) {
+    video.tags = await getAIService().generateTags(video.transcript, video.title, video.channelName, { signal });
+    await video.save();
+    return video;
+  },
+
+  async chapters(job, video, { signal }) {
+    try {
+      const { chapters, source } = await new ChapterService(getAIService()).buildChapters(video, { signal, language: video.outputLanguage });
+      video.chapters = chapters;
+      video.chaptersSource = source;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // Chapters are optional, so like tags they must not fail the analysis
+      console.error('Error building chapters:', error);
+      video.chapters = [];
+      video.chaptersSource = null;
+    }
+    await video.save();
+    return video;
+  }
+};
+
+/**
+ * Generate a summary in the requested style and language (options.style,
+ * options.length, options.instruction, options.language) and add it to the video's summary versions together
+ * with the model and prompt that produced it. The caller saves the video.
+ */
+export const generateSummaryVersion = async (video, options = {}) => {
+  const ai = getAIService();
+  const summary = await ai.generateSummary(
+    video.transcript,
+    video.title,
+    video.channelName,
+    video.duration,
+    options
+  );
+
+  return video.addSummaryVersion({
+    summary,
+    style: options.style,
+    length: options.length,
+    instruction: options.instruction,
+    language: options.language,
+    prompt: ai.buildSummarySystemPrompt(options),
+    ...ai.describeProvider('summary')
+  }, { makeDefault: options.makeDefault });
+};
+
+/**
+ * Queue a video for analysis. Stages listed in `completedStages` are marked
+ * done up front, so the job only runs the ones after them. `transcriptLanguage`
+ * requests a caption track and `outputLanguage` the language of the summary
+ * and key points.
+ */
+export const createAnalysisJob = (videoId, url, { completedStages = [], transcriptLanguage, outputLanguage } = {}) => {
+  return Job.create({
+    type: 'analyze',
+    videoId,
+    url,
+    transcriptLanguage: transcriptLanguage || null,
+    outputLanguage: outputLanguage || null,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    stages: ANALYSIS_STAGES.map(name => ({
+      name,
+      status: completedStages.includes(name) ? 'completed' : 'pending'
+    })),
+    progress: Math.round((completedStages.length / ANALYSIS_STAGES.length) * 100)
+  });
+};
+
+/**
+ * Replace a video's transcript with the given segments (such as an uploaded
+ * subtitle file, in options.language when known) and queue every stage after the transcript again, so the
+ * summary, key points, tags and chapters are rebuilt from it. If the job
+ * cannot be queued, the previous transcript is put back.
+ */
+export const replaceTranscript = async (video, segments, { language } = {}) => {
+  const previous = {
+    transcriptSegments: video.transcriptSegments.map(segment => segment.toObject()),
+    transcript: video.transcript,
+    transcriptSource: video.transcriptSource,
+    language: video.language,
+    processingStatus: video.processingStatus,
+    processingError: video.processingError
+  };
+
+  video.transcriptSegments = segments;
+  video.transcript = segmentsToText(segments);
+  video.transcriptSource = 'uploaded';
+  if (language) video.language = language;
+  video.processingStatus = 'pending';
+  video.processingError = undefined;
+  await video.save();
+
+  let job;
+  try {
+    job = await createAnalysisJob(video.videoId, video.url, {
+      completedStages: ['metadata', 'transcript'],
+      outputLanguage: video.outputLanguage
+    });
+  } catch (error) {
+    // E.g. an analysis queued since the caller checked (error 11000)
+    video.set(previous);
+    await video.save();
+    throw error;
+  }
+
+  try {
+    await retrievalService.indexVideo(video);
+  } catch (error) {
+    // Chat falls back to indexing lazily, so this must not fail the upload
+    console.error('Error indexing transcript:', error);
+  }
+
+  console.log(`🧵 Analysis job queued: ${job.id} for ${video.videoId} with a new transcript`);
+  analysisEvents.emit('update', video.videoId);
+  return job;
+};
+
+/**
+ * Start analyzing a video unless it already has been. Returns { video } for
+ * a video that completed earlier (after recording it in history), or
+ * { job } with the queued job: one that is already queued or running for
+ * the video, a failed or cancelled one resumed, or a new one. `options`
+ * (transcriptLanguage, outputLanguage) only apply to a new job, so when an
+ * existing video or job is summarized in another language than the requested
+ * outputLanguage, `languageMismatch` says so (see getLanguageMismatch).
+ */
+export const queueAnalysis = async (videoId, url, options = {}) => {
+  const existingVideo = await Video.findByVideoId(videoId);
+  if (existingVideo && existingVideo.processingStatus === 'completed') {
+    await History.recordVideo(existingVideo);
+    return {
+      video: existingVideo,
+      job: null,
+      languageMismatch: getLanguageMismatch(options.outputLanguage, existingVideo.outputLanguage, existingVideo)
+    };
+  }
+
+  let job = await Job.findActiveByVideoId(videoId);
+  try {
+    if (!job) {
+      const latestJob = await Job.findLatestByVideoId(videoId);
+      job = latestJob && await retryAnalysisJob(latestJob);
+    }
+    if (!job) {
+      job = await createAnalysisJob(videoId, url, options);
+      console.log(`🧵 Analysis job queued: ${job.id} for ${videoId}`);
+      return { video: null, job, languageMismatch: null };
+    }
+  } catch (error) {
+    // Another request queued a job for the video since the lookup above; the
+    // unique index on active jobs rejected this one, so use that job instead
+    if (error.code !== 11000) throw error;
+    job = await Job.findActiveByVideoId(videoId);
+    if (!job) throw error;
+  }
+
+  const currentLanguage = job.outputLanguage || existingVideo?.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
+  return { video: null, job, languageMismatch: getLanguageMismatch(options.outputLanguage, currentLanguage) };
+};
+
+// Helper function to describe a requested output language the video is not
+// summarized in: { requested, current, versionId }, where versionId is the
+// latest summary version of a completed video already in that language
+const getLanguageMismatch = (requested, current, video = null) => {
+  if (!requested || requested === current) return null;
+
+  const version = [...(video?.summaryVersions || [])].reverse().find(item => item.language === requested);
+  return { requested, current, versionId: version?._id || null };
+};
+
+/**
+ * Cancel a video's analysis job. Returns null if the job already finished.
+ */
+export const cancelAnalysisJob = async (job) => {
+  const cancelled = await Job.requestCancel(job._id);
+  if (!cancelled) return null;
+
+  if (cancelled.status === 'cancelled') {
+    await markAnalysisCancelled(cancelled);
+  } else {
+    // Stop it now if it runs in this process; other workers notice on their heartbeat
+    analysisEvents.emit('cancel', cancelled.id);
+  }
+
+  analysisEvents.emit('update', cancelled.videoId);
+  return cancelled;
+};
+
+/**
+ * Queue a failed or cancelled analysis again, reusing every stage that completed.
+ * Returns null if the job is not in a state that can be retried, or another
+ * job for the video was queued in the meantime.
+ */
+export const retryAnalysisJob = async (job) => {
+  let requeued;
+  try {
+    requeued = await Job.requeue(job._id);
+  } catch (error) {
+    // The unique index on active jobs allows one queued or running job per video
+    if (error.code !== 11000) throw error;
+  }
+  if (!requeued) return null;
+
+  await Video.updateOne(
+    { videoId: requeued.videoId },
+    { $set: { processingStatus: 'pending' }, $unset: { processingError: '' } }
+  );
+
+  analysisEvents.emit('update', requeued.videoId);
+  return requeued;
+};
+
+/**
+ * Job handler: run every analysis stage that has not completed yet
+ */
+export const runAnalysisJob = async (job, { signal } = {}) => {
+  let video = await Video.findByVideoId(job.videoId);
+
+  // Without a video document there is nothing to resume from
+  if (!video) {
+    job.stages.forEach(stage => {
+      stage.status = 'pending';
+    });
+  }
+
+  for (const name of ANALYSIS_STAGES) {
+    // Jobs queued before a stage was added have no entry for it
+    if (!job.getStage(name)) job.stages.push({ name });
+    if (job.getStage(name).status === 'completed') continue;
+    if (signal?.aborted) throw createAbortError();
+
+    await job.startStage(name);
+    analysisEvents.emit('update', job.videoId);
+    console.log(`📹 Job ${job.id}: ${name} stage started for ${job.videoId}`);
+
+    try {
+      video = await stageHandlers[name](job, video, { signal });
+    } catch (error) {
+      await job.failStage(name, error, signal?.aborted ? 'cancelled' : 'failed');
+      analysisEvents.emit('update', job.videoId);
+      throw error;
+    }
+
+    await job.completeStage(name);
+    analysisEvents.emit('update', job.videoId);
+  }
+
+  video.processingStatus = 'completed';
+  video.processingError = undefined;
+  await video.save();
+  analysisEvents.emit('update', job.videoId);
+
+  // Add to history; a re-run (e.g. after a transcript upload) replaces the old analysis there too
+  try {
+    await History.recordVideo(video);
+    await History.syncAnalysis(video);
+  } catch (error) {
+    console.error('Error updating history:', error);
+  }
+
+  // Embed for semantic search; reindexing the library catches up on failures
+  try {
+    await searchService.indexVideo(video, { signal });
+  } catch (error) {
+    console.error('Error embedding video for search:', error);
+  }
+
+  return video;
+};
+
+/**
+ * Job failure handler: record the error on the video once retries are used up
+ */
+export const markAnalysisFailed = async (job, error) => {
+  await Video.updateOne(
+    { videoId: job.videoId },
+    { $set: { processingStatus: 'failed', processingError: error.message?.substring(0, 1000) } }
+  );
+};
+
+/**
+ * Job cancellation handler: record the cancellation on the video
+ */
+export const markAnalysisCancelled = async (job) => {
+  await Video.updateOne(
+    { videoId: job.videoId },
+    { $set: { processingStatus: 'cancelled', processingError: 'Analysis cancelled' } }
+  );
+};
+
+/**
+ * Create a job queue worker that processes analysis jobs
+ */
+export const createAnalysisWorker = () => {
+  const queue = new JobQueue({
+    concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+    lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000
+  });
+
+  queue.registerHandler('analyze', runAnalysisJob, {
+    onFailed: markAnalysisFailed,
+    onCancelled: markAnalysisCancelled
+  });
+  queue.on('job', job => analysisEvents.emit('update', job.videoId));
+  analysisEvents.on('cancel', jobId => queue.abort(jobId));
+  return queue;
+};
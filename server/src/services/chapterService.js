@@ -0,0 +1,54 @@
+import { getChapterText, parseDescriptionChapters, withChapterEnds } from '../utils/chapters.js';
+import { groupSegments } from '../utils/transcript.js';
+
+// Length of each timestamped transcript line sent when generating chapters
+const CHAPTER_BLOCK_SECONDS = 30;
+
+export class ChapterService {
+  constructor(aiService) {
+    this.aiService = aiService;
+  }
+
+  /**
+   * Build a video's chapters: the chapter list from its description when
+   * there is one, otherwise chapters generated from the timestamped transcript.
+   * Titles and summaries are written in the video's output language unless
+   * options.language says otherwise. Returns { chapters, source }.
+   */
+  async buildChapters(video, options = {}) {
+    options = { ...options, language: options.language || video.outputLanguage };
+    const segments = video.transcriptSegments || [];
+    const described = parseDescriptionChapters(video.description, video.duration);
+
+    if (described.length > 0) {
+      if (segments.length === 0) {
+        return { chapters: described, source: 'description' };
+      }
+
+      const summaries = await this.aiService.summarizeChapters(
+        described.map(chapter => ({ ...chapter, text: getChapterText(chapter, segments) })),
+        video.title,
+        options
+      );
+      return {
+        chapters: described.map((chapter, index) => ({ ...chapter, summary: summaries[index] })),
+        source: 'description'
+      };
+    }
+
+    // Without timing there is nothing to anchor generated chapters to
+    if (segments.length === 0) {
+      return { chapters: [], source: null };
+    }
+
+    const generated = await this.aiService.generateChapters(
+      groupSegments(segments, CHAPTER_BLOCK_SECONDS),
+      video.title,
+      options
+    );
+    return {
+      chapters: withChapterEnds(generated, video.duration),
+      source: generated.length > 0 ? 'generated' : null
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import { getEmbeddingProvider } from '../config/ai.js';
+import { createAbortError, createProvider } from './providers/index.js';
+
+// Number of texts sent to the embedding provider in one request
+const EMBEDDING_BATCH_SIZE = 64;
+// Longest text embedded, in characters; embedding models cut off long inputs anyway
+const EMBEDDING_MAX_CHARS = 8000;
+
+export class EmbeddingService {
+  constructor() {
+    const setting = getEmbeddingProvider();
+    this.providerName = setting?.name || null;
+    this.provider = setting ? createProvider(setting.name) : null;
+    this.model = setting ? setting.model || this.provider.embeddingModel : null;
+
+    if (this.provider && !this.model) {
+      console.error(`❌ ${this.provider.label} has no embedding model; semantic search is disabled`);
+      this.provider = null;
+    }
+  }
+
+  /**
+   * Whether EMBEDDING_PROVIDER is set, i.e. search can be semantic
+   */
+  isEnabled() {
+    return this.provider !== null;
+  }
+
+  /**
+   * Key stored with every vector. Vectors from different models cannot be
+   * compared, so switching models means reindexing the library.
+   */
+  getModelKey() {
+    return this.isEnabled() ? `${this.providerName}:${this.model}` : null;
+  }
+
+  /**
+   * Describe the embedding provider for the search status endpoint
+   */
+  describe() {
+    return this.isEnabled()
+      ? { provider: this.providerName, label: this.provider.label, model: this.model }
+      : null;
+  }
+
+  /**
+   * Embed a list of texts, in batches, returning one vector per text
+   */
+  async embed(texts, { signal } = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Semantic search is not configured; set EMBEDDING_PROVIDER');
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      if (signal?.aborted) throw createAbortError();
+
+      const batch = texts
+        .slice(i, i + EMBEDDING_BATCH_SIZE)
+        .map(text => String(text || ' ').substring(0, EMBEDDING_MAX_CHARS));
+      vectors.push(...await this.provider.embed(batch, { model: this.model, signal }));
+    }
+    return vectors;
+  }
+}
@@ -0,0 +1,261 @@
+import PDFDocument from 'pdfkit';
+import { formatTimestamp } from '../utils/transcript.js';
+import { buildWatchUrl } from '../shared/youtubeUrl.js';
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Helper function to escape text for HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper function to format a date for people to read
+const formatDate = (value) => (value ? new Date(value).toISOString().substring(0, 10) : null);
+
+export class ExportService {
+  /**
+   * Collect everything an export contains: video metadata, the analysis,
+   * the user's notes and (when given) chat sessions, oldest first
+   */
+  buildDocument(video, { history = null, chats = [] } = {}) {
+    return {
+      videoId: video.videoId,
+      title: video.title,
+      url: buildWatchUrl(video.videoId),
+      channelName: video.channelName,
+      publishedAt: video.publishedAt || null,
+      duration: video.duration || 0,
+      viewCount: video.viewCount || 0,
+      summary: video.summary || '',
+      keyPoints: video.keyPoints || [],
+      tags: video.tags || [],
+      chapters: (video.chapters || []).map(chapter => ({
+        title: chapter.title,
+        start: chapter.start,
+        end: chapter.end,
+        summary: chapter.summary || '',
+        link: buildWatchUrl(video.videoId, { start: chapter.start })
+      })),
+      notes: history?.notes || '',
+      chats: [...chats]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(chat => ({
+          sessionId: chat.sessionId,
+          startedAt: chat.createdAt,
+          messages: chat.messages.map(message => ({
+            role: message.role,
+            content: message.content,
+            timestamp: message.timestamp
+          }))
+        }))
+        .filter(chat => chat.messages.length > 0),
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Render an export document in one of EXPORT_FORMATS.
+   * Returns a string, or a Buffer for PDF.
+   */
+  async render(doc, format) {
+    switch (format) {
+      case 'md':
+        return this.toMarkdown(doc);
+      case 'html':
+        return this.toHtml(doc);
+      case 'pdf':
+        return this.toPdf(doc);
+      default:
+        return JSON.stringify(doc, null, 2);
+    }
+  }
+
+  // Helper method to describe the video in one line
+  describeVideo(doc) {
+    return [
+      doc.channelName,
+      formatDate(doc.publishedAt),
+      formatTimestamp(doc.duration),
+      `${doc.viewCount.toLocaleString('en-US')} views`
+    ].filter(Boolean).join(' · ');
+  }
+
+  toMarkdown(doc) {
+    const lines = [
+      `# ${doc.title}`,
+      '',
+      `${this.describeVideo(doc)}  `,
+      `<${doc.url}>`,
+      ''
+    ];
+
+    if (doc.summary) {
+      lines.push('## Summary', '', doc.summary, '');
+    }
+    if (doc.keyPoints.length > 0) {
+      lines.push('## Key Points', '', ...doc.keyPoints.map(point => `- ${point}`), '');
+    }
+    if (doc.chapters.length > 0) {
+      lines.push('## Chapters', '');
+      doc.chapters.forEach(chapter => {
+        lines.push(`- [${formatTimestamp(chapter.start)}](${chapter.link}) **${chapter.title}**${chapter.summary ? ` - ${chapter.summary}` : ''}`);
+      });
+      lines.push('');
+    }
+    if (doc.tags.length > 0) {
+      lines.push('## Tags', '', doc.tags.map(tag => `\`${tag}\``).join(' '), '');
+    }
+    if (doc.notes) {
+      lines.push('## Notes', '', doc.notes, '');
+    }
+    if (doc.chats.length > 0) {
+      lines.push('## Chat');
+      doc.chats.forEach(chat => {
+        lines.push('', `### Session started ${formatDate(chat.startedAt)}`, '');
+        chat.messages.forEach(message => {
+          lines.push(`**${message.role === 'user' ? 'You' : 'Assistant'}:** ${message.content}`, '');
+        });
+      });
+    }
+
+    lines.push('---', `Exported from Vid Essence on ${formatDate(doc.exportedAt)}`);
+    return lines.join('\n') + '\n';
+  }
+
+  toHtml(doc) {
+    const paragraphs = (text) => text
+      .split(/\n{2,}/)
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+
+    const sections = [];
+    if (doc.summary) {
+      sections.push(`<h2>Summary</h2>\n${paragraphs(doc.summary)}`);
+    }
+    if (doc.keyPoints.length > 0) {
+      sections.push(`<h2>Key Points</h2>\n<ul>\n${doc.keyPoints.map(point => `<li>${escapeHtml(point)}</li>`).join('\n')}\n</ul>`);
+    }
+    if (doc.chapters.length > 0) {
+      const items = doc.chapters.map(chapter =>
+        `<li><a href="${escapeHtml(chapter.link)}">${formatTimestamp(chapter.start)}</a> <strong>${escapeHtml(chapter.title)}</strong>${chapter.summary ? `<br>${escapeHtml(chapter.summary)}` : ''}</li>`
+      );
+      sections.push(`<h2>Chapters</h2>\n<ul class="chapters">\n${items.join('\n')}\n</ul>`);
+    }
+    if (doc.tags.length > 0) {
+      sections.push(`<h2>Tags</h2>\n<p>${doc.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ')}</p>`);
+    }
+    if (doc.notes) {
+      sections.push(`<h2>Notes</h2>\n${paragraphs(doc.notes)}`);
+    }
+    if (doc.chats.length > 0) {
+      const sessions = doc.chats.map(chat => {
+        const messages = chat.messages.map(message =>
+          `<div class="message ${message.role}"><strong>${message.role === 'user' ? 'You' : 'Assistant'}:</strong> ${escapeHtml(message.content).replace(/\n/g, '<br>')}</div>`
+        );
+        return `<h3>Session started ${formatDate(chat.startedAt)}</h3>\n${messages.join('\n')}`;
+      });
+      sections.push(`<h2>Chat</h2>\n${sessions.join('\n')}`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #1f2937; }
+  .meta { color: #6b7280; }
+  .chapters { list-style: none; padding-left: 0; }
+  .chapters li { margin-bottom: 0.5rem; }
+  .tag { display: inline-block; border: 1px solid #d1d5db; border-radius: 9999px; padding: 0 0.6rem; font-size: 0.85rem; }
+  .message { margin-bottom: 0.75rem; }
+  .message.assistant { padding-left: 1rem; border-left: 3px solid #e5e7eb; }
+  footer { margin-top: 2rem; color: #9ca3af; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<p class="meta">${escapeHtml(this.describeVideo(doc))}<br><a href="${escapeHtml(doc.url)}">${escapeHtml(doc.url)}</a></p>
+${sections.join('\n')}
+<footer>Exported from Vid Essence on ${formatDate(doc.exportedAt)}</footer>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render the export as a PDF. The built-in PDF fonts only cover Latin-1,
+   * so other scripts are best exported as HTML or Markdown.
+   */
+  toPdf(doc) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({
+        margin: 56,
+        info: { Title: doc.title, Subject: 'Video summary', Creator: 'Vid Essence' }
+      });
+      const buffers = [];
+      pdf.on('data', chunk => buffers.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(buffers)));
+      pdf.on('error', reject);
+
+      const heading = (text) => {
+        pdf.moveDown(0.8).font('Helvetica-Bold').fontSize(14).fillColor('#111827').text(text);
+        pdf.moveDown(0.3).font('Helvetica').fontSize(11).fillColor('#1f2937');
+      };
+
+      pdf.font('Helvetica-Bold').fontSize(20).text(doc.title);
+      pdf.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#6b7280').text(this.describeVideo(doc));
+      pdf.fillColor('#2563eb').text(doc.url, { link: doc.url });
+      pdf.fillColor('#1f2937').fontSize(11);
+
+      if (doc.summary) {
+        heading('Summary');
+        doc.summary.split(/\n{2,}/).forEach(paragraph => pdf.text(paragraph, { paragraphGap: 6 }));
+      }
+      if (doc.keyPoints.length > 0) {
+        heading('Key Points');
+        pdf.list(doc.keyPoints, { bulletRadius: 2, paragraphGap: 3 });
+      }
+      if (doc.chapters.length > 0) {
+        heading('Chapters');
+        doc.chapters.forEach(chapter => {
+          pdf.fillColor('#2563eb').text(formatTimestamp(chapter.start), { link: chapter.link, continued: true });
+          pdf.fillColor('#1f2937').font('Helvetica-Bold').text(`  ${chapter.title}`, { link: null });
+          pdf.font('Helvetica');
+          if (chapter.summary) pdf.fontSize(10).text(chapter.summary).fontSize(11);
+          pdf.moveDown(0.3);
+        });
+      }
+      if (doc.tags.length > 0) {
+        heading('Tags');
+        pdf.text(doc.tags.join(', '));
+      }
+      if (doc.notes) {
+        heading('Notes');
+        pdf.text(doc.notes);
+      }
+      if (doc.chats.length > 0) {
+        heading('Chat');
+        doc.chats.forEach(chat => {
+          pdf.font('Helvetica-Oblique').fontSize(10).fillColor('#6b7280').text(`Session started ${formatDate(chat.startedAt)}`);
+          pdf.font('Helvetica').fontSize(11).fillColor('#1f2937').moveDown(0.3);
+          chat.messages.forEach(message => {
+            pdf.font('Helvetica-Bold').text(`${message.role === 'user' ? 'You' : 'Assistant'}: `, { continued: true });
+            pdf.font('Helvetica').text(message.content, { paragraphGap: 4 });
+          });
+          pdf.moveDown(0.5);
+        });
+      }
+
+      pdf.moveDown(1).fontSize(9).fillColor('#9ca3af').text(`Exported from Vid Essence on ${formatDate(doc.exportedAt)}`);
+      pdf.end();
+    });
+  }
+}
@@ -0,0 +1,171 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import Job from '../models/Job.js';
+import { createAbortError } from './providers/index.js';
+
+/**
+ * Mongo-backed job queue worker.
+ *
+ * Jobs are claimed with an atomic findOneAndUpdate, so any number of workers
+ * (in this process or others) can poll the same collection safely. A running
+ * job refreshes its lock with a heartbeat; if its worker dies, the lock
+ * expires and another worker picks the job up again. The heartbeat also
+ * picks up cancellation requests made from other processes.
+ *
+ * Handlers receive (job, { signal }) and should pass the signal on to
+ * long-running work so a cancelled job stops promptly.
+ *
+ * Emits "job" with the job document whenever a run ends and its state is saved.
+ */
+export class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.concurrency = options.concurrency || 1;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5 * 60 * 1000;
+    this.heartbeatMs = options.heartbeatMs || Math.max(1000, Math.min(Math.floor(this.lockTimeoutMs / 3), 5000));
+    this.retryDelayMs = options.retryDelayMs || 5000;
+    this.handlers = {};
+    this.activeJobs = new Map();
+    this.controllers = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Register the function that processes jobs of a type. `onFailed` runs
+   * once a job has used up all of its attempts, `onCancelled` once a
+   * cancelled job has stopped.
+   */
+  registerHandler(type, handler, { onFailed, onCancelled } = {}) {
+    this.handlers[type] = { run: handler, onFailed, onCancelled };
+  }
+
+  /**
+   * Abort a job running in this worker. Returns whether it was found.
+   */
+  abort(jobId) {
+    const controller = this.controllers.get(String(jobId));
+    controller?.abort();
+    return Boolean(controller);
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.timer) return;
+    console.log(`🧵 Job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.poll();
+  }
+
+  /**
+   * Stop polling. Jobs already running are left to finish.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim and run jobs until the worker is at capacity or the queue is empty
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < this.concurrency) {
+        const job = await Job.claimNext(this.workerId, this.lockTimeoutMs);
+        if (!job) break;
+
+        const running = this.run(job).finally(() => {
+          this.activeJobs.delete(job.id);
+        });
+        this.activeJobs.set(job.id, running);
+      }
+    } catch (error) {
+      console.error('Job queue polling error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run one claimed job, retrying with backoff when it fails
+   */
+  async run(job) {
+    const handler = this.handlers[job.type];
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    const heartbeat = setInterval(() => {
+      Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } },
+        { new: true, projection: { cancelRequested: 1 } }
+      )
+        .then(current => {
+          if (current?.cancelRequested) controller.abort();
+        })
+        .catch(error => console.error('Job heartbeat error:', error.message));
+    }, this.heartbeatMs);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      if (job.cancelRequested) {
+        controller.abort();
+        throw createAbortError();
+      }
+
+      console.log(`🧵 Job ${job.id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+      await handler.run(job, { signal: controller.signal });
+
+      job.status = 'completed';
+      job.stage = null;
+      job.progress = 100;
+      job.error = undefined;
+      job.completedAt = new Date();
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      const cancelled = controller.signal.aborted;
+      const canRetry = !cancelled && job.attempts < job.maxAttempts;
+      job.error = cancelled ? 'Job cancelled' : error.message?.substring(0, 1000);
+
+      if (cancelled) {
+        job.status = 'cancelled';
+        job.completedAt = new Date();
+        console.log(`🛑 Job ${job.id} cancelled`);
+      } else if (canRetry) {
+        // Exponential backoff: 5s, 10s, 20s...
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + this.retryDelayMs * 2 ** (job.attempts - 1));
+        console.warn(`⚠️  Job ${job.id} failed, retrying at ${job.runAt.toISOString()}: ${error.message}`);
+      } else {
+        job.status = 'failed';
+        console.error(`❌ Job ${job.id} failed after ${job.attempts} attempts: ${error.message}`);
+      }
+
+      const hook = cancelled ? handler?.onCancelled : !canRetry && handler?.onFailed;
+      if (hook) {
+        await hook(job, error).catch(hookError => {
+          console.error('Job failure handler error:', hookError.message);
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.controllers.delete(job.id);
+      job.lockedBy = null;
+      job.lockedAt = null;
+      await job.save().catch(error => console.error('Failed to save job state:', error.message));
+      this.emit('job', job);
+    }
+  }
+}
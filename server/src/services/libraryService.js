@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import History from '../models/History.js';
+import Chat from '../models/Chat.js';
+import Flashcard from '../models/Flashcard.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import TranscriptChunk from '../models/TranscriptChunk.js';
+import Embedding from '../models/Embedding.js';
+import Job from '../models/Job.js';
+import Batch from '../models/Batch.js';
+
+export const LIBRARY_ARCHIVE_FORMAT = 'vid-essence-library';
+// Bump when the archive layout changes; older archives must stay importable
+export const LIBRARY_ARCHIVE_VERSION = 1;
+
+// Collections in a library archive, in restore order. Every document has a
+// YouTube videoId, which is how duplicates are detected when merging, except
+// multi-video chats: they list their videos in videoIds and are always merged.
+// Transcript chunks, search embeddings and jobs are left out: chat rebuilds
+// the chunk index on demand, POST /api/search/reindex recomputes embeddings
+// and jobs only matter while an analysis runs. `unique` lists the fields
+// besides _id that a collection's unique indexes cover.
+const LIBRARY_COLLECTIONS = [
+  { key: 'videos', model: Video, unique: ['videoId'] },
+  { key: 'histories', model: History, unique: ['videoId'] },
+  { key: 'chats', model: Chat, unique: ['sessionId'] },
+  { key: 'flashcards', model: Flashcard },
+  { key: 'quizzes', model: Quiz },
+  { key: 'quizAttempts', model: QuizAttempt }
+];
+
+// Validation problems reported for a rejected archive
+const MAX_REPORTED_PROBLEMS = 20;
+
+// Helper function to write to a stream, waiting for it to drain when its buffer
+// is full so a slow client does not make the whole archive pile up in memory
+const writeChunk = (output, chunk) => {
+  if (output.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('The connection closed before the archive was written'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+  });
+};
+
+export class LibraryService {
+  /**
+   * Stream every library document to a writable (e.g. an Express response)
+   * as one JSON archive, without loading whole collections into memory
+   */
+  async writeArchive(output) {
+    const counts = {};
+    for (const { key, model } of LIBRARY_COLLECTIONS) {
+      counts[key] = await model.estimatedDocumentCount();
+    }
+
+    await writeChunk(output, `{"format":${JSON.stringify(LIBRARY_ARCHIVE_FORMAT)},"version":${LIBRARY_ARCHIVE_VERSION},`);
+    await writeChunk(output, `"exportedAt":${JSON.stringify(new Date().toISOString())},"counts":${JSON.stringify(counts)}`);
+
+    for (const { key, model } of LIBRARY_COLLECTIONS) {
+      await writeChunk(output, `,${JSON.stringify(key)}:[`);
+      let first = true;
+      // The cursor is not read further until the previous document is flushed
+      for await (const doc of model.find().sort({ _id: 1 }).lean().cursor()) {
+        await writeChunk(output, `${first ? '' : ','}\n${JSON.stringify(doc)}`);
+        first = false;
+      }
+      await writeChunk(output, ']');
+    }
+
+    await writeChunk(output, '}\n');
+  }
+
+  /**
+   * Check an archive before anything is written. Returns a list of problems;
+   * an empty list means the archive can be imported.
+   */
+  async checkArchive(archive) {
+    const problems = [];
+
+    if (!archive || typeof archive !== 'object' || archive.format !== LIBRARY_ARCHIVE_FORMAT) {
+      return ['Not a Vid Essence library archive'];
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > LIBRARY_ARCHIVE_VERSION) {
+      return [`Unsupported archive version ${archive.version}; this server reads versions 1 to ${LIBRARY_ARCHIVE_VERSION}`];
+    }
+
+    for (const { key, model, unique = [] } of LIBRARY_COLLECTIONS) {
+      const docs = archive[key] ?? [];
+      if (!Array.isArray(docs)) {
+        problems.push(`${key} must be an array`);
+        continue;
+      }
+
+      for (let index = 0; index < docs.length && problems.length < MAX_REPORTED_PROBLEMS; index++) {
+        try {
+          await new model(docs[index]).validate();
+        } catch (error) {
+          problems.push(`${key}[${index}]: ${error.message}`);
+        }
+      }
+
+      // Each document is valid on its own, but two with the same key would
+      // fail the unique indexes part-way through the restore
+      ['_id', ...unique].forEach(field => {
+        const seen = new Set();
+        docs.forEach((doc, index) => {
+          const value = doc?.[field];
+          if (value === undefined || value === null || problems.length >= MAX_REPORTED_PROBLEMS) return;
+          if (seen.has(String(value))) {
+            problems.push(`${key}[${index}]: duplicate ${field} ${value}`);
+          }
+          seen.add(String(value));
+        });
+      });
+    }
+
+    return problems.slice(0, MAX_REPORTED_PROBLEMS);
+  }
+
+  /**
+   * Restore a checked archive.
+   *
+   * "replace" deletes the current library first, including analysis jobs and
+   * batches, which would otherwise point at videos that are gone. "merge" keeps it and skips
+   * archived videos whose videoId is already in the library, together with
+   * their history, chats, flashcards and quizzes; with `overwrite` the local
+   * copies of those videos (and their jobs) are deleted and replaced by the
+   * archived ones.
+   *
+   * Everything runs in one transaction, so a failed restore leaves the library
+   * as it was. Transactions need a replica set (as on MongoDB Atlas).
+   */
+  async importArchive(archive, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      // The callback may run again if the transaction hits a transient error
+      await session.withTransaction(async () => {
+        result = await this.restoreArchive(archive, options, session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Write a checked archive within a session's transaction (see importArchive)
+   */
+  async restoreArchive(archive, { mode = 'merge', overwrite = false } = {}, session) {
+    const archivedVideoIds = new Set();
+    LIBRARY_COLLECTIONS.forEach(({ key }) => {
+      (archive[key] || []).forEach(doc => doc.videoId && archivedVideoIds.add(doc.videoId));
+    });
+
+    let duplicates = [];
+    // Operations in a transaction share one session, so they run one at a time
+    const derivedModels = [TranscriptChunk, Embedding, Job];
+    if (mode === 'replace') {
+      for (const model of [...LIBRARY_COLLECTIONS.map(({ model }) => model), ...derivedModels, Batch]) {
+        await model.deleteMany({}, { session });
+      }
+    } else {
+      const ids = [...archivedVideoIds];
+      const videoIds = await Video.distinct('videoId', { videoId: { $in: ids } }).session(session);
+      const historyIds = await History.distinct('videoId', { videoId: { $in: ids } }).session(session);
+      duplicates = [...new Set([...videoIds, ...historyIds])];
+
+      if (overwrite && duplicates.length > 0) {
+        for (const model of [...LIBRARY_COLLECTIONS.map(({ model }) => model), ...derivedModels]) {
+          await model.deleteMany({ videoId: { $in: duplicates } }, { session });
+        }
+      }
+    }
+
+    const skippedVideoIds = new Set(mode === 'merge' && !overwrite ? duplicates : []);
+    const imported = {};
+    const skipped = {};
+
+    for (const { key, model } of LIBRARY_COLLECTIONS) {
+      let docs = (archive[key] || []).filter(doc => !skippedVideoIds.has(doc.videoId));
+
+      // Documents left behind by an earlier import (such as chats of a
+      // deleted video) would collide on _id
+      if (mode === 'merge' && docs.length > 0) {
+        const existingIds = await model.distinct('_id', { _id: { $in: docs.map(doc => doc._id).filter(Boolean) } }).session(session);
+        const existing = new Set(existingIds.map(String));
+        docs = docs.filter(doc => !existing.has(String(doc._id)));
+      }
+
+      if (docs.length > 0) {
+        await model.insertMany(docs, { session });
+      }
+
+      imported[key] = docs.length;
+      skipped[key] = (archive[key] || []).length - docs.length;
+    }
+
+    return {
+      mode,
+      overwrite: mode === 'merge' && overwrite,
+      imported,
+      skipped,
+      duplicateVideoIds: duplicates
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import axios from 'axios';
+import { BaseProvider } from './baseProvider.js';
+import { parseEventStream } from '../../utils/sse.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Adapter for Anthropic's Messages API
+export class AnthropicProvider extends BaseProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.timeout = settings.timeout || 60000;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    };
+  }
+
+  /**
+   * The Messages API takes the system prompt separately and expects the
+   * conversation to start with a user turn and alternate roles
+   */
+  buildRequestData(messages, options = {}) {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const conversation = [];
+    messages
+      .filter(msg => msg.role !== 'system')
+      .forEach(msg => {
+        const role = msg.role === 'assistant' ? 'assistant' : 'user';
+        const previous = conversation[conversation.length - 1];
+        if (previous && previous.role === role) {
+          previous.content += `\n\n${msg.content}`;
+        } else {
+          conversation.push({ role, content: msg.content });
+        }
+      });
+
+    if (conversation.length === 0 || conversation[0].role !== 'user') {
+      conversation.unshift({ role: 'user', content: 'Hello.' });
+    }
+
+    return {
+      model: options.model || this.model,
+      ...(system && { system }),
+      messages: conversation,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 2000
+    };
+  }
+
+  async complete(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/v1/messages`,
+        this.buildRequestData(messages, options),
+        {
+          headers: this.buildHeaders(),
+          timeout: this.timeout,
+          signal: options.signal
+        }
+      );
+
+      return response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  async *stream(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseURL}/v1/messages`,
+        { ...this.buildRequestData(messages, options), stream: true },
+        {
+          headers: this.buildHeaders(),
+          timeout: this.timeout,
+          signal: options.signal,
+          responseType: 'stream'
+        }
+      );
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+
+    try {
+      for await (const { event, data } of parseEventStream(response.data)) {
+        if (event === 'message_stop') return;
+        if (event === 'error') throw new Error(JSON.parse(data).error?.message || 'Stream error');
+        if (event !== 'content_block_delta') continue;
+
+        const delta = JSON.parse(data).delta;
+        if (delta?.type === 'text_delta' && delta.text) yield delta.text;
+      }
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+// Shared behaviour for AI provider adapters.
+// Adapters implement complete(messages, options) and return the reply text,
+// and may implement stream(messages, options) to yield the reply in pieces
+// and embed(texts, options) to return one embedding vector per text.
+
+// Error thrown when a request is stopped through its abort signal
+export const createAbortError = () => {
+  const abortError = new Error('AI request was cancelled');
+  abortError.name = 'AbortError';
+  return abortError;
+};
+
+export class BaseProvider {
+  constructor(settings = {}) {
+    this.label = settings.label || 'AI';
+    this.model = settings.model;
+    this.baseURL = settings.baseURL;
+    this.apiKey = settings.apiKey;
+    this.embeddingModel = settings.embeddingModel;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a reply for a list of { role, content } messages
+   */
+  async complete() {
+    throw new Error(`${this.label} provider does not implement complete()`);
+  }
+
+  /**
+   * Stream a reply as text deltas. Adapters without native streaming
+   * yield the complete reply at once.
+   */
+  async *stream(messages, options = {}) {
+    yield await this.complete(messages, options);
+  }
+
+  /**
+   * Compute embedding vectors for a list of texts, in the same order
+   */
+  async embed() {
+    throw new Error(`${this.label} provider does not support embeddings`);
+  }
+
+  /**
+   * Translate transport errors into user-facing messages
+   */
+  toServiceError(error) {
+    console.error(`${this.label} API Error:`, error.response?.data || error.message);
+
+    const status = error.response?.status;
+    if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+      return createAbortError();
+    } else if (status === 429) {
+      return new Error('Rate limit exceeded. Please try again later.');
+    } else if (status === 401 || status === 403) {
+      return new Error(`Invalid API key. Please check your ${this.label} API configuration.`);
+    } else if (status === 402) {
+      return new Error(`Insufficient credits. Please check your ${this.label} account balance.`);
+    } else if (error.code === 'ECONNABORTED') {
+      return new Error('Request timeout. The AI service took too long to respond.');
+    } else if (error.code === 'ECONNREFUSED') {
+      return new Error(`Could not connect to the ${this.label} server at ${this.baseURL}.`);
+    }
+
+    return new Error(`AI service error: ${error.message}`);
+  }
+}
@@ -0,0 +1,26 @@
+import { getProviderSettings } from '../../config/ai.js';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider.js';
+import { AnthropicProvider } from './anthropicProvider.js';
+import { MockProvider } from './mockProvider.js';
+import { createAbortError } from './baseProvider.js';
+
+const PROVIDER_TYPES = {
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider adapter by configured name (openrouter, openai, ollama, anthropic, mock)
+ */
+export const createProvider = (name, overrides = {}) => {
+  const settings = getProviderSettings()[name];
+  if (!settings) {
+    throw new Error(`Unknown AI provider "${name}". Expected one of: ${Object.keys(getProviderSettings()).join(', ')}`);
+  }
+
+  const Provider = PROVIDER_TYPES[settings.type];
+  return new Provider({ ...settings, ...overrides });
+};
+
+export { OpenAICompatibleProvider, AnthropicProvider, MockProvider, createAbortError };
@@ -0,0 +1,261 @@
+import { BaseProvider, createAbortError } from './baseProvider.js';
+import { tokenize } from '../../utils/textSearch.js';
+
+// Size of the hashed term vectors returned by embed()
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+// Deterministic offline provider for development and CI.
+// Replies are derived only from the prompt, so the same input always
+// produces the same output and no network access is needed.
+export class MockProvider extends BaseProvider {
+  /**
+   * Text the reply is built from: the last user message
+   */
+  getSource(messages) {
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+  }
+
+  getSentences(text, limit) {
+    return (text.match(/[^.!?\n]+[.!?]/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 20)
+      .slice(0, limit);
+  }
+
+  getTopTerms(text, limit) {
+    const counts = new Map();
+    tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([term]) => term);
+  }
+
+  /**
+   * Chapter replies: summaries for "Chapter N:" sections when chapters are
+   * given, otherwise up to three chapters over the [m:ss] transcript lines
+   */
+  getChapters(source) {
+    const sections = source.split(/^Chapter \d+:.*$/m).slice(1);
+    if (sections.length > 0) {
+      return sections.map(section => this.getSentences(section, 1)[0] || 'This chapter has no transcript.');
+    }
+
+    const lines = source.split('\n').filter(line => /^\[(?:\d{1,2}:)?\d{1,2}:\d{2}\]/.test(line));
+    const size = Math.max(1, Math.ceil(lines.length / 3));
+    const chapters = [];
+    for (let index = 0; index < lines.length; index += size) {
+      const group = lines.slice(index, index + size).join('\n');
+      chapters.push({
+        start: lines[index].match(/^\[([\d:]+)\]/)[1],
+        title: this.getTopTerms(group, 3).join(' ') || `Part ${chapters.length + 1}`,
+        summary: this.getSentences(group.replace(/^\[[\d:]+\]\s*/gm, ''), 2).join(' ')
+      });
+    }
+    return chapters;
+  }
+
+  /**
+   * Sentences from the "Transcript:" section of a prompt with their [m:ss] markers
+   */
+  getTranscriptFacts(source) {
+    const transcript = source.split(/^Transcript:$/m)[1] || source;
+    const lines = transcript.split('\n').filter(line => line.trim());
+    return lines.flatMap(line => {
+      const timestamp = line.match(/^\[([\d:]+)\]/)?.[1];
+      const text = line.replace(/^\[[\d:]+\]\s*/, '');
+      // Auto-generated captions often have no punctuation, so fall back to the whole line
+      const sentences = this.getSentences(text, 2);
+      return (sentences.length > 0 ? sentences : [text.substring(0, 200).trim()]).map(sentence => ({ sentence, timestamp }));
+    });
+  }
+
+  /**
+   * Quiz replies: one question per transcript sentence, in the requested format
+   */
+  getQuiz(source) {
+    const type = source.match(/^Question type: (.+)$/m)?.[1];
+    const count = Number(source.match(/^Number of questions: (\d+)$/m)?.[1]) || 5;
+    const facts = this.getTranscriptFacts(source);
+
+    return facts.slice(0, count).map((fact, index) => {
+      const topic = this.getTopTerms(fact.sentence, 2).join(' ') || 'this part';
+      const question = {
+        question: `What does the video say about ${topic}?`,
+        explanation: `The video states: "${fact.sentence}"`,
+        timestamp: fact.timestamp
+      };
+
+      if (type !== 'multiple-choice') {
+        return { ...question, answer: fact.sentence };
+      }
+
+      // Distractors are the sentences that follow, wrapping around
+      const others = facts.filter(other => other.sentence !== fact.sentence).map(other => other.sentence);
+      const distractors = Array.from({ length: Math.min(3, others.length) }, (_, offset) => others[(index + offset) % others.length]);
+      const answerIndex = index % (distractors.length + 1);
+      const choices = [...distractors];
+      choices.splice(answerIndex, 0, fact.sentence);
+      return { ...question, choices, answerIndex };
+    });
+  }
+
+  /**
+   * Flashcard replies: one card per key point, then one per transcript sentence
+   */
+  getFlashcards(source) {
+    const count = Number(source.match(/^Number of cards: (\d+)$/m)?.[1]) || 10;
+    const keyPointSection = source.split(/^Key points:$/m)[1]?.split(/^Transcript:$/m)[0] || '';
+    const keyPoints = keyPointSection
+      .split('\n')
+      .map(line => line.replace(/^-\s*/, '').trim())
+      .filter(point => point && point !== '(none)');
+
+    const cards = keyPoints.map(point => ({
+      front: `What does the video say about ${this.getTopTerms(point, 2).join(' ') || 'this point'}?`,
+      back: point,
+      source: 'keyPoint'
+    }));
+
+    this.getTranscriptFacts(source).forEach(fact => {
+      cards.push({
+        front: `What is said about ${this.getTopTerms(fact.sentence, 2).join(' ') || 'this part'}${fact.timestamp ? ` at ${fact.timestamp}` : ''}?`,
+        back: fact.sentence,
+        source: 'transcript',
+        timestamp: fact.timestamp
+      });
+    });
+
+    return cards.slice(0, count);
+  }
+
+  /**
+   * Comparison replies: terms every "Vn:" section uses become shared themes,
+   * each video's first key points its unique insights
+   */
+  getComparison(source) {
+    const sections = source.split(/^(?=V\d+: )/m).filter(section => /^V\d+: /.test(section));
+    const labels = sections.map(section => section.match(/^V\d+/)[0]);
+    const bodies = sections.map(section => section.replace(/^(Summary|Key points):$/gm, ''));
+    const termSets = bodies.map(body => new Set(tokenize(body)));
+    const shared = this.getTopTerms(bodies.join('\n'), 20)
+      .filter(term => termSets.every(terms => terms.has(term)))
+      .slice(0, 3);
+    const keyPoints = section => (section.split(/^Key points:$/m)[1] || '')
+      .split('\n')
+      .map(line => line.replace(/^-\s*/, '').trim())
+      .filter(point => point && point !== '(none)');
+
+    return {
+      overview: shared.length > 0
+        ? `These ${sections.length} videos all cover ${shared.join(', ')}.`
+        : `These ${sections.length} videos cover different topics.`,
+      sharedThemes: shared.map(term => ({
+        theme: term,
+        coverage: Object.fromEntries(labels.map(label => [label, `Discusses ${term}.`]))
+      })),
+      disagreements: [],
+      uniqueInsights: Object.fromEntries(sections.map((section, index) => [labels[index], keyPoints(section).slice(0, 2)])),
+      recommendations: sections.map((section, index) => ({
+        purpose: `Learning about ${this.getTopTerms(bodies[index], 2).join(' ') || 'its topic'}`,
+        video: labels[index],
+        reason: `It focuses on ${section.match(/^V\d+: (.*)$/m)[1]}.`
+      }))
+    };
+  }
+
+  async complete(messages, options = {}) {
+    if (options.signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const source = this.getSource(messages);
+
+    switch (options.task) {
+      case 'tags':
+        return this.getTopTerms(source, 8).join(', ');
+
+      case 'keyPoints': {
+        const points = this.getSentences(source, 6);
+        return points.length > 0
+          ? points.map(point => `- ${point}`).join('\n')
+          : '- The video content could not be summarized into key points.';
+      }
+
+      case 'chapters':
+        return JSON.stringify(this.getChapters(source));
+
+      case 'quiz':
+        return JSON.stringify(this.getQuiz(source));
+
+      case 'flashcards':
+        return JSON.stringify(this.getFlashcards(source));
+
+      case 'compare':
+        return JSON.stringify(this.getComparison(source));
+
+      case 'chat': {
+        const context = messages.map(msg => msg.content).join('\n');
+        const markerRegex = /^\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/m;
+        const topics = this.getTopTerms(source, 3).join(', ') || 'your question';
+
+        // Multi-video context: cite the first timestamped passage of each labelled video
+        const sections = context.split(/^(?=V\d+: )/m).filter(section => /^V\d+: /.test(section));
+        if (sections.length > 0) {
+          const citations = sections
+            .map(section => [section.match(/^V\d+/)[0], section.match(markerRegex)])
+            .filter(([, marker]) => marker)
+            .map(([label, marker]) => `[${label} ${marker[1]}]`);
+          return `This is a mock answer about ${topics} across ${sections.length} videos.${citations.length > 0 ? ` See ${citations.join(', ')}.` : ''}`;
+        }
+
+        // Cite the first timestamped passage in the context, if there is one
+        const marker = context.match(markerRegex);
+        return `This is a mock answer about ${topics}.${marker ? ` See [${marker[1]}].` : ''}`;
+      }
+
+      default: {
+        const sentences = this.getSentences(source, 4);
+        return sentences.length > 0
+          ? sentences.join(' ')
+          : 'Mock summary: the provided content was too short to summarize.';
+      }
+    }
+  }
+
+  async *stream(messages, options = {}) {
+    const reply = await this.complete(messages, options);
+    for (const piece of reply.match(/\S+\s*/g) || []) {
+      if (options.signal?.aborted) {
+        throw createAbortError();
+      }
+      yield piece;
+    }
+  }
+
+  /**
+   * Embeddings without a model: each term is hashed into a fixed-size vector
+   * (the "hashing trick"), so texts sharing words are similar. Good enough to
+   * exercise semantic search offline, not to find synonyms.
+   */
+  async embed(texts, options = {}) {
+    if (options.signal?.aborted) {
+      throw createAbortError();
+    }
+
+    return texts.map(text => {
+      const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+      tokenize(text).forEach(term => {
+        let hash = 2166136261;
+        for (const char of term) {
+          hash = Math.imul(hash ^ char.codePointAt(0), 16777619) >>> 0;
+        }
+        vector[hash % MOCK_EMBEDDING_DIMENSIONS] += (hash >>> 16) & 1 ? 1 : -1;
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+  }
+}
@@ -0,0 +1,117 @@
+import axios from 'axios';
+import { BaseProvider } from './baseProvider.js';
+import { parseEventStream } from '../../utils/sse.js';
+
+// Adapter for any server exposing the OpenAI /chat/completions API (and
+// /embeddings for search): OpenRouter, OpenAI, Ollama, llama.cpp, vLLM, LM Studio...
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.requireApiKey = settings.requireApiKey !== false;
+    this.headers = settings.headers || {};
+    this.timeout = settings.timeout || 60000;
+  }
+
+  isConfigured() {
+    return !this.requireApiKey || Boolean(this.apiKey);
+  }
+
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      ...this.headers
+    };
+  }
+
+  buildRequestData(messages, options = {}) {
+    return {
+      model: options.model || this.model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 2000,
+      top_p: options.topP ?? 0.9,
+      frequency_penalty: options.frequencyPenalty || 0,
+      presence_penalty: options.presencePenalty || 0
+    };
+  }
+
+  async complete(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        this.buildRequestData(messages, options),
+        {
+          headers: this.buildHeaders(),
+          timeout: this.timeout,
+          signal: options.signal
+        }
+      );
+
+      return response.data.choices[0].message.content;
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  async embed(texts, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/embeddings`,
+        { model: options.model || this.embeddingModel, input: texts },
+        {
+          headers: this.buildHeaders(),
+          timeout: this.timeout,
+          signal: options.signal
+        }
+      );
+
+      return [...response.data.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  async *stream(messages, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        { ...this.buildRequestData(messages, options), stream: true },
+        {
+          headers: this.buildHeaders(),
+          timeout: this.timeout,
+          signal: options.signal,
+          responseType: 'stream'
+        }
+      );
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+
+    try {
+      for await (const { data } of parseEventStream(response.data)) {
+        if (data === '[DONE]') return;
+
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+}
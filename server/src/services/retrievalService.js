@@ -0,0 +1,101 @@
+import TranscriptChunk from '../models/TranscriptChunk.js';
+import { chunkText, groupSegments } from '../utils/transcript.js';
+import { bm25Rank, tokenize } from '../utils/textSearch.js';
+
+// Length of a retrievable transcript window, in seconds of video
+const CHUNK_WINDOW_SECONDS = 45;
+// Token budget for windows built from transcripts without timing
+const UNTIMED_CHUNK_TOKENS = 200;
+// Character budget for the passages returned for one question
+const RETRIEVAL_CONTEXT_CHARS = 6000;
+// Character budget shared by every video of a multi-video question
+const MULTI_VIDEO_CONTEXT_CHARS = 12000;
+// Fewest characters of passages given to each video of a multi-video question
+const MIN_VIDEO_CONTEXT_CHARS = 800;
+
+export class RetrievalService {
+  /**
+   * Split a video transcript into retrievable chunks
+   */
+  buildChunks(video) {
+    const segments = video.transcriptSegments || [];
+
+    const windows = segments.length > 0
+      ? groupSegments(segments, CHUNK_WINDOW_SECONDS)
+      : chunkText(video.transcript || '', UNTIMED_CHUNK_TOKENS).map(text => ({ start: null, end: null, text }));
+
+    return windows.map((window, index) => ({
+      videoId: video.videoId,
+      index,
+      start: window.start,
+      end: window.end,
+      text: window.text,
+      terms: tokenize(window.text)
+    }));
+  }
+
+  /**
+   * Index a video's transcript chunks, replacing any previous index
+   */
+  async indexVideo(video) {
+    const chunks = this.buildChunks(video);
+
+    await TranscriptChunk.deleteMany({ videoId: video.videoId });
+    if (chunks.length > 0) {
+      await TranscriptChunk.insertMany(chunks);
+    }
+
+    console.log(`🔎 Indexed ${chunks.length} transcript chunks for ${video.videoId}`);
+    return chunks.length;
+  }
+
+  /**
+   * Remove a video's transcript chunks
+   */
+  async removeVideo(videoId) {
+    await TranscriptChunk.deleteMany({ videoId });
+  }
+
+  /**
+   * Retrieve the transcript chunks most relevant to a question, in video order.
+   * Videos analyzed before indexing existed are indexed on first use.
+   */
+  async retrieve(video, question, options = {}) {
+    const maxChars = options.maxChars || RETRIEVAL_CONTEXT_CHARS;
+
+    let chunks = await TranscriptChunk.findByVideoId(video.videoId).lean();
+    if (chunks.length === 0 && (video.transcript || video.transcriptSegments?.length)) {
+      await this.indexVideo(video);
+      chunks = await TranscriptChunk.findByVideoId(video.videoId).lean();
+    }
+
+    const ranked = bm25Rank(chunks, question);
+
+    // Nothing matched (e.g. "summarize this"): fall back to the opening chunks
+    const candidates = ranked.length > 0 ? ranked.map(result => result.document) : chunks;
+
+    const selected = [];
+    let length = 0;
+    for (const chunk of candidates) {
+      if (length + chunk.text.length > maxChars && selected.length > 0) break;
+      selected.push(chunk);
+      length += chunk.text.length;
+    }
+
+    return selected
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, start, end, text }) => ({ index, start, end, text }));
+  }
+
+  /**
+   * Retrieve passages relevant to a question from each of several videos.
+   * The character budget is split evenly, so every video is represented even
+   * when the question only names what some of them talk about.
+   */
+  async retrieveFromVideos(videos, question, options = {}) {
+    const maxChars = options.maxChars || MULTI_VIDEO_CONTEXT_CHARS;
+    const perVideoChars = Math.max(MIN_VIDEO_CONTEXT_CHARS, Math.floor(maxChars / Math.max(videos.length, 1)));
+
+    return Promise.all(videos.map(video => this.retrieve(video, question, { maxChars: perVideoChars })));
+  }
+}
@@ -0,0 +1,324 @@
+import Video from '../models/Video.js';
+import History from '../models/History.js';
+import TranscriptChunk from '../models/TranscriptChunk.js';
+import { RetrievalService } from './retrievalService.js';
+import { EmbeddingService } from './embeddingService.js';
+import { createVectorStore } from './vectorStores/index.js';
+import { bm25Rank, buildSnippet, tokenize } from '../utils/textSearch.js';
+import { buildWatchUrl } from '../shared/youtubeUrl.js';
+
+// Constant of reciprocal rank fusion: score = sum of 1 / (k + rank) over the rankings
+const RRF_K = 60;
+// Results taken from each ranking before they are fused, per result returned
+const CANDIDATES_PER_RESULT = 3;
+// Most transcript chunks scored by keyword for one query
+const KEYWORD_CHUNK_LIMIT = 2000;
+// Video fields searched by keyword and shown as snippets, in order of preference
+const VIDEO_SNIPPET_FIELDS = ['summary', 'keyPoints', 'notes', 'description'];
+
+const VIDEO_FIELDS = 'videoId title channelName thumbnailUrl duration publishedAt summary keyPoints tags description';
+
+// Helper function to read a video field as plain text
+const fieldText = (video, field) => (
+  Array.isArray(video[field]) ? video[field].join('. ') : video[field] || ''
+);
+
+// Helper function to build the text a video is found by: what it is called and what it is about
+const buildVideoText = (video) => [
+  video.title,
+  video.channelName,
+  fieldText(video, 'tags'),
+  video.summary,
+  fieldText(video, 'keyPoints'),
+  video.notes
+].filter(Boolean).join('\n');
+
+// Helper function to fuse rankings with reciprocal rank fusion. Each ranking
+// is a list of keys, best first; returns [{ key, score, matchedBy }] best first.
+const fuseRankings = (rankings) => {
+  const fused = new Map();
+  Object.entries(rankings).forEach(([name, keys]) => {
+    keys.forEach((key, rank) => {
+      const entry = fused.get(key) || { key, score: 0, matchedBy: [] };
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.matchedBy.push(name);
+      fused.set(key, entry);
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+// Helper function to pick the field of a video that best matches the query as its snippet
+const buildVideoSnippet = (video, query) => {
+  let best = null;
+  VIDEO_SNIPPET_FIELDS.forEach(field => {
+    const text = fieldText(video, field);
+    if (!text) return;
+    const snippet = buildSnippet(text, query);
+    if (!best || snippet.matchCount > best.matchCount) {
+      best = { field, ...snippet };
+    }
+  });
+  return best || { field: null, text: '', highlights: [], matchCount: 0 };
+};
+
+const passageKey = (videoId, index) => `${videoId}:${index}`;
+
+export class SearchService {
+  constructor() {
+    this.retrievalService = new RetrievalService();
+    // Created on first use, after the environment has been loaded
+    this.vectorStore = null;
+    this.embeddingService = null;
+    // Progress of a running reindexLibrary() call
+    this.reindexProgress = null;
+  }
+
+  getVectorStore() {
+    if (!this.vectorStore) {
+      this.vectorStore = createVectorStore();
+    }
+    return this.vectorStore;
+  }
+
+  getEmbeddingService() {
+    if (!this.embeddingService) {
+      this.embeddingService = new EmbeddingService();
+    }
+    return this.embeddingService;
+  }
+
+  /**
+   * Compute and store the embeddings of a video and its transcript chunks.
+   * Does nothing when semantic search is not configured.
+   */
+  async indexVideo(video, { signal } = {}) {
+    const embeddings = this.getEmbeddingService();
+    if (!embeddings.isEnabled()) return 0;
+
+    let chunks = await TranscriptChunk.findByVideoId(video.videoId).lean();
+    if (chunks.length === 0 && (video.transcript || video.transcriptSegments?.length)) {
+      await this.retrievalService.indexVideo(video);
+      chunks = await TranscriptChunk.findByVideoId(video.videoId).lean();
+    }
+
+    const history = await History.findOne({ videoId: video.videoId }).select('notes').lean();
+    const texts = [
+      buildVideoText({ ...(video.toObject?.() || video), notes: history?.notes }),
+      ...chunks.map(chunk => chunk.text)
+    ];
+    const vectors = await embeddings.embed(texts, { signal });
+
+    await this.getVectorStore().replaceVideo(video.videoId, embeddings.getModelKey(), [
+      { kind: 'video', chunkIndex: null, vector: vectors[0] },
+      ...chunks.map((chunk, i) => ({ kind: 'passage', chunkIndex: chunk.index, vector: vectors[i + 1] }))
+    ]);
+
+    console.log(`🧭 Embedded ${video.videoId} and ${chunks.length} transcript chunks`);
+    return texts.length;
+  }
+
+  /**
+   * Remove a video's embeddings
+   */
+  async removeVideo(videoId) {
+    await this.getVectorStore().removeVideo(videoId);
+  }
+
+  /**
+   * Describe how search works right now: semantic or keyword-only, and how
+   * much of the library has embeddings for the current model
+   */
+  async getStatus() {
+    const embeddings = this.getEmbeddingService();
+    const totalVideos = await Video.countDocuments({ processingStatus: 'completed' });
+    const indexedVideos = embeddings.isEnabled()
+      ? (await this.getVectorStore().listVideoIds(embeddings.getModelKey())).length
+      : 0;
+
+    return {
+      mode: embeddings.isEnabled() ? 'hybrid' : 'keyword',
+      embedding: embeddings.describe(),
+      vectorStore: this.getVectorStore().label,
+      totalVideos,
+      indexedVideos,
+      reindexing: this.reindexProgress
+    };
+  }
+
+  /**
+   * Embed every analyzed video that has no embeddings for the current model
+   * yet (or all of them with `force`), one at a time. Returns the number of
+   * videos to embed and keeps going in the background; progress is reported
+   * by getStatus(). Returns null if a reindex is already running.
+   */
+  async reindexLibrary({ force = false } = {}) {
+    if (this.reindexProgress) return null;
+    this.reindexProgress = { total: 0, done: 0, failed: 0 };
+
+    let videoIds;
+    try {
+      const embeddings = this.getEmbeddingService();
+      const indexed = force ? [] : await this.getVectorStore().listVideoIds(embeddings.getModelKey());
+      videoIds = await Video.distinct('videoId', {
+        processingStatus: 'completed',
+        videoId: { $nin: indexed }
+      });
+    } catch (error) {
+      this.reindexProgress = null;
+      throw error;
+    }
+
+    this.reindexProgress.total = videoIds.length;
+    console.log(`🧭 Reindexing ${videoIds.length} videos for semantic search`);
+
+    const run = async () => {
+      for (const videoId of videoIds) {
+        try {
+          const video = await Video.findByVideoId(videoId);
+          if (video) await this.indexVideo(video);
+          this.reindexProgress.done++;
+        } catch (error) {
+          console.error(`Error embedding ${videoId}:`, error);
+          this.reindexProgress.failed++;
+        }
+      }
+      console.log(`🧭 Reindex finished: ${this.reindexProgress.done} embedded, ${this.reindexProgress.failed} failed`);
+      this.reindexProgress = null;
+    };
+    run();
+
+    return videoIds.length;
+  }
+
+  /**
+   * Search the library for videos and transcript passages. Keyword (BM25)
+   * rankings are fused with semantic (embedding) rankings when an embedding
+   * provider is configured; if it is not, or it fails, search is keyword-only.
+   * `type` limits the results to "videos" or "passages".
+   */
+  async search(query, { limit = 10, type = 'all' } = {}) {
+    const wantVideos = type !== 'passages';
+    const wantPassages = type !== 'videos';
+    const candidates = limit * CANDIDATES_PER_RESULT;
+
+    const [videos, histories] = await Promise.all([
+      Video.find({ processingStatus: 'completed' }).select(VIDEO_FIELDS).lean(),
+      History.find({ notes: { $nin: [null, ''] } }).select('videoId notes').lean()
+    ]);
+    const notesByVideo = new Map(histories.map(history => [history.videoId, history.notes]));
+    const videosById = new Map(videos.map(video => [
+      video.videoId,
+      { ...video, notes: notesByVideo.get(video.videoId) || '' }
+    ]));
+
+    const videoRankings = {};
+    const passageRankings = {};
+    const chunksByKey = new Map();
+
+    if (wantVideos) {
+      const documents = [...videosById.values()].map(video => ({ video, terms: tokenize(buildVideoText(video)) }));
+      videoRankings.keyword = bm25Rank(documents, query)
+        .slice(0, candidates)
+        .map(result => result.document.video.videoId);
+    }
+
+    if (wantPassages) {
+      const queryTerms = [...new Set(tokenize(query))];
+      const chunks = queryTerms.length > 0
+        ? await TranscriptChunk.find({ terms: { $in: queryTerms } }).limit(KEYWORD_CHUNK_LIMIT).lean()
+        : [];
+      const searchable = chunks.filter(chunk => videosById.has(chunk.videoId));
+      searchable.forEach(chunk => chunksByKey.set(passageKey(chunk.videoId, chunk.index), chunk));
+      passageRankings.keyword = bm25Rank(searchable, query)
+        .slice(0, candidates)
+        .map(result => passageKey(result.document.videoId, result.document.index));
+    }
+
+    let mode = 'keyword';
+    const embeddings = this.getEmbeddingService();
+    if (embeddings.isEnabled()) {
+      try {
+        const [vector] = await embeddings.embed([query]);
+        const model = embeddings.getModelKey();
+        const minScore = parseFloat(process.env.SEARCH_MIN_SIMILARITY) || 0.3;
+
+        if (wantVideos) {
+          const hits = await this.getVectorStore().query(vector, { model, kind: 'video', limit: candidates, minScore });
+          videoRankings.semantic = hits
+            .filter(hit => videosById.has(hit.videoId))
+            .map(hit => hit.videoId);
+        }
+
+        if (wantPassages) {
+          const hits = (await this.getVectorStore().query(vector, { model, kind: 'passage', limit: candidates, minScore }))
+            .filter(hit => videosById.has(hit.videoId));
+          const missing = hits.filter(hit => !chunksByKey.has(passageKey(hit.videoId, hit.chunkIndex)));
+          if (missing.length > 0) {
+            const chunks = await TranscriptChunk.find({
+              $or: missing.map(hit => ({ videoId: hit.videoId, index: hit.chunkIndex }))
+            }).lean();
+            chunks.forEach(chunk => chunksByKey.set(passageKey(chunk.videoId, chunk.index), chunk));
+          }
+          passageRankings.semantic = hits
+            .map(hit => passageKey(hit.videoId, hit.chunkIndex))
+            .filter(key => chunksByKey.has(key));
+        }
+
+        mode = 'hybrid';
+      } catch (error) {
+        // Keyword results are still useful when the embedding provider is down
+        console.error('Error running semantic search, using keywords only:', error);
+      }
+    }
+
+    const results = { query, mode, videos: [], passages: [] };
+
+    if (wantVideos) {
+      results.videos = fuseRankings(videoRankings).slice(0, limit).map(({ key, score, matchedBy }) => {
+        const video = videosById.get(key);
+        const snippet = buildVideoSnippet(video, query);
+        return {
+          videoId: video.videoId,
+          id: video._id,
+          title: video.title,
+          channelName: video.channelName,
+          thumbnailUrl: video.thumbnailUrl,
+          duration: video.duration,
+          publishedAt: video.publishedAt,
+          url: buildWatchUrl(video.videoId),
+          score,
+          matchedBy,
+          field: snippet.field,
+          snippet: snippet.text,
+          highlights: snippet.highlights
+        };
+      });
+    }
+
+    if (wantPassages) {
+      results.passages = fuseRankings(passageRankings).slice(0, limit).map(({ key, score, matchedBy }) => {
+        const chunk = chunksByKey.get(key);
+        const video = videosById.get(chunk.videoId);
+        const snippet = buildSnippet(chunk.text, query);
+        return {
+          videoId: video.videoId,
+          id: video._id,
+          title: video.title,
+          channelName: video.channelName,
+          thumbnailUrl: video.thumbnailUrl,
+          chunkIndex: chunk.index,
+          start: chunk.start,
+          end: chunk.end,
+          url: buildWatchUrl(video.videoId, { start: chunk.start }),
+          score,
+          matchedBy,
+          snippet: snippet.text,
+          highlights: snippet.highlights
+        };
+      });
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,21 @@
+import { MongoVectorStore } from './mongoVectorStore.js';
+
+// Vector stores by VECTOR_STORE name. A store implements replaceVideo,
+// removeVideo, listVideoIds and query (see mongoVectorStore.js); another
+// backend such as a hosted vector database can be registered here.
+const VECTOR_STORES = {
+  mongo: MongoVectorStore
+};
+
+/**
+ * Create the vector store configured by VECTOR_STORE (default "mongo")
+ */
+export const createVectorStore = (name = process.env.VECTOR_STORE || 'mongo') => {
+  const Store = VECTOR_STORES[name.toLowerCase()];
+  if (!Store) {
+    throw new Error(`Unknown vector store "${name}". Expected one of: ${Object.keys(VECTOR_STORES).join(', ')}`);
+  }
+  return new Store();
+};
+
+export { MongoVectorStore };
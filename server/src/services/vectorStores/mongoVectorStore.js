@@ -0,0 +1,70 @@
+import Embedding from '../../models/Embedding.js';
+
+// Helper function to compute the cosine similarity of two vectors
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Vector store keeping embeddings in the app's own MongoDB. Queries scan
+// every vector of the requested kind, which is fine for a personal library
+// of a few thousand videos; larger ones should plug in a dedicated store.
+export class MongoVectorStore {
+  constructor() {
+    this.label = 'MongoDB';
+  }
+
+  /**
+   * Replace every vector stored for a video under a model
+   * Items: { kind, chunkIndex, vector }
+   */
+  async replaceVideo(videoId, model, items) {
+    await Embedding.deleteMany({ videoId, model });
+    if (items.length > 0) {
+      await Embedding.insertMany(items.map(item => ({ ...item, videoId, model })));
+    }
+  }
+
+  /**
+   * Remove every vector stored for a video
+   */
+  async removeVideo(videoId) {
+    await Embedding.deleteMany({ videoId });
+  }
+
+  /**
+   * IDs of the videos that have vectors for a model
+   */
+  async listVideoIds(model) {
+    return Embedding.findVideoIdsByModel(model);
+  }
+
+  /**
+   * Find the vectors of a kind most similar to `vector`, best first.
+   * Returns [{ videoId, chunkIndex, score }] with score >= minScore.
+   */
+  async query(vector, { model, kind, limit = 10, minScore = 0 }) {
+    const best = [];
+    const cursor = Embedding.find({ model, kind }).select('videoId chunkIndex vector').lean().cursor();
+
+    for await (const doc of cursor) {
+      const score = cosineSimilarity(vector, doc.vector);
+      if (score < minScore) continue;
+      if (best.length === limit && score <= best[best.length - 1].score) continue;
+
+      best.push({ videoId: doc.videoId, chunkIndex: doc.chunkIndex, score });
+      best.sort((a, b) => b.score - a.score);
+      if (best.length > limit) best.pop();
+    }
+
+    return best;
+  }
+}
@@ -1,6 +1,108 @@
 import ytdl from 'ytdl-core';
 import { YoutubeTranscript } from 'youtube-transcript';
 import fetch from 'node-fetch';
+import { normalizeSegments, segmentsToText } from '../utils/transcript.js';
+import { buildWatchUrl, isYouTubeVideoUrl, parseYouTubeUrl } from '../shared/youtubeUrl.js';
+import { getBaseLanguage } from '../shared/languages.js';
+
+// InnerTube player request youtube-transcript makes to list a video's caption
+// tracks (Android client context). It is made here first so the track can be
+// chosen before the library downloads one.
+const INNERTUBE_PLAYER_URL = 'https://www.youtube.com/youtubei/v1/player';
+const INNERTUBE_CLIENT_VERSION = '20.10.38';
+const INNERTUBE_USER_AGENT = `com.google.android.youtube/${INNERTUBE_CLIENT_VERSION} (Linux; U; Android 14)`;
+
+// Helper function to read the caption tracks out of a player response
+const getPlayerCaptionTracks = (playerResponse) => {
+  const tracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+  return Array.isArray(tracks) ? tracks.filter(track => track?.languageCode && track.baseUrl) : [];
+};
+
+// Helper function to describe a caption track for the Video document;
+// tracks of kind "asr" are generated by YouTube's speech recognition
+const describeCaptionTrack = (track) => ({
+  languageCode: track.languageCode,
+  name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+  autoGenerated: track.kind === 'asr'
+});
+
+/**
+ * Pick the caption track to transcribe: the requested language when the
+ * video has it, otherwise the language actually spoken (the one YouTube
+ * auto-captioned), preferring the uploader's captions over generated ones.
+ */
+export const selectCaptionTrack = (captionTracks, preferredLanguage) => {
+  if (captionTracks.length === 0) return null;
+
+  const inLanguage = (code) => captionTracks.filter(track =>
+    track.languageCode === code || getBaseLanguage(track.languageCode) === getBaseLanguage(code)
+  );
+  const best = (tracks) =>
+    tracks.find(track => track.kind !== 'asr') || tracks[0] || null;
+
+  if (preferredLanguage) {
+    const candidates = inLanguage(preferredLanguage);
+    const track = candidates.find(candidate => candidate.kind !== 'asr' && candidate.languageCode === preferredLanguage) ||
+      best(candidates);
+    if (track) return track;
+  }
+
+  const spoken = captionTracks.find(track => track.kind === 'asr');
+  if (spoken) return best(inLanguage(spoken.languageCode));
+
+  return best(captionTracks);
+};
+
+// Helper function to give youtube-transcript the caption tracks to choose
+// from and to see which one it downloads, since the library only returns
+// the text. Tracks listed up front are served in place of its InnerTube
+// request with the selected one first, as the library takes the first match;
+// otherwise they are read from the responses it fetches (InnerTube API or
+// watch page).
+const recordCaptionTracks = (captionTracks = [], selected = null) => {
+  let tracks = captionTracks;
+  const served = selected ? [selected, ...captionTracks.filter(track => track !== selected)] : captionTracks;
+
+  const captionFetch = async (url, options) => {
+    const href = String(url);
+    if (served.length > 0 && href.startsWith(INNERTUBE_PLAYER_URL)) {
+      return new Response(JSON.stringify({ captions: { playerCaptionsTracklistRenderer: { captionTracks: served } } }));
+    }
+
+    const response = await globalThis.fetch(url, options);
+    try {
+      let playerResponse = null;
+      if (href.startsWith(INNERTUBE_PLAYER_URL)) {
+        playerResponse = await response.clone().json();
+      } else if (href.startsWith('https://www.youtube.com/watch')) {
+        playerResponse = YoutubeTranscript.parseInlineJson(await response.clone().text(), 'ytInitialPlayerResponse');
+      }
+      const found = getPlayerCaptionTracks(playerResponse);
+      if (found.length > 0) tracks = found;
+    } catch (error) {
+      // Only the track description depends on this, never the transcript itself
+    }
+    return response;
+  };
+
+  return {
+    fetch: captionFetch,
+    getTracks: () => tracks,
+    // The library takes the first track in the requested language, or the first one
+    getTrack: (lang) => selected || (lang && tracks.find(track => track.languageCode === lang)) || tracks[0] || null
+  };
+};
+
+// Helper function to describe fetched segments and the track they came from
+const describeTranscript = (segments, captionTracks, lang) => {
+  const track = captionTracks.getTrack(lang);
+  return {
+    segments,
+    source: track?.kind === 'asr' ? 'auto-captions' : 'captions',
+    language: track?.languageCode || lang || null,
+    captionTracks: captionTracks.getTracks().map(describeCaptionTrack)
+  };
+};
 
 export class YouTubeService {
   constructor() {
@@ -8,29 +110,147 @@ export class YouTubeService {
   }
 
   /**
-   * Validate YouTube URL
+   * Validate YouTube URL (any video URL variant; see shared/youtubeUrl.js)
    */
   validateUrl(url) {
-    try {
-      return ytdl.validateURL(url);
-    } catch (error) {
-      return false;
-    }
+    return isYouTubeVideoUrl(url);
   }
 
   /**
    * Extract video ID from YouTube URL
    */
   extractVideoId(url) {
+    return parseYouTubeUrl(url)?.videoId || null;
+  }
+
+  /**
+   * Extract playlist ID from a playlist or watch URL (the `list` parameter)
+   */
+  extractPlaylistId(url) {
+    return parseYouTubeUrl(url)?.playlistId || null;
+  }
+
+  /**
+   * Expand a playlist into its videos, in playlist order. Uses the YouTube
+   * Data API when YOUTUBE_API_KEY is set, and otherwise reads the playlist
+   * page, which lists at most the first 100 videos. Returns { playlistId,
+   * title, videos, totalVideos }, with at most `limit` videos.
+   */
+  async getPlaylist(playlistId, { limit = 50 } = {}) {
     try {
-      return ytdl.getVideoID(url);
+      const playlist = process.env.YOUTUBE_API_KEY
+        ? await this.getPlaylistFromApi(playlistId, limit)
+        : await this.getPlaylistFromPage(playlistId);
+
+      const seen = new Set();
+      const playable = playlist.videos.filter(video => !seen.has(video.videoId) && seen.add(video.videoId));
+      const videos = playable
+        .slice(0, limit)
+        .map(video => ({
+          ...video,
+          url: buildWatchUrl(video.videoId)
+        }));
+
+      if (videos.length === 0) {
+        throw new Error('The playlist has no playable videos');
+      }
+
+      // More than videos.length when the playlist was cut off at `limit`
+      const totalVideos = Math.max(playable.length + (playlist.unreadVideos || 0), videos.length);
+      return { playlistId, title: playlist.title || 'YouTube Playlist', videos, totalVideos };
     } catch (error) {
-      const regex = /(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\n?#]+)/;
-      const match = url.match(regex);
-      return match ? match[1] : null;
+      console.error('Error getting playlist:', error);
+      throw new Error(`Failed to get playlist: ${error.message}`);
     }
   }
 
+  /**
+   * Read a playlist with the YouTube Data API, 50 videos per page
+   */
+  async getPlaylistFromApi(playlistId, limit) {
+    const apiUrl = 'https://www.googleapis.com/youtube/v3';
+    const key = encodeURIComponent(process.env.YOUTUBE_API_KEY);
+
+    const playlistResponse = await fetch(`${apiUrl}/playlists?part=snippet,contentDetails&id=${playlistId}&key=${key}`);
+    if (!playlistResponse.ok) {
+      throw new Error(`YouTube API error: ${playlistResponse.status}`);
+    }
+    const playlistData = await playlistResponse.json();
+    if (!playlistData.items?.length) {
+      throw new Error('Playlist not found or private');
+    }
+
+    const videos = [];
+    let readItems = 0;
+    let pageToken = '';
+    do {
+      const response = await fetch(`${apiUrl}/playlistItems?part=snippet,status&maxResults=50&playlistId=${playlistId}&key=${key}${pageToken ? `&pageToken=${pageToken}` : ''}`);
+      if (!response.ok) {
+        throw new Error(`YouTube API error: ${response.status}`);
+      }
+      const data = await response.json();
+
+      readItems += (data.items || []).length;
+      (data.items || []).forEach(item => {
+        // Deleted and private videos stay in playlists but cannot be analyzed
+        if (!['public', 'unlisted'].includes(item.status?.privacyStatus)) return;
+        videos.push({ videoId: item.snippet.resourceId.videoId, title: item.snippet.title });
+      });
+      pageToken = data.nextPageToken;
+    } while (pageToken && videos.length < limit);
+
+    // Pages left unread once `limit` videos are found are counted from the
+    // playlist's item count (which includes deleted and private videos)
+    const itemCount = playlistData.items[0].contentDetails?.itemCount || 0;
+    return {
+      title: playlistData.items[0].snippet.title,
+      videos,
+      unreadVideos: pageToken ? Math.max(itemCount - readItems, 0) : 0
+    };
+  }
+
+  /**
+   * Read a playlist from its page's embedded ytInitialData
+   */
+  async getPlaylistFromPage(playlistId) {
+    const response = await fetch(`https://www.youtube.com/playlist?list=${playlistId}&hl=en`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept-Language': 'en-US,en;q=0.9'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Playlist page returned ${response.status}`);
+    }
+
+    const html = await response.text();
+    const match = html.match(/(?:var ytInitialData|window\["ytInitialData"\])\s*=\s*(\{.+?\});\s*<\/script>/s);
+    if (!match) {
+      throw new Error('Playlist not found or private');
+    }
+    const data = JSON.parse(match[1]);
+
+    const videos = [];
+    const collect = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.playlistVideoRenderer) {
+        const renderer = node.playlistVideoRenderer;
+        if (renderer.videoId && renderer.isPlayable !== false) {
+          videos.push({
+            videoId: renderer.videoId,
+            title: renderer.title?.runs?.map(run => run.text).join('') || renderer.title?.simpleText || ''
+          });
+        }
+        return;
+      }
+      Object.values(node).forEach(collect);
+    };
+    collect(data.contents);
+
+    const title = data.metadata?.playlistMetadataRenderer?.title;
+    return { title, videos };
+  }
+
   /**
    * Get video information
    */
@@ -40,7 +260,9 @@ export class YouTubeService {
         throw new Error('Invalid YouTube URL');
       }
 
+      // ytdl only understands plain watch URLs, not Shorts, live or embed links
       const videoId = this.extractVideoId(url);
+      url = buildWatchUrl(videoId);
       
       // Try multiple methods to get video info
       let info;
@@ -121,28 +343,64 @@ export class YouTubeService {
   }
 
   /**
-   * Get video transcript
+   * Get timestamped transcript segments
    */
-  async getTranscript(videoId) {
+  async getTranscriptSegments(videoId, options = {}) {
+    const { segments } = await this.getTranscriptWithSource(videoId, options);
+    return segments;
+  }
+
+  /**
+   * List a video's caption tracks as the InnerTube player API reports them.
+   * Returns an empty list when they cannot be read; youtube-transcript then
+   * falls back to the watch page on its own.
+   */
+  async getCaptionTracks(videoId) {
+    try {
+      const response = await globalThis.fetch(`${INNERTUBE_PLAYER_URL}?prettyPrint=false`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': INNERTUBE_USER_AGENT
+        },
+        body: JSON.stringify({
+          context: { client: { clientName: 'ANDROID', clientVersion: INNERTUBE_CLIENT_VERSION } },
+          videoId
+        })
+      });
+      if (!response.ok) return [];
+      return getPlayerCaptionTracks(await response.json());
+    } catch (error) {
+      console.error('Error listing caption tracks:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get timestamped transcript segments from the best caption track, or the
+   * one in options.language when the video has it. Also returns the source
+   * ('captions' written by the uploader or 'auto-captions' generated by
+   * YouTube), the track's language and every track the video offers.
+   */
+  async getTranscriptWithSource(videoId, { language } = {}) {
+    const listedTracks = await this.getCaptionTracks(videoId);
+    const track = selectCaptionTrack(listedTracks, language);
+    const captionTracks = recordCaptionTracks(listedTracks, track);
+    const lang = track?.languageCode || language;
+
     try {
       // Check for rate limiting and handle gracefully
       const transcriptArray = await YoutubeTranscript.fetchTranscript(videoId, {
-        lang: 'en',
-        country: 'US'
+        lang,
+        fetch: captionTracks.fetch
       });
       
-      if (!transcriptArray || transcriptArray.length === 0) {
+      const segments = normalizeSegments(transcriptArray || []);
+      if (segments.length === 0) {
         throw new Error('No transcript available for this video');
       }
 
-      // Combine all transcript text
-      const transcript = transcriptArray
-        .map(item => item.text)
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-      return transcript;
+      return describeTranscript(segments, captionTracks, lang);
     } catch (error) {
       console.error('Error getting transcript:', error);
       
@@ -157,14 +415,21 @@ export class YouTubeService {
       
       // Try alternative transcript extraction methods for other errors
       try {
-        const alternativeTranscript = await this.getAlternativeTranscript(videoId);
-        return alternativeTranscript;
+        return await this.getAlternativeTranscript(videoId, { tried: lang });
       } catch (altError) {
         throw new Error(`Failed to get video transcript: ${error.message}`);
       }
     }
   }
 
+  /**
+   * Get video transcript as a single string
+   */
+  async getTranscript(videoId) {
+    const segments = await this.getTranscriptSegments(videoId);
+    return segmentsToText(segments);
+  }
+
   /**
    * Alternative video info extraction method
    */
@@ -211,26 +476,26 @@ export class YouTubeService {
   }
 
   /**
-   * Alternative transcript extraction method
+   * Alternative transcript extraction method: lets youtube-transcript list
+   * the tracks itself (through the watch page if need be) and tries its
+   * first track, then English. Returns the same shape as getTranscriptWithSource.
    */
-  async getAlternativeTranscript(videoId) {
+  async getAlternativeTranscript(videoId, { tried } = {}) {
     try {
-      // Try with different language codes
-      const languages = ['en', 'en-US', 'en-GB'];
+      // Try with different language codes; undefined takes the first track
+      const languages = [undefined, 'en', 'en-US', 'en-GB'].filter(lang => lang !== tried);
       
       for (const lang of languages) {
         try {
+          const captionTracks = recordCaptionTracks();
           const transcriptArray = await YoutubeTranscript.fetchTranscript(videoId, {
             lang,
-            country: 'US'
+            fetch: captionTracks.fetch
           });
           
-          if (transcriptArray && transcriptArray.length > 0) {
-            return transcriptArray
-              .map(item => item.text)
-              .join(' ')
-              .replace(/\s+/g, ' ')
-              .trim();
+          const segments = normalizeSegments(transcriptArray || []);
+          if (segments.length > 0) {
+            return describeTranscript(segments, captionTracks, lang);
           }
         } catch (langError) {
           continue;
@@ -243,6 +508,30 @@ export class YouTubeService {
     }
   }
 
+  /**
+   * Get the transcript, falling back to the title and description when
+   * the video has no captions. `transcriptSource` tells the two apart
+   * (see Video.transcriptSource). options.language requests a caption language.
+   */
+  async getTranscriptWithFallback(videoInfo, options = {}) {
+    try {
+      const { segments: transcriptSegments, source, language, captionTracks } = await this.getTranscriptWithSource(videoInfo.videoId, options);
+      const transcript = segmentsToText(transcriptSegments);
+      console.log(`Transcript retrieved from ${source} (${language || 'unknown language'}): ${transcriptSegments.length} segments, ${transcript.length} characters`);
+      return { transcript, transcriptSegments, transcriptSource: source, language, captionTracks };
+    } catch (transcriptError) {
+      console.log('⚠️ Transcript not available, using the title and description instead');
+      // Create fallback content from title and description
+      return {
+        transcript: `Video Title: ${videoInfo.title}\n\nChannel: ${videoInfo.channelName}\n\nDescription: ${videoInfo.description || 'No description available.'}\n\nNote: This video does not have captions/transcript available.`,
+        transcriptSegments: [],
+        transcriptSource: 'fallback-description',
+        language: null,
+        captionTracks: []
+      };
+    }
+  }
+
   /**
    * Process complete video data
    */
@@ -255,19 +544,13 @@ export class YouTubeService {
       console.log(`Video info retrieved: ${videoInfo.title}`);
 
       // Get transcript with fallback
-      let transcript = '';
-      try {
-        transcript = await this.getTranscript(videoInfo.videoId);
-        console.log(`Transcript retrieved: ${transcript.length} characters`);
-      } catch (transcriptError) {
-        console.log('Transcript not available, using fallback content');
-        // Create fallback content from title and description
-        transcript = `Video Title: ${videoInfo.title}\n\nChannel: ${videoInfo.channelName}\n\nDescription: ${videoInfo.description || 'No description available.'}\n\nNote: This video does not have captions/transcript available.`;
-      }
+      const { transcript, transcriptSegments, transcriptSource } = await this.getTranscriptWithFallback(videoInfo);
 
       return {
         ...videoInfo,
         transcript,
+        transcriptSegments,
+        transcriptSource,
         processingStatus: 'completed'
       };
     } catch (error) {
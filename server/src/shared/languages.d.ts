@@ -0,0 +1,11 @@
+export type OutputLanguage = 'en' | 'es' | 'de' | 'hi' | 'fr' | 'it' | 'pt' | 'nl' | 'pl' | 'tr' | 'ru' | 'uk' | 'ar' | 'bn' | 'id' | 'ja' | 'ko' | 'zh';
+
+export const OUTPUT_LANGUAGES: Record<OutputLanguage, string>;
+
+export const DEFAULT_OUTPUT_LANGUAGE: OutputLanguage;
+
+export function isLanguageCode(value: unknown): value is string;
+
+export function getBaseLanguage(code: string | null | undefined): string;
+
+export function getLanguageName(code: string | null | undefined): string;
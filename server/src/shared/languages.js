@@ -0,0 +1,53 @@
+// Languages offered for summaries, key points and chat answers, shared by the
+// API server and the frontend. Keys are ISO 639-1 codes; the names are what
+// the AI prompts ask for.
+
+export const OUTPUT_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German',
+  hi: 'Hindi',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  ar: 'Arabic',
+  bn: 'Bengali',
+  id: 'Indonesian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese'
+};
+
+export const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+// Caption track codes are BCP 47 tags such as "en", "es-419" or "zh-Hans"
+const LANGUAGE_CODE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+
+/**
+ * Check that a value looks like a caption language code
+ */
+export const isLanguageCode = (value) => typeof value === 'string' && LANGUAGE_CODE_PATTERN.test(value);
+
+/**
+ * Primary language of a code: "es-419" -> "es"
+ */
+export const getBaseLanguage = (code) => String(code || '').split('-')[0].toLowerCase();
+
+/**
+ * English name of a language code, falling back to the code itself
+ */
+export const getLanguageName = (code) => {
+  if (!code) return '';
+  if (OUTPUT_LANGUAGES[getBaseLanguage(code)]) return OUTPUT_LANGUAGES[getBaseLanguage(code)];
+
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
@@ -0,0 +1,17 @@
+export interface ParsedYouTubeUrl {
+  videoId: string | null;
+  playlistId: string | null;
+  start: number | null;
+  kind: 'watch' | 'short' | 'live' | 'embed' | 'playlist';
+  url: string;
+}
+
+export function parseStartTime(value: string | number | null | undefined): number | null;
+
+export function buildWatchUrl(videoId: string, options?: { start?: number | null; playlistId?: string | null }): string;
+
+export function parseYouTubeUrl(input: string): ParsedYouTubeUrl | null;
+
+export function isYouTubeVideoUrl(input: string): boolean;
+
+export function isYouTubePlaylistUrl(input: string): boolean;
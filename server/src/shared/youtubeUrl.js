@@ -0,0 +1,130 @@
+// YouTube URL parsing shared by the API server and the frontend. Plain ESM
+// with no dependencies, so both can import it as is.
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,64}$/;
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+const SHORT_LINK_HOSTS = new Set(['youtu.be', 'www.youtu.be']);
+
+// Path prefixes followed by a video ID: /shorts/ID, /live/ID, /embed/ID, /v/ID
+const VIDEO_PATH_KINDS = {
+  shorts: 'short',
+  live: 'live',
+  embed: 'embed',
+  v: 'embed'
+};
+
+/**
+ * Parse a start time as YouTube writes it: "90", "90s", "1m30s" or "1h2m3s".
+ * Returns seconds, or null when the value is not a time.
+ */
+export const parseStartTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+(\.\d+)?s?$/.test(text)) {
+    return Math.floor(parseFloat(text));
+  }
+
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !match.slice(1).some(Boolean)) return null;
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+/**
+ * Build a watch URL, optionally starting at `start` seconds inside a playlist
+ */
+export const buildWatchUrl = (videoId, { start = null, playlistId = null } = {}) => {
+  const params = new URLSearchParams({ v: videoId });
+  if (playlistId) params.set('list', playlistId);
+  if (start) params.set('t', `${Math.floor(start)}s`);
+  return `https://www.youtube.com/watch?${params.toString()}`;
+};
+
+/**
+ * Parse any YouTube video or playlist URL: watch pages on www, m. and
+ * music. hosts, youtu.be short links, Shorts, live streams and embeds, with
+ * or without a protocol. Returns null for anything else, otherwise
+ *
+ *   {
+ *     videoId,     // 11-character video ID, or null for a playlist page
+ *     playlistId,  // `list` parameter, or null
+ *     start,       // `t` / `start` parameter (or #t=) in seconds, or null
+ *     kind,        // 'watch', 'short', 'live', 'embed' or 'playlist'
+ *     url          // normalised watch URL keeping the start time and playlist,
+ *                  // or the playlist URL for a playlist page
+ *   }
+ */
+export const parseYouTubeUrl = (input) => {
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  let parsed;
+  try {
+    const text = input.trim();
+    parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+
+  const host = parsed.hostname.toLowerCase();
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  let videoId = null;
+  let kind = 'watch';
+
+  if (SHORT_LINK_HOSTS.has(host)) {
+    videoId = segments[0] || null;
+  } else if (YOUTUBE_HOSTS.has(host)) {
+    if (segments[0] === 'watch') {
+      videoId = parsed.searchParams.get('v');
+    } else if (VIDEO_PATH_KINDS[segments[0]]) {
+      videoId = segments[1] || null;
+      kind = VIDEO_PATH_KINDS[segments[0]];
+    } else if (segments[0] === 'playlist') {
+      kind = 'playlist';
+    } else {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  if (videoId !== null && !VIDEO_ID_PATTERN.test(videoId)) return null;
+
+  const list = parsed.searchParams.get('list');
+  const playlistId = list && PLAYLIST_ID_PATTERN.test(list) ? list : null;
+  if (!videoId && !playlistId) return null;
+
+  const hashTime = parsed.hash.match(/[#&]t=([^&]+)/)?.[1];
+  const start = parseStartTime(parsed.searchParams.get('t') ?? parsed.searchParams.get('start') ?? hashTime) || null;
+
+  return {
+    videoId,
+    playlistId,
+    start: videoId ? start : null,
+    kind,
+    url: videoId
+      ? buildWatchUrl(videoId, { start, playlistId })
+      : `https://www.youtube.com/playlist?list=${playlistId}`
+  };
+};
+
+/**
+ * Whether a string is a URL of a single YouTube video
+ */
+export const isYouTubeVideoUrl = (input) => Boolean(parseYouTubeUrl(input)?.videoId);
+
+/**
+ * Whether a string is a URL carrying a YouTube playlist (a playlist page, or a video watched in a playlist)
+ */
+export const isYouTubePlaylistUrl = (input) => Boolean(parseYouTubeUrl(input)?.playlistId);
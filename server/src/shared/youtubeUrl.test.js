@@ -0,0 +1,84 @@
+import { describe, expect, test } from '@jest/globals';
+import { buildWatchUrl, isYouTubePlaylistUrl, isYouTubeVideoUrl, parseStartTime, parseYouTubeUrl } from './youtubeUrl.js';
+
+const ID = 'dQw4w9WgXcQ';
+const LIST = 'PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG';
+
+describe('parseYouTubeUrl', () => {
+  test.each([
+    // [input, videoId, playlistId, start, kind]
+    [`https://www.youtube.com/watch?v=${ID}`, ID, null, null, 'watch'],
+    [`http://youtube.com/watch?v=${ID}`, ID, null, null, 'watch'],
+    [`www.youtube.com/watch?v=${ID}`, ID, null, null, 'watch'],
+    [`https://m.youtube.com/watch?v=${ID}`, ID, null, null, 'watch'],
+    [`https://music.youtube.com/watch?v=${ID}`, ID, null, null, 'watch'],
+    [`https://www.youtube.com/watch?v=${ID}&t=90`, ID, null, 90, 'watch'],
+    [`https://www.youtube.com/watch?v=${ID}&t=1m30s`, ID, null, 90, 'watch'],
+    [`https://www.youtube.com/watch?v=${ID}#t=1h2m3s`, ID, null, 3723, 'watch'],
+    [`https://www.youtube.com/watch?v=${ID}&list=${LIST}`, ID, LIST, null, 'watch'],
+    [`https://youtu.be/${ID}`, ID, null, null, 'watch'],
+    [`https://youtu.be/${ID}?t=42`, ID, null, 42, 'watch'],
+    [`https://youtu.be/${ID}?list=${LIST}&t=5s`, ID, LIST, 5, 'watch'],
+    [`https://www.youtube.com/shorts/${ID}`, ID, null, null, 'short'],
+    [`https://www.youtube.com/live/${ID}?feature=share`, ID, null, null, 'live'],
+    [`https://www.youtube.com/embed/${ID}?start=30`, ID, null, 30, 'embed'],
+    [`https://www.youtube-nocookie.com/embed/${ID}`, ID, null, null, 'embed'],
+    [`https://www.youtube.com/v/${ID}`, ID, null, null, 'embed'],
+    [`https://www.youtube.com/playlist?list=${LIST}`, null, LIST, null, 'playlist']
+  ])('%s', (input, videoId, playlistId, start, kind) => {
+    expect(parseYouTubeUrl(input)).toMatchObject({ videoId, playlistId, start, kind });
+  });
+
+  test.each([
+    '',
+    'not a url',
+    `https://vimeo.com/${ID}`,
+    `ftp://www.youtube.com/watch?v=${ID}`,
+    'https://www.youtube.com/watch?v=tooShort',
+    'https://www.youtube.com/channel/UC123',
+    'https://www.youtube.com/playlist',
+    'https://youtu.be/'
+  ])('rejects %p', (input) => {
+    expect(parseYouTubeUrl(input)).toBeNull();
+  });
+
+  test('normalises to a watch URL that keeps the start time and playlist', () => {
+    expect(parseYouTubeUrl(`youtu.be/${ID}?t=1m&list=${LIST}`).url)
+      .toBe(`https://www.youtube.com/watch?v=${ID}&list=${LIST}&t=60s`);
+    expect(parseYouTubeUrl(`https://m.youtube.com/playlist?list=${LIST}`).url)
+      .toBe(`https://www.youtube.com/playlist?list=${LIST}`);
+  });
+});
+
+describe('parseStartTime', () => {
+  test.each([
+    ['90', 90],
+    ['90s', 90],
+    ['1m30s', 90],
+    ['1h2m3s', 3723],
+    [45, 45],
+    ['', null],
+    [null, null],
+    ['soon', null]
+  ])('%p is %p', (value, seconds) => {
+    expect(parseStartTime(value)).toBe(seconds);
+  });
+});
+
+describe('buildWatchUrl', () => {
+  test.each([
+    [{}, `https://www.youtube.com/watch?v=${ID}`],
+    [{ start: 61.8 }, `https://www.youtube.com/watch?v=${ID}&t=61s`],
+    [{ start: 0 }, `https://www.youtube.com/watch?v=${ID}`],
+    [{ playlistId: LIST }, `https://www.youtube.com/watch?v=${ID}&list=${LIST}`]
+  ])('%p', (options, url) => {
+    expect(buildWatchUrl(ID, options)).toBe(url);
+  });
+});
+
+test('isYouTubeVideoUrl and isYouTubePlaylistUrl', () => {
+  expect(isYouTubeVideoUrl(`https://youtu.be/${ID}`)).toBe(true);
+  expect(isYouTubeVideoUrl(`https://www.youtube.com/playlist?list=${LIST}`)).toBe(false);
+  expect(isYouTubePlaylistUrl(`https://www.youtube.com/playlist?list=${LIST}`)).toBe(true);
+  expect(isYouTubePlaylistUrl(`https://youtu.be/${ID}`)).toBe(false);
+});
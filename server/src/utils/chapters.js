@@ -0,0 +1,79 @@
+// Helpers for video chapters. A chapter is { title, start, end, summary }
+// with times in seconds.
+
+import { parseTimestamp } from './transcript.js';
+
+// YouTube only shows description chapters when there are at least three,
+// the first starts at 0:00 and each lasts at least ten seconds
+const MIN_DESCRIPTION_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+// "0:00 Intro", "00:00 - Intro", "1. 12:30 | Setup", "(1:02:03) Wrap-up"
+const LEADING_TIMESTAMP = /^\s*(?:\d+[.)]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|•.]?\s*(.+)$/;
+// "Intro - 0:00", "Intro (0:00)"
+const TRAILING_TIMESTAMP = /^\s*(.+?)\s*[-–—:|•]?\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*$/;
+
+// Helper function to tidy a chapter title taken from a description line
+const cleanTitle = (title) => title.replace(/^[-–—:|•.\s]+|[-–—:|•\s]+$/g, '').trim();
+
+/**
+ * Parse the chapter list YouTube builds from timestamps in a video description.
+ * Returns [] unless the list follows YouTube's rules for chapters.
+ */
+export const parseDescriptionChapters = (description = '', duration = 0) => {
+  const chapters = [];
+
+  description.split(/\r?\n/).forEach(line => {
+    let match = line.match(LEADING_TIMESTAMP);
+    let timestamp = match?.[1];
+    let title = match?.[2];
+
+    if (!match) {
+      match = line.match(TRAILING_TIMESTAMP);
+      timestamp = match?.[2];
+      title = match?.[1];
+    }
+    if (!match) return;
+
+    const start = parseTimestamp(timestamp);
+    title = cleanTitle(title);
+    if (start === null || !title) return;
+
+    chapters.push({ title: title.substring(0, 200), start });
+  });
+
+  if (chapters.length < MIN_DESCRIPTION_CHAPTERS || chapters[0].start !== 0) {
+    return [];
+  }
+
+  for (let index = 1; index < chapters.length; index++) {
+    if (chapters[index].start - chapters[index - 1].start < MIN_CHAPTER_SECONDS) {
+      return [];
+    }
+  }
+
+  return withChapterEnds(chapters, duration);
+};
+
+/**
+ * Fill in each chapter's end from the next chapter's start (or the video's end)
+ */
+export const withChapterEnds = (chapters, duration = 0) => {
+  const sorted = [...chapters].sort((a, b) => a.start - b.start);
+  return sorted.map((chapter, index) => ({
+    ...chapter,
+    end: index < sorted.length - 1 ? sorted[index + 1].start : Math.max(duration || 0, chapter.start)
+  }));
+};
+
+/**
+ * Transcript text spoken during a chapter
+ */
+export const getChapterText = (chapter, segments = []) => {
+  return segments
+    .filter(segment => segment.start >= chapter.start && segment.start < chapter.end)
+    .map(segment => segment.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
@@ -0,0 +1,74 @@
+// Flashcard deck export. A note is { front, back, videoTitle, channelName,
+// link, timestamp, tags } and can be written as an Anki-importable
+// tab-separated deck or as a plain CSV file.
+
+import { formatTimestamp } from './transcript.js';
+
+// Helper function to escape text for an HTML field
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Anki tags are space-separated, so spaces inside a tag become underscores
+const toAnkiTag = (tag) => String(tag).trim().replace(/\s+/g, '_');
+
+// Helper function to keep a field on one line of a tab-separated file
+const toTsvField = (value) => String(value ?? '').replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+
+// Helper function to quote a CSV field when needed
+const toCsvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build an Anki text import (File > Import) for the Basic note type. The
+ * back of each card ends with the video title, channel and a deep link to
+ * the moment the card comes from.
+ */
+export const buildAnkiDeck = (notes, { deckName = 'Vid Essence' } = {}) => {
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${toTsvField(deckName)}`,
+    '#tags column:3'
+  ];
+
+  notes.forEach(note => {
+    const label = [note.videoTitle, note.channelName].filter(Boolean).map(escapeHtml).join(' · ');
+    const timestamp = note.timestamp !== null && note.timestamp !== undefined ? ` [${formatTimestamp(note.timestamp)}]` : '';
+    const back = `${escapeHtml(note.back)}<br><br><small><a href="${escapeHtml(note.link)}">${label}${timestamp}</a></small>`;
+
+    lines.push([
+      toTsvField(escapeHtml(note.front)),
+      toTsvField(back),
+      (note.tags || []).map(toAnkiTag).filter(Boolean).join(' ')
+    ].join('\t'));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Build a CSV file with one row per note
+ */
+export const buildCsv = (notes) => {
+  const rows = [['front', 'back', 'video_title', 'channel', 'timestamp', 'link', 'tags']];
+
+  notes.forEach(note => {
+    rows.push([
+      note.front,
+      note.back,
+      note.videoTitle,
+      note.channelName,
+      note.timestamp !== null && note.timestamp !== undefined ? formatTimestamp(note.timestamp) : '',
+      note.link,
+      (note.tags || []).join(';')
+    ]);
+  });
+
+  return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+};
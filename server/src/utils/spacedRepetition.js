@@ -0,0 +1,44 @@
+// SM-2 spaced-repetition scheduling for flashcards.
+//
+// A review is graded 0-5: 0-2 means the card was forgotten, 3 recalled with
+// difficulty, 4 recalled, 5 recalled easily.
+
+export const MIN_EASE_FACTOR = 1.3;
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const PASSING_GRADE = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Schedule the next review of a card from its current state
+ * ({ easeFactor, interval, repetitions }) and the grade of this review.
+ * Returns the new state with interval in days and the next dueAt.
+ */
+export const scheduleReview = (state, grade, now = new Date()) => {
+  let { easeFactor = DEFAULT_EASE_FACTOR, interval = 0, repetitions = 0 } = state;
+
+  if (grade >= PASSING_GRADE) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    // Forgotten cards start over but keep their (lowered) ease factor
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easeFactor += 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02);
+  easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+  return {
+    easeFactor,
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS)
+  };
+};
@@ -0,0 +1,55 @@
+// Server-Sent Events helpers, for both relaying upstream AI streams and
+// writing event streams to our own clients.
+
+// Start an event stream response. `no-transform` keeps the compression
+// middleware from buffering events.
+export const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+// Write one named event with a JSON payload
+export const writeEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Write a comment line, which clients ignore. Keeps idle streams open
+// through proxies that close silent connections.
+export const writeComment = (res, text) => {
+  if (res.writableEnded) return;
+  res.write(`: ${text}\n\n`);
+};
+
+// Parse a readable byte stream of SSE into { event, data } objects
+export async function* parseEventStream(stream) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      let event = 'message';
+      const dataLines = [];
+      rawEvent.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+      });
+
+      if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+      }
+    }
+  }
+}
@@ -0,0 +1,150 @@
+// Subtitle file parsing for uploaded transcripts. SRT, WebVTT and plain text
+// are turned into the same { text, start, duration } segments that captions
+// fetched from YouTube produce (see transcript.js).
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'text'];
+
+// Cue timing line shared by SRT (00:01:02,500) and WebVTT (01:02.500 or 00:01:02.500)
+const CUE_TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+// Plain-text lines that start with a timestamp, as YouTube's "Show transcript" copies them
+const TIMESTAMPED_LINE_PATTERN = /^\s*\[?((?:\d+:)?\d{1,2}:\d{2})\]?\s*[-–]?\s*(.*)$/;
+// Speaking rate used to spread untimed text over a video: about 150 words a minute
+const CHARACTERS_PER_SECOND = 15;
+// Longest block of untimed text turned into one segment
+const PLAIN_TEXT_SEGMENT_CHARS = 300;
+
+const roundTime = (value) => Math.round(value * 1000) / 1000;
+
+// Helper function to build segments from { text, offset, duration } items.
+// Times here are always seconds, unlike the caption items normalizeSegments
+// (transcript.js) has to guess the unit of.
+const toSegments = (items) => items
+  .map(item => ({
+    text: String(item.text || '').replace(/\s+/g, ' ').trim(),
+    start: roundTime(item.offset),
+    duration: roundTime(item.duration)
+  }))
+  .filter(segment => segment.text.length > 0);
+
+// Helper function to read hh:mm:ss,mmm / mm:ss.mmm as seconds
+const parseCueTime = (value) => {
+  const [clock, fraction = '0'] = value.replace(',', '.').split('.');
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+// Helper function to remove markup from cue text: <i>, <c.color>, <v Speaker>, {\an8}
+const cleanCueText = (text) => text
+  .replace(/<[^>]*>/g, '')
+  .replace(/\{\\[^}]*\}/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+/**
+ * Guess the format of a subtitle file from its contents
+ */
+export const detectSubtitleFormat = (content) => {
+  const text = content.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (text.split(/\r?\n/).some(line => CUE_TIMING_PATTERN.test(line))) return 'srt';
+  return 'text';
+};
+
+/**
+ * Parse SRT or WebVTT cues. Both are blank-line separated blocks with a
+ * timing line; WebVTT adds a header and NOTE, STYLE and REGION blocks.
+ */
+export const parseCues = (content) => {
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const items = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) return;
+
+    const [, startValue, endValue] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+    const start = parseCueTime(startValue);
+    const end = parseCueTime(endValue);
+    const text = cleanCueText(lines.slice(timingIndex + 1).join(' ')).replace(/\s+/g, ' ').trim();
+
+    // Rolling auto-captions repeat the previous cue's line; keep only what is new
+    const previousText = items[items.length - 1]?.text;
+    const newText = previousText && text.startsWith(previousText) ? text.substring(previousText.length).trim() : text;
+    if (!newText) return;
+
+    items.push({ text: newText, offset: start, duration: Math.max(0, end - start) });
+  });
+
+  return toSegments(items);
+};
+
+/**
+ * Parse plain text. Lines starting with a timestamp ("1:02 text") keep their
+ * times; any other text is split into paragraphs and spread evenly over the
+ * video at a normal speaking rate, so timestamps are only approximate.
+ */
+export const parsePlainText = (content, { duration = 0 } = {}) => {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  const timedLines = lines.map(line => line.match(TIMESTAMPED_LINE_PATTERN));
+  if (lines.length > 0 && timedLines.filter(Boolean).length >= lines.length / 2) {
+    const items = [];
+    timedLines.forEach((match, index) => {
+      if (match) {
+        items.push({ text: match[2], offset: parseCueTime(match[1]) });
+      } else if (items.length > 0) {
+        // Transcripts copied from YouTube put the text on the line after its time
+        items[items.length - 1].text = `${items[items.length - 1].text} ${lines[index]}`;
+      }
+    });
+    items.forEach((item, index) => {
+      const next = items[index + 1];
+      item.duration = next ? Math.max(0, next.offset - item.offset) : item.text.length / CHARACTERS_PER_SECOND;
+    });
+    return toSegments(items);
+  }
+
+  const blocks = [];
+  content
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .forEach(paragraph => {
+      const sentences = paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph];
+      let block = '';
+      sentences.forEach(sentence => {
+        if (block && block.length + sentence.length > PLAIN_TEXT_SEGMENT_CHARS) {
+          blocks.push(block.trim());
+          block = '';
+        }
+        block += sentence;
+      });
+      if (block.trim()) blocks.push(block.trim());
+    });
+
+  const totalChars = blocks.reduce((sum, block) => sum + block.length, 0);
+  const secondsPerChar = duration > 0 && totalChars > 0 ? duration / totalChars : 1 / CHARACTERS_PER_SECOND;
+
+  let offset = 0;
+  return toSegments(blocks.map(text => {
+    const item = { text, offset, duration: text.length * secondsPerChar };
+    offset += item.duration;
+    return item;
+  }));
+};
+
+/**
+ * Parse an uploaded subtitle file into transcript segments. `format` is one
+ * of SUBTITLE_FORMATS and is detected from the contents when not given.
+ */
+export const parseSubtitles = (content, { format, duration = 0 } = {}) => {
+  const detected = format || detectSubtitleFormat(content);
+  const segments = detected === 'text'
+    ? parsePlainText(content, { duration })
+    : parseCues(content);
+
+  return { format: detected, segments };
+};
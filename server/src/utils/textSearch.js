@@ -0,0 +1,143 @@
+// Text helpers shared by transcript retrieval and library search
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+  'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have',
+  'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
+  'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they',
+  'what', 'which', 'who', 'how', 'why', 'when', 'where', 'about', 'from',
+  'as', 'so', 'if', 'then', 'than', 'there', 'their', 'them', 'its', 'me',
+  'my', 'your', 'our', 'his', 'her', 'not', 'no', 'can', 'just', 'also',
+  'into', 'out', 'up', 'down', 'over', 'video', 'say', 'says', 'said'
+]);
+
+// Very small suffix stripper so "models", "modeling" and "modeled" share a term
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ing|edly|ed|ies|es|s)$/, (suffix) => (suffix === 'ies' ? 'y' : ''))
+    .replace(/(.)\1$/, '$1');
+};
+
+// Lowercase, split on anything that is not a letter, combining mark (as in
+// Devanagari vowel signs) or digit, drop stop words
+export const tokenize = (text = '') => {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+/**
+ * Rank documents against a query with Okapi BM25.
+ * Each document must carry a precomputed `terms` array (see tokenize).
+ */
+export const bm25Rank = (documents, query, { k1 = 1.2, b = 0.75 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || documents.length === 0) return [];
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.terms.length, 0) / documents.length || 1;
+  const documentFrequency = new Map();
+  const termCounts = documents.map(doc => {
+    const counts = new Map();
+    doc.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return counts;
+  });
+
+  return documents
+    .map((doc, index) => {
+      const counts = termCounts[index];
+      const score = queryTerms.reduce((total, term) => {
+        const frequency = counts.get(term) || 0;
+        if (frequency === 0) return total;
+        const df = documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        const norm = frequency + k1 * (1 - b + b * (doc.terms.length / averageLength));
+        return total + idf * ((frequency * (k1 + 1)) / norm);
+      }, 0);
+      return { document: doc, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD_CHARS = 60;
+
+/**
+ * Cut a snippet of about `maxLength` characters around the part of `text`
+ * that matches the most query terms. Returns the snippet and the ranges
+ * ({ start, end } offsets into the snippet) of the words that matched.
+ */
+export const buildSnippet = (text = '', query = '', { maxLength = 240 } = {}) => {
+  const source = String(text).replace(/\s+/g, ' ').trim();
+  const queryTerms = new Set(tokenize(query));
+
+  const matches = [];
+  const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(source)) !== null) {
+    const [term] = tokenize(match[0]);
+    if (term && queryTerms.has(term)) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Start the window where it covers the most matches
+  let from = 0;
+  if (source.length > maxLength && matches.length > 0) {
+    let best = 0;
+    matches.forEach((candidate, index) => {
+      const covered = matches.slice(index).filter(other => other.end <= candidate.start + maxLength).length;
+      if (covered > best) {
+        best = covered;
+        from = candidate.start;
+      }
+    });
+    from = Math.max(0, Math.min(from - SNIPPET_LEAD_CHARS, source.length - maxLength));
+    // Do not cut a word in half
+    if (from > 0) from = source.indexOf(' ', from) + 1 || from;
+  }
+
+  const to = Math.min(source.length, from + maxLength);
+  const prefix = from > 0 ? '...' : '';
+  const suffix = to < source.length ? '...' : '';
+
+  return {
+    text: `${prefix}${source.substring(from, to).trim()}${suffix}`,
+    highlights: matches
+      .filter(range => range.start >= from && range.end <= to)
+      .map(range => ({ start: range.start - from + prefix.length, end: range.end - from + prefix.length })),
+    matchCount: matches.length
+  };
+};
+
+/**
+ * Split a search written in MongoDB $text syntax into plain words, "quoted
+ * phrases" and -excluded words or phrases, e.g. to highlight what it matched
+ */
+export const parseSearchQuery = (search = '') => {
+  const phrases = [];
+  const excluded = [];
+
+  const rest = String(search).replace(/(-?)"([^"]*)"/g, (_, negation, phrase) => {
+    if (phrase.trim()) (negation ? excluded : phrases).push(phrase.trim());
+    return ' ';
+  });
+
+  const words = [];
+  rest.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('-')) {
+      if (word.length > 1) excluded.push(word.substring(1));
+    } else {
+      words.push(word);
+    }
+  });
+
+  return { words, phrases, excluded };
+};
+
+// Escape user input for use inside a regular expression
+export const escapeRegExp = (text = '') => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,111 @@
+// Helpers for working with timestamped transcript segments.
+// A segment is always { text, start, duration } with times in seconds.
+
+// Caption lines never last minutes, so a median duration this large means
+// the source reported milliseconds (srv3 captions) rather than seconds.
+const MILLISECOND_DURATION_THRESHOLD = 100;
+
+const roundTime = (value) => Math.round(value * 1000) / 1000;
+
+// Normalize raw caption items ({ text, offset, duration }) into segments
+export const normalizeSegments = (items = []) => {
+  const durations = items
+    .map(item => Number(item.duration) || 0)
+    .sort((a, b) => a - b);
+  const medianDuration = durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+  const scale = medianDuration > MILLISECOND_DURATION_THRESHOLD ? 1000 : 1;
+
+  return items
+    .map(item => ({
+      text: String(item.text || '').replace(/\s+/g, ' ').trim(),
+      start: roundTime((Number(item.offset ?? item.start) || 0) / scale),
+      duration: roundTime((Number(item.duration) || 0) / scale)
+    }))
+    .filter(segment => segment.text.length > 0);
+};
+
+// Derive the flat transcript string from segments
+export const segmentsToText = (segments = []) => {
+  return segments
+    .map(segment => segment.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Format seconds as m:ss or h:mm:ss
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Parse m:ss or h:mm:ss back into seconds; returns null when malformed
+export const parseTimestamp = (value) => {
+  const parts = String(value).trim().split(':').map(part => Number(part));
+  if (parts.length < 2 || parts.length > 3 || parts.some(part => !Number.isFinite(part) || part < 0)) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Merge consecutive segments into blocks of roughly `windowSeconds` each
+export const groupSegments = (segments = [], windowSeconds = 30) => {
+  const blocks = [];
+  let current = null;
+
+  segments.forEach(segment => {
+    if (!current || segment.start - current.start >= windowSeconds) {
+      current = { start: segment.start, end: segment.start + segment.duration, texts: [] };
+      blocks.push(current);
+    }
+    current.texts.push(segment.text);
+    current.end = Math.max(current.end, segment.start + segment.duration);
+  });
+
+  return blocks.map(({ start, end, texts }) => ({
+    start,
+    end,
+    text: texts.join(' ').replace(/\s+/g, ' ').trim()
+  }));
+};
+
+// Rough token estimate (~4 characters per token for English text)
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+// Split text into windows of at most `maxTokens`, breaking on sentence boundaries
+export const chunkText = (text = '', maxTokens = 3000) => {
+  const maxChars = maxTokens * 4;
+  const sentences = text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [];
+  const chunks = [];
+  let current = '';
+
+  const pushCurrent = () => {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  };
+
+  sentences.forEach(sentence => {
+    // Transcripts without punctuation produce huge "sentences"; split those on words
+    if (sentence.length > maxChars) {
+      pushCurrent();
+      sentence.split(/\s+/).forEach(word => {
+        if (current.length + word.length + 1 > maxChars) pushCurrent();
+        current += `${word} `;
+      });
+      return;
+    }
+
+    if (current.length + sentence.length > maxChars) pushCurrent();
+    current += sentence;
+  });
+  pushCurrent();
+
+  return chunks;
+};
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { connectDB } from './config/database.js';
+import { createAnalysisWorker } from './services/analysisPipeline.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from the server directory
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Standalone analysis worker. Run any number of these next to (or instead of)
+// the worker built into the API server; jobs are claimed atomically.
+await connectDB();
+
+const worker = createAnalysisWorker();
+worker.start();
+
+const shutdown = (signal) => {
+  console.log(`${signal} received, stopping job worker`);
+  worker.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -7,6 +7,11 @@ import Layout from "./components/Layout";
 import Dashboard from "./pages/Dashboard";
 import About from "./pages/About";
 import History from "./pages/History";
+import Review from "./pages/Review";
+import Batches from "./pages/Batches";
+import Search from "./pages/Search";
+import LibraryChat from "./pages/LibraryChat";
+import Compare from "./pages/Compare";
 import NotFound from "./pages/NotFound";
 
 const queryClient = new QueryClient();
@@ -22,6 +27,11 @@ const App = () => (
             <Route path="/" element={<Dashboard />} />
             <Route path="/about" element={<About />} />
             <Route path="/history" element={<History />} />
+            <Route path="/review" element={<Review />} />
+            <Route path="/batches" element={<Batches />} />
+            <Route path="/search" element={<Search />} />
+            <Route path="/chat" element={<LibraryChat />} />
+            <Route path="/compare" element={<Compare />} />
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -0,0 +1,46 @@
+import { ListOrdered } from 'lucide-react';
+import { Chapter } from '@/lib/api';
+import { formatTimestamp } from '@/lib/utils';
+
+interface ChapterOutlineProps {
+  chapters: Chapter[];
+  source?: 'description' | 'generated' | null;
+  onSeek: (seconds: number) => void;
+}
+
+const ChapterOutline = ({ chapters, source, onSeek }: ChapterOutlineProps) => {
+  return (
+    <div>
+      <h3 className="flex items-center space-x-2 font-semibold mb-3 text-brand-primary">
+        <ListOrdered className="w-4 h-4" />
+        <span>Chapters</span>
+      </h3>
+      <ol className="space-y-2">
+        {chapters.map((chapter) => (
+          <li key={chapter.start}>
+            <button
+              type="button"
+              onClick={() => onSeek(chapter.start)}
+              className="w-full text-left p-2 rounded-lg hover:bg-surface-hover transition-colors"
+            >
+              <div className="flex items-baseline space-x-2">
+                <span className="text-xs font-medium text-brand-accent tabular-nums">
+                  {formatTimestamp(chapter.start)}
+                </span>
+                <span className="text-sm font-medium text-text-primary">{chapter.title}</span>
+              </div>
+              {chapter.summary && (
+                <p className="text-xs text-text-secondary mt-1">{chapter.summary}</p>
+              )}
+            </button>
+          </li>
+        ))}
+      </ol>
+      {source === 'generated' && (
+        <p className="text-xs text-text-muted mt-2">Chapters generated from the transcript</p>
+      )}
+    </div>
+  );
+};
+
+export default ChapterOutline;
@@ -0,0 +1,81 @@
+import { Fragment, useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { useToast } from '@/hooks/use-toast';
+import { apiClient } from '@/lib/api';
+import { saveFile } from '@/lib/utils';
+
+type ExportContent = 'flashcards' | 'keyPoints';
+type ExportFormat = 'anki' | 'csv';
+
+const EXPORT_OPTIONS: { content: ExportContent; label: string }[] = [
+  { content: 'flashcards', label: 'Flashcards' },
+  { content: 'keyPoints', label: 'Key points' },
+];
+
+interface DeckExportMenuProps {
+  // Export one video, or every bookmarked video when omitted
+  videoId?: string;
+  label?: string;
+}
+
+const DeckExportMenu = ({ videoId, label = 'Export' }: DeckExportMenuProps) => {
+  const [isExporting, setIsExporting] = useState(false);
+  const { toast } = useToast();
+
+  const handleExport = async (content: ExportContent, format: ExportFormat) => {
+    try {
+      setIsExporting(true);
+      const { blob, fileName } = await apiClient.exportFlashcards({
+        videoId,
+        bookmarked: videoId ? undefined : true,
+        content,
+        format,
+      });
+      saveFile(blob, fileName);
+    } catch (error) {
+      toast({
+        title: "Export failed",
+        description: error instanceof Error ? error.message : "Failed to export",
+        variant: "destructive",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" disabled={isExporting} className="flex items-center space-x-2">
+          {isExporting ? <Loader2 className="w-3 h-3 animate-spin" /> : <Download className="w-3 h-3" />}
+          <span>{label}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {EXPORT_OPTIONS.map(({ content, label: contentLabel }, index) => (
+          <Fragment key={content}>
+            {index > 0 && <DropdownMenuSeparator />}
+            <DropdownMenuLabel>{contentLabel}</DropdownMenuLabel>
+            <DropdownMenuItem onClick={() => handleExport(content, 'anki')}>
+              Anki deck (.txt)
+            </DropdownMenuItem>
+            <DropdownMenuItem onClick={() => handleExport(content, 'csv')}>
+              Spreadsheet (.csv)
+            </DropdownMenuItem>
+          </Fragment>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default DeckExportMenu;
@@ -0,0 +1,31 @@
+import { SearchHighlight } from '@/lib/api';
+
+interface HighlightedTextProps {
+  text: string;
+  // Character ranges of `text` to mark, in order and not overlapping
+  highlights: SearchHighlight[];
+  className?: string;
+  // Element to render, "span" for use inside headings
+  as?: 'p' | 'span';
+}
+
+const HighlightedText = ({ text, highlights, className, as: Element = 'p' }: HighlightedTextProps) => {
+  const parts: React.ReactNode[] = [];
+  let offset = 0;
+
+  highlights.forEach(({ start, end }) => {
+    if (start < offset) return;
+    if (start > offset) parts.push(text.slice(offset, start));
+    parts.push(
+      <mark key={start} className="bg-brand-accent/20 text-text-primary rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    offset = end;
+  });
+  parts.push(text.slice(offset));
+
+  return <Element className={className}>{parts}</Element>;
+};
+
+export default HighlightedText;
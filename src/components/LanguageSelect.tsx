@@ -0,0 +1,34 @@
+import { Languages } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { OUTPUT_LANGUAGES } from '@shared/languages';
+
+interface LanguageSelectProps {
+  value: string;
+  onChange: (value: string) => void;
+  // Adds a first option, value "auto", with this label, e.g. "Auto-detect"
+  autoLabel?: string;
+  // Shown before the language name in the trigger, e.g. "Summary in"
+  prefix?: string;
+  className?: string;
+  disabled?: boolean;
+}
+
+const LanguageSelect = ({ value, onChange, autoLabel, prefix, className, disabled }: LanguageSelectProps) => (
+  <Select value={value} onValueChange={onChange} disabled={disabled}>
+    <SelectTrigger className={className}>
+      <span className="flex items-center min-w-0">
+        <Languages className="w-4 h-4 mr-2 shrink-0 text-text-secondary" />
+        {prefix && <span className="mr-1 text-text-secondary whitespace-nowrap">{prefix}</span>}
+        <span className="truncate"><SelectValue /></span>
+      </span>
+    </SelectTrigger>
+    <SelectContent>
+      {autoLabel && <SelectItem value="auto">{autoLabel}</SelectItem>}
+      {Object.entries(OUTPUT_LANGUAGES).map(([code, name]) => (
+        <SelectItem key={code} value={code}>{name}</SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+export default LanguageSelect;
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Menu, X, Youtube, MessageSquare, Clock, Info } from 'lucide-react';
+import { Menu, X, Youtube, MessageSquare, Clock, Info, Layers, ListVideo, Search, MessagesSquare, Scale } from 'lucide-react';
 
 interface LayoutProps {
   children: React.ReactNode;
@@ -14,6 +14,11 @@ const Layout = ({ children }: LayoutProps) => {
     { name: 'Dashboard', href: '/', icon: Youtube },
     { name: 'About', href: '/about', icon: Info },
     { name: 'History', href: '/history', icon: Clock },
+    { name: 'Search', href: '/search', icon: Search },
+    { name: 'Chat', href: '/chat', icon: MessagesSquare },
+    { name: 'Compare', href: '/compare', icon: Scale },
+    { name: 'Batches', href: '/batches', icon: ListVideo },
+    { name: 'Review', href: '/review', icon: Layers },
   ];
 
   const isActivePath = (path: string) => {
@@ -0,0 +1,161 @@
+import { useRef, useState } from 'react';
+import { Archive, Loader2, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import { apiClient } from '@/lib/api';
+import { saveFile } from '@/lib/utils';
+
+interface LibraryBackupProps {
+  onImported: () => void;
+}
+
+const LibraryBackup = ({ onImported }: LibraryBackupProps) => {
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [file, setFile] = useState<File | null>(null);
+  const [mode, setMode] = useState<'merge' | 'replace'>('merge');
+  const [overwrite, setOverwrite] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const { blob, fileName } = await apiClient.exportLibrary();
+      saveFile(blob, fileName);
+    } catch (error) {
+      toast({
+        title: "Backup failed",
+        description: error instanceof Error ? error.message : "Failed to back up the library",
+        variant: "destructive",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    setFile(selected);
+    setMode('merge');
+    setOverwrite(false);
+    setIsDialogOpen(true);
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    if (mode === 'replace' && !confirm('Replacing deletes every video, chat, history item and flashcard in the library. Continue?')) {
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      const response = await apiClient.importLibrary(await file.text(), { mode, overwrite });
+      if (response.success) {
+        toast({
+          title: "Library restored",
+          description: response.message,
+        });
+        setIsDialogOpen(false);
+        setFile(null);
+        onImported();
+      }
+    } catch (error) {
+      toast({
+        title: "Restore failed",
+        description: error instanceof Error ? error.message : "Failed to restore the library",
+        variant: "destructive",
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button variant="outline" size="sm" onClick={handleExport} disabled={isExporting} className="flex items-center space-x-2">
+        {isExporting ? <Loader2 className="w-3 h-3 animate-spin" /> : <Archive className="w-3 h-3" />}
+        <span>Back up</span>
+      </Button>
+      <Button variant="outline" size="sm" onClick={() => fileInputRef.current?.click()} className="flex items-center space-x-2">
+        <Upload className="w-3 h-3" />
+        <span>Restore</span>
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={handleFileChange}
+      />
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Restore library</DialogTitle>
+            <DialogDescription>
+              {file?.name}
+            </DialogDescription>
+          </DialogHeader>
+
+          <RadioGroup value={mode} onValueChange={(value) => setMode(value as 'merge' | 'replace')} className="space-y-3">
+            <div className="flex items-start space-x-2">
+              <RadioGroupItem value="merge" id="restore-merge" className="mt-1" />
+              <Label htmlFor="restore-merge" className="font-normal">
+                <span className="font-medium">Merge</span>
+                <span className="block text-text-muted">Add videos from the backup and keep everything already in the library.</span>
+              </Label>
+            </div>
+            <div className="flex items-start space-x-2">
+              <RadioGroupItem value="replace" id="restore-replace" className="mt-1" />
+              <Label htmlFor="restore-replace" className="font-normal">
+                <span className="font-medium">Replace</span>
+                <span className="block text-text-muted">Delete the current library and restore the backup exactly.</span>
+              </Label>
+            </div>
+          </RadioGroup>
+
+          {mode === 'merge' && (
+            <div className="flex items-center space-x-2">
+              <Checkbox
+                id="restore-overwrite"
+                checked={overwrite}
+                onCheckedChange={(checked) => setOverwrite(checked === true)}
+              />
+              <Label htmlFor="restore-overwrite" className="font-normal">
+                Overwrite videos that are already in the library
+              </Label>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsDialogOpen(false)} disabled={isImporting}>
+              Cancel
+            </Button>
+            <Button onClick={handleImport} disabled={isImporting}>
+              {isImporting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {isImporting ? 'Restoring...' : 'Restore'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default LibraryBackup;
@@ -0,0 +1,238 @@
+import { useEffect, useState } from 'react';
+import { CheckCircle2, GraduationCap, Loader2, XCircle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import TimestampChip from '@/components/TimestampChip';
+import { useToast } from '@/hooks/use-toast';
+import { apiClient, Quiz, QuizAttemptResult, QuizStats, QuizType } from '@/lib/api';
+
+const TYPE_LABELS: Record<QuizType, string> = {
+  'multiple-choice': 'Multiple choice',
+  'short-answer': 'Short answer',
+};
+
+const QUESTION_COUNTS = [3, 5, 10];
+
+interface QuizPanelProps {
+  videoId: string;
+  onSeek: (seconds: number) => void;
+}
+
+const QuizPanel = ({ videoId, onSeek }: QuizPanelProps) => {
+  const [type, setType] = useState<QuizType>('multiple-choice');
+  const [count, setCount] = useState(5);
+  const [quiz, setQuiz] = useState<Quiz | null>(null);
+  const [responses, setResponses] = useState<string[]>([]);
+  const [result, setResult] = useState<QuizAttemptResult | null>(null);
+  const [stats, setStats] = useState<QuizStats | null>(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  // Start over and load the score history whenever another video is loaded
+  useEffect(() => {
+    setQuiz(null);
+    setResult(null);
+    setStats(null);
+
+    apiClient.getQuizzes(videoId)
+      .then(response => {
+        if (response.success && response.data) {
+          setStats(response.data.stats);
+        }
+      })
+      .catch(error => console.error('Error loading quiz stats:', error));
+  }, [videoId]);
+
+  const handleGenerate = async () => {
+    try {
+      setIsGenerating(true);
+      const response = await apiClient.generateQuiz(videoId, { type, count });
+      if (response.success && response.data) {
+        setQuiz(response.data);
+        setResponses(response.data.questions.map(() => ''));
+        setResult(null);
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to generate quiz",
+        variant: "destructive",
+      });
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!quiz) return;
+
+    try {
+      setIsSubmitting(true);
+      const response = await apiClient.submitQuizAttempt(videoId, quiz._id, responses);
+      if (response.success && response.data) {
+        setResult(response.data);
+        setStats(response.data.stats);
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to submit answers",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRetake = () => {
+    if (!quiz) return;
+    setResponses(quiz.questions.map(() => ''));
+    setResult(null);
+  };
+
+  const setResponse = (index: number, value: string) => {
+    setResponses(prev => prev.map((response, i) => (i === index ? value : response)));
+  };
+
+  return (
+    <Card className="shadow-large mb-8">
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="flex items-center space-x-2 text-brand-primary">
+            <GraduationCap className="w-5 h-5" />
+            <span>Quiz Mode</span>
+          </CardTitle>
+          {stats && stats.attempts > 0 && (
+            <div className="text-sm text-text-muted">
+              {stats.attempts} attempt{stats.attempts === 1 ? '' : 's'} · best {stats.bestPercentage}% · average {stats.averagePercentage}%
+            </div>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-end gap-3 mb-6">
+          <div className="space-y-2">
+            <Label>Question type</Label>
+            <Select value={type} onValueChange={(value) => setType(value as QuizType)}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>Questions</Label>
+            <Select value={String(count)} onValueChange={(value) => setCount(Number(value))}>
+              <SelectTrigger className="w-24">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {QUESTION_COUNTS.map(value => (
+                  <SelectItem key={value} value={String(value)}>{value}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button onClick={handleGenerate} disabled={isGenerating || isSubmitting}>
+            {isGenerating && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            {isGenerating ? 'Generating...' : quiz ? 'New quiz' : 'Start quiz'}
+          </Button>
+        </div>
+
+        {quiz && (
+          <div className="space-y-6">
+            {result && (
+              <div className="p-4 rounded-lg bg-surface text-center">
+                <div className="text-2xl font-bold text-brand-primary">
+                  {result.score} / {result.total}
+                </div>
+                <div className="text-sm text-text-secondary">{result.percentage}% correct</div>
+              </div>
+            )}
+
+            <ol className="space-y-6">
+              {quiz.questions.map((question, index) => {
+                const questionResult = result?.results[index];
+                return (
+                  <li key={index} className="space-y-3">
+                    <div className="flex items-start space-x-2">
+                      {questionResult && (questionResult.correct
+                        ? <CheckCircle2 className="w-5 h-5 text-green-600 shrink-0" />
+                        : <XCircle className="w-5 h-5 text-destructive shrink-0" />)}
+                      <p className="font-medium text-text-primary">
+                        {index + 1}. {question.question}
+                      </p>
+                    </div>
+
+                    {quiz.type === 'multiple-choice' ? (
+                      <RadioGroup
+                        value={responses[index]}
+                        onValueChange={(value) => setResponse(index, value)}
+                        disabled={!!result}
+                      >
+                        {question.choices.map((choice, choiceIndex) => (
+                          <div key={choiceIndex} className="flex items-center space-x-2">
+                            <RadioGroupItem value={choice} id={`quiz-${index}-${choiceIndex}`} />
+                            <Label htmlFor={`quiz-${index}-${choiceIndex}`} className="font-normal">
+                              {choice}
+                            </Label>
+                          </div>
+                        ))}
+                      </RadioGroup>
+                    ) : (
+                      <Input
+                        placeholder="Your answer"
+                        value={responses[index] || ''}
+                        onChange={(e) => setResponse(index, e.target.value)}
+                        disabled={!!result}
+                        maxLength={1000}
+                      />
+                    )}
+
+                    {questionResult && (
+                      <div className="p-3 rounded-lg bg-surface text-sm space-y-1">
+                        {!questionResult.correct && (
+                          <p className="text-text-primary">
+                            <span className="font-medium">Answer:</span> {questionResult.answer}
+                          </p>
+                        )}
+                        {questionResult.explanation && (
+                          <p className="text-text-secondary">{questionResult.explanation}</p>
+                        )}
+                        {questionResult.start !== null && (
+                          <TimestampChip start={questionResult.start} onSeek={onSeek} />
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+
+            {result ? (
+              <Button variant="outline" onClick={handleRetake}>
+                Retake quiz
+              </Button>
+            ) : (
+              <Button onClick={handleSubmit} disabled={isSubmitting || responses.every(response => !response.trim())}>
+                {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Submit answers
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default QuizPanel;
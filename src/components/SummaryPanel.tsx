@@ -0,0 +1,256 @@
+import { useEffect, useState } from 'react';
+import { Loader2, RefreshCw, Star } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import LanguageSelect from '@/components/LanguageSelect';
+import { apiClient, OutputLanguage, SummaryLength, SummaryStyle, SummaryVersion, SummaryVersionList, VideoData } from '@/lib/api';
+import { DEFAULT_OUTPUT_LANGUAGE, getLanguageName } from '@shared/languages';
+
+const STYLE_LABELS: Record<SummaryStyle, string> = {
+  standard: 'Standard',
+  brief: 'Brief',
+  detailed: 'Detailed',
+  eli5: "Explain like I'm five",
+  technical: 'Technical',
+  executive: 'Executive',
+};
+
+const LENGTH_LABELS: Record<SummaryLength, string> = {
+  short: 'Short',
+  medium: 'Medium',
+  long: 'Long',
+};
+
+interface SummaryPanelProps {
+  video: Partial<VideoData>;
+  isAnalyzing: boolean;
+  onVersionsChange: (versions: SummaryVersionList) => void;
+}
+
+const describeVersion = (version: SummaryVersion) => {
+  const date = new Date(version.createdAt).toLocaleString();
+  const language = version.language ? ` · ${getLanguageName(version.language)}` : '';
+  return `${STYLE_LABELS[version.style]} · ${LENGTH_LABELS[version.length]}${language} · ${date}`;
+};
+
+const SummaryPanel = ({ video, isAnalyzing, onVersionsChange }: SummaryPanelProps) => {
+  const versions = video.summaryVersions || [];
+  const defaultVersionId = video.defaultSummaryVersion || null;
+  // null follows the default version
+  const [selectedVersionId, setSelectedVersionId] = useState<string | null>(null);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [style, setStyle] = useState<SummaryStyle>('brief');
+  const [length, setLength] = useState<SummaryLength>('medium');
+  const [instruction, setInstruction] = useState('');
+  const [language, setLanguage] = useState<OutputLanguage>(DEFAULT_OUTPUT_LANGUAGE);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [isSavingDefault, setIsSavingDefault] = useState(false);
+  const { toast } = useToast();
+
+  // Show the default version again whenever another video is loaded
+  useEffect(() => {
+    setSelectedVersionId(null);
+  }, [video.videoId]);
+
+  // Regenerate in the language the video was summarized in unless another is picked
+  useEffect(() => {
+    setLanguage(video.outputLanguage || DEFAULT_OUTPUT_LANGUAGE);
+  }, [video.videoId, video.outputLanguage]);
+
+  const activeVersionId = selectedVersionId ?? defaultVersionId;
+  const selectedVersion = versions.find(version => version._id === activeVersionId);
+  const summary = selectedVersion ? selectedVersion.summary : video.summary;
+  const canRegenerate = video.processingStatus === 'completed' && !!video.videoId;
+
+  const handleRegenerate = async () => {
+    if (!video.videoId) return;
+
+    try {
+      setIsRegenerating(true);
+      const response = await apiClient.regenerateSummary(video.videoId, {
+        style,
+        length,
+        instruction: instruction.trim() || undefined,
+        language,
+      });
+
+      if (response.success && response.data) {
+        const { version, ...list } = response.data;
+        onVersionsChange(list);
+        setSelectedVersionId(version._id);
+        setIsDialogOpen(false);
+        setInstruction('');
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to regenerate summary",
+        variant: "destructive",
+      });
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  const handleSetDefault = async () => {
+    if (!video.videoId || !activeVersionId) return;
+
+    try {
+      setIsSavingDefault(true);
+      const response = await apiClient.setDefaultSummaryVersion(video.videoId, activeVersionId);
+      if (response.success && response.data) {
+        onVersionsChange(response.data);
+        toast({
+          title: "Default summary updated",
+          description: "This version is now used for chat and shown first.",
+        });
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to update default summary",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSavingDefault(false);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold text-brand-primary">AI Summary</h3>
+        {canRegenerate && (
+          <div className="flex flex-wrap items-center gap-2">
+            {versions.length > 1 && (
+              <Select value={activeVersionId || undefined} onValueChange={setSelectedVersionId}>
+                <SelectTrigger className="w-full sm:w-72 h-8 text-xs">
+                  <SelectValue placeholder="Summary version" />
+                </SelectTrigger>
+                <SelectContent>
+                  {[...versions].reverse().map(version => (
+                    <SelectItem key={version._id} value={version._id} className="text-xs">
+                      {describeVersion(version)}
+                      {version._id === defaultVersionId ? ' (default)' : ''}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+            {activeVersionId && activeVersionId !== defaultVersionId && (
+              <Button variant="outline" size="sm" onClick={handleSetDefault} disabled={isSavingDefault}>
+                <Star className="w-4 h-4 mr-1" />
+                Set as default
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={() => setIsDialogOpen(true)}>
+              <RefreshCw className="w-4 h-4 mr-1" />
+              Regenerate
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {selectedVersion?.instruction && (
+        <Badge variant="outline" className="mb-3 text-xs font-normal">
+          Instruction: {selectedVersion.instruction}
+        </Badge>
+      )}
+
+      {summary ? (
+        <div className="prose prose-slate max-w-none">
+          {summary.split('\n\n').map((paragraph, index) => (
+            <p key={index} className="text-text-primary mb-4 last:mb-0">
+              {paragraph}
+            </p>
+          ))}
+        </div>
+      ) : isAnalyzing ? (
+        <div className="flex items-center space-x-2 text-text-secondary">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <span>Generating summary...</span>
+        </div>
+      ) : (
+        <p className="text-text-secondary">The summary has not been generated yet.</p>
+      )}
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Regenerate summary</DialogTitle>
+            <DialogDescription>
+              A new version is added to this video's summary history. Earlier versions are kept.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Style</Label>
+              <Select value={style} onValueChange={(value) => setStyle(value as SummaryStyle)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(STYLE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Length</Label>
+              <Select value={length} onValueChange={(value) => setLength(value as SummaryLength)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(LENGTH_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Language</Label>
+              <LanguageSelect value={language} onChange={(value) => setLanguage(value as OutputLanguage)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="summary-instruction">Custom instruction (optional)</Label>
+              <Textarea
+                id="summary-instruction"
+                placeholder="e.g. Focus on the pricing discussion"
+                value={instruction}
+                onChange={(e) => setInstruction(e.target.value)}
+                maxLength={500}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsDialogOpen(false)} disabled={isRegenerating}>
+              Cancel
+            </Button>
+            <Button onClick={handleRegenerate} disabled={isRegenerating}>
+              {isRegenerating && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {isRegenerating ? 'Generating...' : 'Generate'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default SummaryPanel;
@@ -0,0 +1,24 @@
+import { PlayCircle } from 'lucide-react';
+import { formatTimestamp } from '@/lib/utils';
+
+interface TimestampChipProps {
+  start: number;
+  quote?: string;
+  onSeek: (seconds: number) => void;
+}
+
+const TimestampChip = ({ start, quote, onSeek }: TimestampChipProps) => {
+  return (
+    <button
+      type="button"
+      onClick={() => onSeek(start)}
+      title={quote}
+      className="inline-flex items-center space-x-1 px-2 py-0.5 rounded-full border border-border text-xs font-medium text-brand-accent hover:bg-surface-hover transition-colors"
+    >
+      <PlayCircle className="w-3 h-3" />
+      <span>[{formatTimestamp(start)}]</span>
+    </button>
+  );
+};
+
+export default TimestampChip;
@@ -0,0 +1,77 @@
+import { useRef, useState } from 'react';
+import { FileText, Loader2, Upload } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import { apiClient, SubtitleFormat } from '@/lib/api';
+
+interface TranscriptUploadProps {
+  videoId: string;
+  onUploaded: () => void;
+}
+
+// Subtitle format for a file extension; anything else is detected by the server
+const FORMATS_BY_EXTENSION: Record<string, SubtitleFormat> = {
+  srt: 'srt',
+  vtt: 'vtt',
+  txt: 'text',
+};
+
+const TranscriptUpload = ({ videoId, onUploaded }: TranscriptUploadProps) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  const handleFileChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsUploading(true);
+      const extension = file.name.split('.').pop()?.toLowerCase() || '';
+      const response = await apiClient.uploadTranscript(videoId, await file.text(), FORMATS_BY_EXTENSION[extension]);
+      if (response.success && response.data) {
+        toast({
+          title: "Transcript uploaded",
+          description: `${response.data.segmentCount} lines read. Regenerating the summary...`,
+        });
+        onUploaded();
+      }
+    } catch (error) {
+      toast({
+        title: "Upload failed",
+        description: error instanceof Error ? error.message : "Failed to upload transcript",
+        variant: "destructive",
+      });
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <Alert className="mb-6">
+      <FileText className="h-4 w-4" />
+      <AlertTitle>No transcript available</AlertTitle>
+      <AlertDescription>
+        <p className="mb-3">
+          This summary is based only on the video's title and description. Upload the video's subtitles
+          (SRT, WebVTT or plain text) to summarize what is actually said.
+        </p>
+        <Button variant="outline" size="sm" onClick={() => fileInputRef.current?.click()} disabled={isUploading}>
+          {isUploading ? <Loader2 className="w-3 h-3 mr-2 animate-spin" /> : <Upload className="w-3 h-3 mr-2" />}
+          {isUploading ? 'Uploading...' : 'Upload subtitles'}
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".srt,.vtt,.txt,text/plain,text/vtt"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </AlertDescription>
+    </Alert>
+  );
+};
+
+export default TranscriptUpload;
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { FileDown, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { useToast } from '@/hooks/use-toast';
+import { apiClient, VideoExportFormat } from '@/lib/api';
+import { saveFile } from '@/lib/utils';
+
+const FORMAT_LABELS: Record<VideoExportFormat, string> = {
+  md: 'Markdown (.md)',
+  html: 'Web page (.html)',
+  pdf: 'PDF (.pdf)',
+  json: 'JSON (.json)',
+};
+
+interface VideoExportMenuProps {
+  videoId: string;
+  label?: string;
+}
+
+const VideoExportMenu = ({ videoId, label = 'Export' }: VideoExportMenuProps) => {
+  const [includeChat, setIncludeChat] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const { toast } = useToast();
+
+  const handleExport = async (format: VideoExportFormat) => {
+    try {
+      setIsExporting(true);
+      const { blob, fileName } = await apiClient.exportVideo(videoId, format, includeChat);
+      saveFile(blob, fileName);
+    } catch (error) {
+      toast({
+        title: "Export failed",
+        description: error instanceof Error ? error.message : "Failed to export summary",
+        variant: "destructive",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" disabled={isExporting} className="flex items-center space-x-2">
+          {isExporting ? <Loader2 className="w-3 h-3 animate-spin" /> : <FileDown className="w-3 h-3" />}
+          <span>{label}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>Export summary as</DropdownMenuLabel>
+        {Object.entries(FORMAT_LABELS).map(([format, formatLabel]) => (
+          <DropdownMenuItem key={format} onClick={() => handleExport(format as VideoExportFormat)}>
+            {formatLabel}
+          </DropdownMenuItem>
+        ))}
+        <DropdownMenuSeparator />
+        <DropdownMenuCheckboxItem
+          checked={includeChat}
+          onCheckedChange={(checked) => setIncludeChat(checked === true)}
+          onSelect={(event) => event.preventDefault()}
+        >
+          Include chat history
+        </DropdownMenuCheckboxItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default VideoExportMenu;
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Search as SearchIcon } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { apiClient, VideoData } from '@/lib/api';
+
+// Analyzed videos listed at once
+const VIDEO_PICKER_LIMIT = 50;
+
+interface VideoPickerProps {
+  // YouTube IDs of the selected videos, in the order they were picked
+  selectedIds: string[];
+  onChange: (videoIds: string[]) => void;
+  max: number;
+}
+
+// Searchable checklist of analyzed videos
+const VideoPicker = ({ selectedIds, onChange, max }: VideoPickerProps) => {
+  const [videos, setVideos] = useState<VideoData[]>([]);
+  const [search, setSearch] = useState('');
+
+  const loadVideos = useCallback(async (query?: string) => {
+    try {
+      const response = await apiClient.getVideos({
+        status: 'completed',
+        limit: VIDEO_PICKER_LIMIT,
+        search: query || undefined,
+      });
+      if (response.success && response.data) {
+        setVideos(response.data.videos);
+      }
+    } catch (error) {
+      console.error('Failed to load videos:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadVideos();
+  }, [loadVideos]);
+
+  const handleSearch = (event: React.FormEvent) => {
+    event.preventDefault();
+    loadVideos(search.trim());
+  };
+
+  const toggleVideo = (videoId: string, checked: boolean) => {
+    onChange(checked ? [...selectedIds, videoId].slice(0, max) : selectedIds.filter(id => id !== videoId));
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSearch} className="flex gap-2 mb-3">
+        <Input
+          placeholder="Find analyzed videos..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1"
+        />
+        <Button type="submit" variant="outline">
+          <SearchIcon className="w-4 h-4" />
+        </Button>
+      </form>
+      <p className="text-sm text-text-muted mb-2">
+        {selectedIds.length} of at most {max} videos selected
+      </p>
+      <div className="max-h-72 overflow-y-auto space-y-1 border border-border rounded-lg p-2">
+        {videos.length === 0 ? (
+          <p className="text-sm text-text-muted text-center py-6">No analyzed videos found</p>
+        ) : (
+          videos.map((video) => {
+            const checked = selectedIds.includes(video.videoId);
+            return (
+              <label
+                key={video.videoId}
+                className="flex items-center gap-3 p-2 rounded-md hover:bg-surface-hover cursor-pointer"
+              >
+                <Checkbox
+                  checked={checked}
+                  disabled={!checked && selectedIds.length >= max}
+                  onCheckedChange={(value) => toggleVideo(video.videoId, value === true)}
+                />
+                <img
+                  src={video.thumbnailUrl}
+                  alt={video.title}
+                  className="w-16 aspect-video object-cover rounded"
+                />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-text-primary line-clamp-1">{video.title}</p>
+                  <p className="text-xs text-text-muted">{video.channelName}</p>
+                </div>
+              </label>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VideoPicker;
@@ -0,0 +1,37 @@
+import { forwardRef } from 'react';
+import { AspectRatio } from '@/components/ui/aspect-ratio';
+
+interface VideoPlayerProps {
+  videoId: string;
+  title: string;
+  start?: number;
+  autoplay?: boolean;
+}
+
+// Embedded YouTube player; changing `start` reloads the embed at that offset
+const VideoPlayer = forwardRef<HTMLDivElement, VideoPlayerProps>(({ videoId, title, start = 0, autoplay = false }, ref) => {
+  const params = new URLSearchParams({
+    start: Math.floor(start).toString(),
+    autoplay: autoplay ? '1' : '0',
+    rel: '0',
+  });
+
+  return (
+    <div ref={ref} className="rounded-lg overflow-hidden bg-black">
+      <AspectRatio ratio={16 / 9}>
+        <iframe
+          key={`${videoId}-${start}`}
+          src={`https://www.youtube.com/embed/${videoId}?${params.toString()}`}
+          title={title}
+          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+          allowFullScreen
+          className="w-full h-full"
+        />
+      </AspectRatio>
+    </div>
+  );
+});
+
+VideoPlayer.displayName = 'VideoPlayer';
+
+export default VideoPlayer;
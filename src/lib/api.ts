@@ -1,3 +1,5 @@
+import type { OutputLanguage } from '@shared/languages';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 interface ApiResponse<T = any> {
@@ -7,6 +9,156 @@ interface ApiResponse<T = any> {
   error?: string;
 }
 
+interface TranscriptSegment {
+  text: string;
+  start: number;
+  duration: number;
+}
+
+interface CaptionTrack {
+  languageCode: string;
+  name: string;
+  autoGenerated: boolean;
+}
+
+interface AnalysisLanguages {
+  transcriptLanguage?: string;
+  outputLanguage?: OutputLanguage;
+}
+
+// Output language requested for an analysis that an already analyzed video
+// (or its reused job) is not summarized in
+interface LanguageMismatch {
+  requested: OutputLanguage;
+  current: OutputLanguage;
+  versionId: string | null;
+}
+
+interface Chapter {
+  title: string;
+  start: number;
+  end?: number;
+  summary?: string;
+}
+
+type SummaryStyle = 'standard' | 'brief' | 'detailed' | 'eli5' | 'technical' | 'executive';
+
+type SummaryLength = 'short' | 'medium' | 'long';
+
+interface SummaryVersion {
+  _id: string;
+  summary: string;
+  style: SummaryStyle;
+  length: SummaryLength;
+  instruction?: string;
+  language?: OutputLanguage;
+  provider?: string;
+  model?: string;
+  prompt?: string;
+  createdAt: string;
+}
+
+interface SummaryVersionList {
+  videoId: string;
+  summary: string;
+  defaultSummaryVersion: string | null;
+  versions: SummaryVersion[];
+}
+
+type VideoExportFormat = 'md' | 'html' | 'pdf' | 'json';
+
+type SubtitleFormat = 'srt' | 'vtt' | 'text';
+
+type QuizType = 'multiple-choice' | 'short-answer';
+
+interface QuizQuestion {
+  question: string;
+  choices: string[];
+}
+
+interface Quiz {
+  _id: string;
+  videoId: string;
+  type: QuizType;
+  questionCount: number;
+  questions: QuizQuestion[];
+  createdAt: string;
+}
+
+interface QuizStats {
+  attempts: number;
+  bestPercentage: number | null;
+  averagePercentage: number | null;
+  lastAttemptAt: string | null;
+}
+
+interface QuizQuestionResult {
+  questionIndex: number;
+  question: string;
+  response: string;
+  correct: boolean;
+  answer: string;
+  explanation?: string;
+  start: number | null;
+}
+
+interface QuizAttemptResult {
+  attemptId: string;
+  score: number;
+  total: number;
+  percentage: number;
+  results: QuizQuestionResult[];
+  stats: QuizStats;
+}
+
+interface QuizAttempt {
+  _id: string;
+  quizId: string;
+  videoId: string;
+  score: number;
+  total: number;
+  percentage: number;
+  createdAt: string;
+}
+
+interface Flashcard {
+  _id: string;
+  historyId: string | { _id: string; videoTitle: string; thumbnailUrl: string; channelName: string };
+  videoId: string;
+  front: string;
+  back: string;
+  source: 'keyPoint' | 'transcript';
+  start: number | null;
+  easeFactor: number;
+  interval: number;
+  repetitions: number;
+  lapses: number;
+  dueAt: string;
+  lastReviewedAt: string | null;
+  createdAt: string;
+}
+
+interface FlashcardStats {
+  total: number;
+  due: number;
+  new: number;
+  learning: number;
+  mature: number;
+  reviewedToday: number;
+}
+
+type LibraryCollection = 'videos' | 'histories' | 'chats' | 'flashcards' | 'quizzes' | 'quizAttempts';
+
+interface LibraryImportResult {
+  mode: 'merge' | 'replace';
+  overwrite: boolean;
+  imported: Record<LibraryCollection, number>;
+  skipped: Record<LibraryCollection, number>;
+  duplicateVideoIds: string[];
+}
+
+type TranscriptSource = 'captions' | 'auto-captions' | 'uploaded' | 'fallback-description';
+
 interface VideoData {
   _id: string;
   videoId: string;
@@ -17,10 +169,20 @@ interface VideoData {
   channelName: string;
   publishedAt: string;
   transcript: string;
+  transcriptSegments?: TranscriptSegment[];
+  transcriptSource?: TranscriptSource | null;
+  transcriptQuality?: 'full' | 'metadata-only' | null;
+  language?: string;
+  captionTracks?: CaptionTrack[];
+  outputLanguage?: OutputLanguage;
   summary: string;
+  summaryVersions?: SummaryVersion[];
+  defaultSummaryVersion?: string | null;
+  chapters?: Chapter[];
+  chaptersSource?: 'description' | 'generated' | null;
   keyPoints: string[];
   tags: string[];
-  processingStatus: 'pending' | 'processing' | 'completed' | 'failed';
+  processingStatus: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled';
   processingError?: string;
   viewCount: number;
   likeCount: number;
@@ -28,16 +190,86 @@ interface VideoData {
   updatedAt: string;
 }
 
+interface Citation {
+  // Cited video in multi-video chats
+  videoId?: string | null;
+  start: number;
+  text: string;
+}
+
 interface ChatMessage {
   _id: string;
   content: string;
   role: 'user' | 'assistant';
+  citations?: Citation[];
   timestamp: string;
 }
 
+interface ChatStreamResult {
+  message: string;
+  citations: Citation[];
+  sessionId: string;
+  messageId: string;
+}
+
+type ChatScopeType = 'video' | 'videos' | 'tag' | 'channel' | 'batch';
+
+interface ChatScope {
+  type: ChatScopeType;
+  value: string | null;
+  label: string;
+}
+
+// The videos a new session covers: one of them picked by hand, a tag, a channel or a batch
+type ChatScopeSelection =
+  | { videoIds: string[] }
+  | { tag: string }
+  | { channel: string }
+  | { batchId: string };
+
+interface ChatScopeVideo {
+  videoId: string;
+  title: string;
+  channelName: string;
+  thumbnailUrl: string;
+}
+
+interface ChatScopeOptions {
+  maxVideos: number;
+  tags: { name: string; count: number }[];
+  channels: { name: string; count: number }[];
+}
+
+interface ComparisonVideo {
+  videoId: string;
+  id: string;
+  title: string;
+  channelName: string;
+  thumbnailUrl: string;
+  duration: number;
+  publishedAt: string;
+  transcriptQuality?: 'full' | 'metadata-only' | null;
+  url: string;
+}
+
+// Notes and positions are keyed by YouTube video ID
+interface VideoComparison {
+  videos: ComparisonVideo[];
+  overview: string;
+  sharedThemes: { theme: string; coverage: Record<string, string> }[];
+  disagreements: { topic: string; positions: Record<string, string> }[];
+  uniqueInsights: { videoId: string; insights: string[] }[];
+  recommendations: { purpose: string; videoId: string; reason: string }[];
+  language: OutputLanguage;
+  provider: string;
+  model: string;
+}
+
 interface ChatSession {
   sessionId: string;
   videoId: string;
+  videoIds?: string[];
+  scope?: ChatScope;
   messages: ChatMessage[];
   totalMessages: number;
   lastMessageAt: string;
@@ -45,11 +277,141 @@ interface ChatSession {
   isActive: boolean;
 }
 
+type AnalysisStageName = 'metadata' | 'transcript' | 'summary' | 'keyPoints' | 'tags' | 'chapters';
+
+interface AnalysisStage {
+  name: AnalysisStageName;
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+  attempts: number;
+  startedAt?: string;
+  completedAt?: string;
+  error?: string;
+}
+
+interface AnalysisJob {
+  jobId: string;
+  videoId: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  stage: AnalysisStageName | null;
+  progress: number;
+  stages: AnalysisStage[];
+  attempts: number;
+  maxAttempts: number;
+  error?: string;
+  createdAt: string;
+  completedAt?: string;
+}
+
 interface ProcessingStatus {
   videoId: string;
-  status: 'pending' | 'processing' | 'completed' | 'failed';
+  status: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled';
   error?: string;
   progress: number;
+  stage: AnalysisStageName | null;
+  job: AnalysisJob | null;
+}
+
+interface BatchItem {
+  position: number;
+  videoId: string;
+  url: string;
+  title?: string;
+  thumbnailUrl?: string;
+  channelName?: string;
+  duration?: number;
+  status: ProcessingStatus['status'] | 'removed';
+  error?: string | null;
+  progress: number;
+  stage: AnalysisStageName | null;
+  jobId: string | null;
+}
+
+interface Batch {
+  _id: string;
+  title: string;
+  source: 'playlist' | 'urls';
+  playlistId: string | null;
+  url: string | null;
+  status: 'processing' | 'completed' | 'completed_with_errors';
+  progress: number;
+  counts: Record<BatchItem['status'], number>;
+  videoCount: number;
+  // Videos in the playlist, and how many were left out past the batch size limit
+  playlistTotal: number | null;
+  truncatedCount: number;
+  items: BatchItem[];
+  createdAt: string;
+}
+
+interface SearchHighlight {
+  start: number;
+  end: number;
+}
+
+interface SearchVideoResult {
+  videoId: string;
+  id: string;
+  title: string;
+  channelName: string;
+  thumbnailUrl: string;
+  duration: number;
+  publishedAt?: string;
+  url: string;
+  score: number;
+  matchedBy: SearchMatch[];
+  field: 'summary' | 'keyPoints' | 'notes' | 'description' | null;
+  snippet: string;
+  highlights: SearchHighlight[];
+}
+
+interface SearchPassageResult {
+  videoId: string;
+  id: string;
+  title: string;
+  channelName: string;
+  thumbnailUrl: string;
+  chunkIndex: number;
+  start: number | null;
+  end: number | null;
+  url: string;
+  score: number;
+  matchedBy: SearchMatch[];
+  snippet: string;
+  highlights: SearchHighlight[];
+}
+
+type SearchMatch = 'keyword' | 'semantic';
+type SearchMode = 'hybrid' | 'keyword';
+
+interface SearchResults {
+  query: string;
+  mode: SearchMode;
+  videos: SearchVideoResult[];
+  passages: SearchPassageResult[];
+}
+
+interface SearchStatus {
+  mode: SearchMode;
+  embedding: { provider: string; label: string; model: string } | null;
+  vectorStore: string;
+  totalVideos: number;
+  indexedVideos: number;
+  reindexing: { total: number; done: number; failed: number } | null;
+}
+
+interface AnalysisStageEvent {
+  name: AnalysisStageName;
+  progress: number;
+  data: Partial<VideoData> & { segmentCount?: number; hasTimestamps?: boolean };
+}
+
+interface AnalysisEventHandlers {
+  onStatus?: (status: ProcessingStatus) => void;
+  onStage?: (stage: AnalysisStageEvent) => void;
+  onDone: (video: VideoData) => void;
+  onFailed: (error: string) => void;
+  onCancelled?: () => void;
+  onConnectionError?: () => void;
 }
 
 class ApiClient {
@@ -88,11 +450,65 @@ class ApiClient {
     }
   }
 
+  // Fetch a file download, reading its name from the Content-Disposition header
+  private async download(endpoint: string, fallbackName: string): Promise<{ blob: Blob; fileName: string }> {
+    const response = await fetch(`${this.baseUrl}${endpoint}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    return { blob: await response.blob(), fileName };
+  }
+
   // Video API methods
-  async analyzeVideo(url: string): Promise<ApiResponse<{ videoId: string; status: string }>> {
+  async analyzeVideo(url: string, languages: AnalysisLanguages = {}): Promise<ApiResponse<{
+    jobId?: string;
+    videoId: string;
+    start?: number | null;
+    playlistId?: string | null;
+    status: string;
+    stage?: AnalysisStageName | null;
+    progress?: number;
+    languageMismatch?: LanguageMismatch | null;
+  }>> {
     return this.request('/videos/analyze', {
       method: 'POST',
-      body: JSON.stringify({ url }),
+      body: JSON.stringify({ url, ...languages }),
+    });
+  }
+
+  async createBatch(
+    source: { url: string } | { urls: string[] },
+    title?: string,
+    languages: AnalysisLanguages = {}
+  ): Promise<ApiResponse<Batch>> {
+    return this.request('/videos/batch', {
+      method: 'POST',
+      body: JSON.stringify({ ...source, title, ...languages }),
+    });
+  }
+
+  async getBatches(limit?: number): Promise<ApiResponse<Batch[]>> {
+    return this.request(`/videos/batch${limit ? `?limit=${limit}` : ''}`);
+  }
+
+  async getBatch(batchId: string): Promise<ApiResponse<Batch>> {
+    return this.request(`/videos/batch/${batchId}`);
+  }
+
+  async cancelBatch(batchId: string): Promise<ApiResponse<Batch>> {
+    return this.request(`/videos/batch/${batchId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async retryBatch(batchId: string): Promise<ApiResponse<Batch>> {
+    return this.request(`/videos/batch/${batchId}/retry`, {
+      method: 'POST',
     });
   }
 
@@ -100,10 +516,133 @@ class ApiClient {
     return this.request(`/videos/status/${videoId}`);
   }
 
+  // Follow a video's analysis over Server-Sent Events. EventSource reconnects
+  // on its own after network errors; returns a function that stops watching.
+  watchAnalysis(videoId: string, handlers: AnalysisEventHandlers): () => void {
+    const source = new EventSource(`${this.baseUrl}/videos/${videoId}/events`);
+    const parse = (event: Event) => JSON.parse((event as MessageEvent<string>).data);
+
+    source.addEventListener('status', (event) => handlers.onStatus?.(parse(event)));
+    source.addEventListener('stage', (event) => handlers.onStage?.(parse(event)));
+    source.addEventListener('done', (event) => {
+      source.close();
+      handlers.onDone(parse(event).video);
+    });
+    source.addEventListener('failed', (event) => {
+      source.close();
+      handlers.onFailed(parse(event).error);
+    });
+    source.addEventListener('cancelled', () => {
+      source.close();
+      handlers.onCancelled?.();
+    });
+    source.onerror = () => {
+      // CLOSED means the server refused the stream (e.g. unknown video)
+      if (source.readyState === EventSource.CLOSED) {
+        handlers.onConnectionError?.();
+      }
+    };
+
+    return () => source.close();
+  }
+
+  async cancelAnalysis(videoId: string): Promise<ApiResponse<AnalysisJob>> {
+    return this.request(`/videos/${videoId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async retryAnalysis(videoId: string): Promise<ApiResponse<AnalysisJob>> {
+    return this.request(`/videos/${videoId}/retry`, {
+      method: 'POST',
+    });
+  }
+
+  async regenerateSummary(videoId: string, options: {
+    style: SummaryStyle;
+    length?: SummaryLength;
+    instruction?: string;
+    language?: OutputLanguage;
+    setDefault?: boolean;
+  }): Promise<ApiResponse<SummaryVersionList & { version: SummaryVersion }>> {
+    return this.request(`/videos/${videoId}/regenerate`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async getSummaryVersions(videoId: string): Promise<ApiResponse<SummaryVersionList>> {
+    return this.request(`/videos/${videoId}/summary-versions`);
+  }
+
+  async setDefaultSummaryVersion(videoId: string, versionId: string): Promise<ApiResponse<SummaryVersionList>> {
+    return this.request(`/videos/${videoId}/summary-versions/${versionId}/default`, {
+      method: 'PUT',
+    });
+  }
+
+  async generateQuiz(videoId: string, options: {
+    type: QuizType;
+    count?: number;
+  }): Promise<ApiResponse<Quiz>> {
+    return this.request(`/videos/${videoId}/quiz`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async getQuizzes(videoId: string): Promise<ApiResponse<{ quizzes: Quiz[]; stats: QuizStats }>> {
+    return this.request(`/videos/${videoId}/quiz`);
+  }
+
+  async submitQuizAttempt(videoId: string, quizId: string, responses: string[]): Promise<ApiResponse<QuizAttemptResult>> {
+    return this.request(`/videos/${videoId}/quiz/${quizId}/attempts`, {
+      method: 'POST',
+      body: JSON.stringify({ responses }),
+    });
+  }
+
+  async getQuizAttempts(videoId: string): Promise<ApiResponse<{ attempts: QuizAttempt[]; stats: QuizStats }>> {
+    return this.request(`/videos/${videoId}/quiz/attempts`);
+  }
+
+  async getJob(jobId: string): Promise<ApiResponse<AnalysisJob>> {
+    return this.request(`/videos/jobs/${jobId}`);
+  }
+
   async getVideo(videoId: string): Promise<ApiResponse<VideoData>> {
     return this.request(`/videos/${videoId}`);
   }
 
+  async getTranscript(videoId: string): Promise<ApiResponse<{
+    videoId: string;
+    title: string;
+    duration: number;
+    segments: TranscriptSegment[];
+    transcript: string;
+  }>> {
+    return this.request(`/videos/${videoId}/transcript`);
+  }
+
+  async uploadTranscript(videoId: string, content: string, format?: SubtitleFormat): Promise<ApiResponse<{
+    jobId: string;
+    videoId: string;
+    format: SubtitleFormat;
+    segmentCount: number;
+    status: string;
+    stage: AnalysisStageName | null;
+    progress: number;
+  }>> {
+    return this.request(`/videos/${videoId}/transcript`, {
+      method: 'POST',
+      body: JSON.stringify({ content, format }),
+    });
+  }
+
+  async exportVideo(videoId: string, format: VideoExportFormat, includeChat = false): Promise<{ blob: Blob; fileName: string }> {
+    return this.download(`/videos/${videoId}/export?format=${format}&includeChat=${includeChat}`, `${videoId}-summary.${format}`);
+  }
+
   async getVideoByYouTubeId(youtubeVideoId: string): Promise<ApiResponse<VideoData>> {
     return this.request(`/videos/youtube/${youtubeVideoId}`);
   }
@@ -126,6 +665,13 @@ class ApiClient {
     return this.request(`/videos${query}`);
   }
 
+  async compareVideos(videoIds: string[], language?: OutputLanguage): Promise<ApiResponse<VideoComparison>> {
+    return this.request('/videos/compare', {
+      method: 'POST',
+      body: JSON.stringify({ videoIds, language }),
+    });
+  }
+
   async deleteVideo(videoId: string): Promise<ApiResponse> {
     return this.request(`/videos/${videoId}`, {
       method: 'DELETE',
@@ -140,13 +686,98 @@ class ApiClient {
     });
   }
 
-  async sendChatMessage(sessionId: string, message: string): Promise<ApiResponse<{ message: string; sessionId: string; messageId: string }>> {
+  async startMultiVideoChat(
+    selection: ChatScopeSelection
+  ): Promise<ApiResponse<{ sessionId: string; videoTitle: string; scope: ChatScope; videos: ChatScopeVideo[] }>> {
+    return this.request('/chat/start', {
+      method: 'POST',
+      body: JSON.stringify(selection),
+    });
+  }
+
+  async getChatScopes(): Promise<ApiResponse<ChatScopeOptions>> {
+    return this.request('/chat/scopes');
+  }
+
+  async sendChatMessage(
+    sessionId: string,
+    message: string,
+    language?: OutputLanguage
+  ): Promise<ApiResponse<{ message: string; citations: Citation[]; sessionId: string; messageId: string }>> {
     return this.request('/chat/message', {
       method: 'POST',
-      body: JSON.stringify({ sessionId, message }),
+      body: JSON.stringify({ sessionId, message, language }),
     });
   }
 
+  async streamChatMessage(
+    sessionId: string,
+    message: string,
+    handlers: { onToken: (text: string) => void; signal?: AbortSignal; language?: OutputLanguage }
+  ): Promise<ChatStreamResult> {
+    const response = await fetch(`${this.baseUrl}/chat/message/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, message, language: handlers.language }),
+      signal: handlers.signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    let result: ChatStreamResult | null = null;
+
+    await this.readEventStream<Partial<ChatStreamResult> & { text?: string }>(response.body, (event, data) => {
+      if (event === 'token') {
+        handlers.onToken(data.text || '');
+      } else if (event === 'done') {
+        result = data as ChatStreamResult;
+      } else if (event === 'error') {
+        throw new Error(data.message || 'Failed to generate response');
+      }
+    });
+
+    if (!result) {
+      throw new Error('The response stream ended unexpectedly');
+    }
+    return result;
+  }
+
+  // Parse a Server-Sent Events body, calling onEvent with each JSON payload
+  private async readEventStream<T>(
+    body: ReadableStream<Uint8Array>,
+    onEvent: (event: string, data: T) => void
+  ): Promise<void> {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        const dataLines: string[] = [];
+        rawEvent.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+
+        if (dataLines.length > 0) {
+          onEvent(event, JSON.parse(dataLines.join('\n')));
+        }
+      }
+    }
+  }
+
   async getChatSession(sessionId: string): Promise<ApiResponse<ChatSession & { videoInfo: any }>> {
     return this.request(`/chat/session/${sessionId}`);
   }
@@ -238,6 +869,104 @@ class ApiClient {
     });
   }
 
+  // Flashcard API methods
+  async generateFlashcards(videoId: string, options: {
+    count?: number;
+    replace?: boolean;
+  } = {}): Promise<ApiResponse<Flashcard[]>> {
+    return this.request('/flashcards/generate', {
+      method: 'POST',
+      body: JSON.stringify({ videoId, ...options }),
+    });
+  }
+
+  async getReviewQueue(limit = 20): Promise<ApiResponse<{ cards: Flashcard[]; stats: FlashcardStats }>> {
+    return this.request(`/flashcards/review?limit=${limit}`);
+  }
+
+  async getFlashcardStats(): Promise<ApiResponse<FlashcardStats>> {
+    return this.request('/flashcards/stats');
+  }
+
+  async getVideoFlashcards(videoId: string): Promise<ApiResponse<Flashcard[]>> {
+    return this.request(`/flashcards/video/${videoId}`);
+  }
+
+  async reviewFlashcard(cardId: string, grade: number): Promise<ApiResponse<{ card: Flashcard; stats: FlashcardStats }>> {
+    return this.request(`/flashcards/${cardId}/review`, {
+      method: 'POST',
+      body: JSON.stringify({ grade }),
+    });
+  }
+
+  async exportFlashcards(params: {
+    videoId?: string;
+    bookmarked?: boolean;
+    content?: 'flashcards' | 'keyPoints';
+    format?: 'anki' | 'csv';
+  }): Promise<{ blob: Blob; fileName: string }> {
+    const searchParams = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined) {
+        searchParams.append(key, value.toString());
+      }
+    });
+
+    return this.download(`/flashcards/export?${searchParams.toString()}`, 'flashcards.txt');
+  }
+
+  async deleteFlashcard(cardId: string): Promise<ApiResponse> {
+    return this.request(`/flashcards/${cardId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Library backup methods
+  async exportLibrary(): Promise<{ blob: Blob; fileName: string }> {
+    return this.download('/export/library', 'vid-essence-library.json');
+  }
+
+  async importLibrary(archive: string, options: {
+    mode: 'merge' | 'replace';
+    overwrite?: boolean;
+  }): Promise<ApiResponse<LibraryImportResult>> {
+    const params = new URLSearchParams({
+      mode: options.mode,
+      overwrite: String(!!options.overwrite),
+      // Replacing requires an explicit confirmation, like clearing the history
+      confirm: String(options.mode === 'replace'),
+    });
+
+    return this.request(`/import/library?${params.toString()}`, {
+      method: 'POST',
+      body: archive,
+    });
+  }
+
+  // Library search methods
+  async search(query: string, params: {
+    limit?: number;
+    type?: 'all' | 'videos' | 'passages';
+  } = {}): Promise<ApiResponse<SearchResults>> {
+    const searchParams = new URLSearchParams({ q: query });
+    if (params.limit) searchParams.append('limit', params.limit.toString());
+    if (params.type) searchParams.append('type', params.type);
+
+    return this.request(`/search?${searchParams.toString()}`);
+  }
+
+  async getSearchStatus(): Promise<ApiResponse<SearchStatus>> {
+    return this.request('/search/status');
+  }
+
+  async reindexSearch(force = false): Promise<ApiResponse<{ count: number }>> {
+    return this.request('/search/reindex', {
+      method: 'POST',
+      body: JSON.stringify({ force }),
+    });
+  }
+
   // Health check
   async healthCheck(): Promise<ApiResponse> {
     return this.request('/health');
@@ -245,4 +974,4 @@ class ApiClient {
 }
 
 export const apiClient = new ApiClient();
-export type { VideoData, ChatMessage, ChatSession, ProcessingStatus, ApiResponse };
\ No newline at end of file
+export type { VideoData, TranscriptSegment, TranscriptSource, CaptionTrack, AnalysisLanguages, LanguageMismatch, OutputLanguage, Chapter, ChatMessage, Citation, ChatSession, ChatScope, ChatScopeType, ChatScopeSelection, ChatScopeVideo, ChatScopeOptions, ComparisonVideo, VideoComparison, ProcessingStatus, AnalysisJob, AnalysisStage, AnalysisStageName, AnalysisStageEvent, Batch, BatchItem, SummaryStyle, SummaryLength, SummaryVersion, SummaryVersionList, VideoExportFormat, SubtitleFormat, QuizType, Quiz, QuizQuestion, QuizStats, QuizQuestionResult, QuizAttemptResult, QuizAttempt, Flashcard, FlashcardStats, LibraryImportResult, SearchResults, SearchVideoResult, SearchPassageResult, SearchHighlight, SearchMode, SearchStatus, ApiResponse };
\ No newline at end of file
@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ListVideo, Send, Loader2, XCircle, RotateCcw, ExternalLink, AlertTriangle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Progress } from '@/components/ui/progress';
+import { useToast } from '@/hooks/use-toast';
+import LanguageSelect from '@/components/LanguageSelect';
+import { apiClient, Batch, BatchItem, OutputLanguage } from '@/lib/api';
+import { parseYouTubeUrl } from '@shared/youtubeUrl';
+import { DEFAULT_OUTPUT_LANGUAGE } from '@shared/languages';
+
+// How often batches are refreshed while any of them is still processing
+const REFRESH_INTERVAL_MS = 5000;
+
+const STATUS_LABELS: Record<BatchItem['status'], string> = {
+  pending: 'Queued',
+  processing: 'Analyzing',
+  completed: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  removed: 'Deleted',
+};
+
+const Batches = () => {
+  const [input, setInput] = useState('');
+  const [title, setTitle] = useState('');
+  // "auto" lets the server pick each video's caption track
+  const [transcriptLanguage, setTranscriptLanguage] = useState('auto');
+  const [outputLanguage, setOutputLanguage] = useState<OutputLanguage>(DEFAULT_OUTPUT_LANGUAGE);
+  const [batches, setBatches] = useState<Batch[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [expandedBatchId, setExpandedBatchId] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  const loadBatches = useCallback(async () => {
+    try {
+      const response = await apiClient.getBatches();
+      if (response.success && response.data) {
+        setBatches(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load batches:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  const hasActiveBatch = batches.some(batch => batch.status === 'processing');
+
+  useEffect(() => {
+    if (!hasActiveBatch) return;
+    const timer = setInterval(loadBatches, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveBatch, loadBatches]);
+
+  // One playlist URL, or one video URL per line
+  const urls = input.split(/\s+/).map(url => url.trim()).filter(Boolean);
+  const playlistUrl = urls.length === 1 && parseYouTubeUrl(urls[0])?.playlistId ? urls[0] : null;
+
+  const handleSubmit = async () => {
+    if (urls.length === 0) return;
+
+    try {
+      setIsSubmitting(true);
+      const response = await apiClient.createBatch(
+        playlistUrl ? { url: playlistUrl } : { urls },
+        title.trim() || undefined,
+        {
+          transcriptLanguage: transcriptLanguage === 'auto' ? undefined : transcriptLanguage,
+          outputLanguage,
+        }
+      );
+      if (response.success && response.data) {
+        const batch = response.data;
+        setBatches(prev => [batch, ...prev]);
+        setExpandedBatchId(batch._id);
+        setInput('');
+        setTitle('');
+        toast({
+          title: "Batch queued",
+          description: `${batch.videoCount} video${batch.videoCount === 1 ? '' : 's'} will be analyzed one after another.` +
+            (batch.truncatedCount > 0
+              ? ` The playlist has ${batch.playlistTotal} videos, so the last ${batch.truncatedCount} were left out.`
+              : ''),
+        });
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to queue batch",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleBatchAction = async (batch: Batch, action: 'cancel' | 'retry') => {
+    try {
+      const response = action === 'cancel'
+        ? await apiClient.cancelBatch(batch._id)
+        : await apiClient.retryBatch(batch._id);
+      if (response.success && response.data) {
+        const updated = response.data;
+        setBatches(prev => prev.map(item => item._id === updated._id ? updated : item));
+        toast({
+          title: action === 'cancel' ? "Batch cancelled" : "Batch retried",
+          description: response.message,
+        });
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : `Failed to ${action} batch`,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const getStatusVariant = (status: BatchItem['status']) => {
+    if (status === 'completed') return 'default';
+    if (status === 'failed') return 'destructive';
+    return 'secondary';
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
+              <ListVideo className="w-5 h-5 text-white" />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
+              Batches
+            </h1>
+          </div>
+          <p className="text-lg text-text-secondary">
+            Analyze a whole playlist, or a list of videos, in one go.
+          </p>
+        </div>
+
+        {/* New batch */}
+        <Card className="mb-8 shadow-medium">
+          <CardHeader>
+            <CardTitle className="text-brand-primary">New batch</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Textarea
+              placeholder={'https://www.youtube.com/playlist?list=...\nor one video URL per line'}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              rows={4}
+              disabled={isSubmitting}
+            />
+            <div className="flex flex-col sm:flex-row gap-3">
+              <LanguageSelect
+                value={transcriptLanguage}
+                onChange={setTranscriptLanguage}
+                autoLabel="Auto-detect"
+                prefix="Captions:"
+                className="sm:w-60"
+                disabled={isSubmitting}
+              />
+              <LanguageSelect
+                value={outputLanguage}
+                onChange={(value) => setOutputLanguage(value as OutputLanguage)}
+                prefix="Summaries in"
+                className="sm:w-60"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3">
+              <Input
+                placeholder={playlistUrl ? 'Title (defaults to the playlist title)' : 'Title (optional)'}
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="flex-1"
+                disabled={isSubmitting}
+              />
+              <Button onClick={handleSubmit} disabled={urls.length === 0 || isSubmitting} className="sm:w-auto w-full">
+                {isSubmitting ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Send className="w-4 h-4 mr-2" />
+                )}
+                {playlistUrl
+                  ? 'Analyze Playlist'
+                  : urls.length > 0 ? `Analyze ${urls.length} Video${urls.length === 1 ? '' : 's'}` : 'Analyze Videos'}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Batch list */}
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-brand-primary"></div>
+          </div>
+        ) : batches.length === 0 ? (
+          <Card className="shadow-soft">
+            <CardContent className="py-16 text-center">
+              <ListVideo className="w-16 h-16 text-text-muted mx-auto mb-4" />
+              <h3 className="text-xl font-heading text-text-primary mb-2">No batches yet</h3>
+              <p className="text-text-muted">Paste a playlist URL above to analyze every video in it.</p>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="space-y-4">
+            {batches.map((batch) => {
+              const isExpanded = expandedBatchId === batch._id;
+              const finished = batch.counts.completed + batch.counts.failed + batch.counts.cancelled + batch.counts.removed;
+
+              return (
+                <Card key={batch._id} className="shadow-soft">
+                  <CardContent className="p-6">
+                    <div className="flex items-start justify-between gap-4 mb-3">
+                      <button
+                        type="button"
+                        onClick={() => setExpandedBatchId(isExpanded ? null : batch._id)}
+                        className="text-left"
+                      >
+                        <h3 className="font-heading text-text-primary">{batch.title}</h3>
+                        <p className="text-sm text-text-muted">
+                          {finished} of {batch.videoCount} finished
+                          {batch.counts.failed > 0 && ` · ${batch.counts.failed} failed`}
+                          {' · '}{new Date(batch.createdAt).toLocaleDateString()}
+                        </p>
+                        {batch.truncatedCount > 0 && (
+                          <p className="text-sm text-warning flex items-center gap-1">
+                            <AlertTriangle className="w-3 h-3" />
+                            First {batch.videoCount} of {batch.playlistTotal} playlist videos; {batch.truncatedCount} left out
+                          </p>
+                        )}
+                      </button>
+                      <div className="flex items-center gap-2">
+                        {batch.status === 'processing' && (
+                          <Button variant="outline" size="sm" onClick={() => handleBatchAction(batch, 'cancel')}>
+                            <XCircle className="w-3 h-3 mr-1" />
+                            Cancel
+                          </Button>
+                        )}
+                        {batch.counts.failed + batch.counts.cancelled > 0 && (
+                          <Button variant="outline" size="sm" onClick={() => handleBatchAction(batch, 'retry')}>
+                            <RotateCcw className="w-3 h-3 mr-1" />
+                            Retry failed
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                    <Progress value={batch.progress} className="h-2" />
+
+                    {isExpanded && (
+                      <ul className="mt-4 divide-y divide-border">
+                        {batch.items.map((item) => (
+                          <li key={item.videoId} className="flex items-center justify-between gap-3 py-2">
+                            <div className="flex items-center gap-3 min-w-0">
+                              <span className="text-xs text-text-muted w-6 text-right">{item.position}</span>
+                              <span className="text-sm text-text-primary line-clamp-1" title={item.error || undefined}>
+                                {item.title || item.videoId}
+                              </span>
+                            </div>
+                            <div className="flex items-center gap-2 shrink-0">
+                              {item.status === 'processing' && (
+                                <span className="text-xs text-text-muted">{item.progress}%</span>
+                              )}
+                              <Badge variant={getStatusVariant(item.status)} className="text-xs">
+                                {STATUS_LABELS[item.status]}
+                              </Badge>
+                              {item.status === 'completed' && (
+                                <Button variant="ghost" size="sm" asChild>
+                                  <Link to={`/?video=${encodeURIComponent(item.url)}`}>
+                                    <ExternalLink className="w-3 h-3" />
+                                  </Link>
+                                </Button>
+                              )}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </CardContent>
+                </Card>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Batches;
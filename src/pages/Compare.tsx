@@ -0,0 +1,231 @@
+import { Fragment, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Scale, Loader2, AlertTriangle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import LanguageSelect from '@/components/LanguageSelect';
+import VideoPicker from '@/components/VideoPicker';
+import { apiClient, OutputLanguage, VideoComparison } from '@/lib/api';
+import { formatTimestamp } from '@/lib/utils';
+import { DEFAULT_OUTPUT_LANGUAGE } from '@shared/languages';
+
+// Number of videos one comparison takes
+const MIN_VIDEOS = 2;
+const MAX_VIDEOS = 5;
+
+// Dashboard link that opens a video
+const dashboardLink = (url: string) => `/?video=${encodeURIComponent(url)}`;
+
+const Compare = () => {
+  const [searchParams] = useSearchParams();
+  // Videos can be preselected with ?videos=ID1,ID2
+  const [selectedIds, setSelectedIds] = useState<string[]>(() => (
+    (searchParams.get('videos') || '').split(',').filter(Boolean).slice(0, MAX_VIDEOS)
+  ));
+  const [language, setLanguage] = useState<OutputLanguage>(DEFAULT_OUTPUT_LANGUAGE);
+  const [comparison, setComparison] = useState<VideoComparison | null>(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const { toast } = useToast();
+
+  const handleCompare = async () => {
+    if (selectedIds.length < MIN_VIDEOS) return;
+
+    try {
+      setIsComparing(true);
+      const response = await apiClient.compareVideos(selectedIds, language);
+      if (response.success && response.data) {
+        setComparison(response.data);
+      }
+    } catch (error) {
+      toast({
+        title: "Comparison failed",
+        description: error instanceof Error ? error.message : "Failed to compare videos",
+        variant: "destructive",
+      });
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const columnCount = (comparison?.videos.length || 0) + 1;
+
+  // Full-width row introducing a section of the comparison table
+  const sectionRow = (title: string) => (
+    <TableRow className="bg-surface hover:bg-surface">
+      <TableCell colSpan={columnCount} className="font-heading text-brand-primary">
+        {title}
+      </TableCell>
+    </TableRow>
+  );
+
+  const emptyCell = <span className="text-text-muted">—</span>;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
+              <Scale className="w-5 h-5 text-white" />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
+              Compare
+            </h1>
+          </div>
+          <p className="text-lg text-text-secondary">
+            Put {MIN_VIDEOS} to {MAX_VIDEOS} analyzed videos side by side: what they share, where they disagree, and which to watch.
+          </p>
+        </div>
+
+        {/* Video picker */}
+        <Card className="shadow-soft mb-8">
+          <CardHeader>
+            <CardTitle className="text-brand-primary">Videos to compare</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <VideoPicker selectedIds={selectedIds} onChange={setSelectedIds} max={MAX_VIDEOS} />
+            <div className="flex flex-col sm:flex-row gap-3 mt-4">
+              <LanguageSelect
+                value={language}
+                onChange={(value) => setLanguage(value as OutputLanguage)}
+                prefix="Comparison in"
+                className="sm:w-64"
+              />
+              <Button onClick={handleCompare} disabled={selectedIds.length < MIN_VIDEOS || isComparing}>
+                {isComparing ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Scale className="w-4 h-4 mr-2" />
+                )}
+                Compare {selectedIds.length > 0 ? selectedIds.length : ''} Videos
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Comparison */}
+        {comparison && (
+          <Card className="shadow-large">
+            <CardHeader>
+              <CardTitle className="text-brand-primary">Comparison</CardTitle>
+              {comparison.overview && (
+                <p className="text-text-secondary">{comparison.overview}</p>
+              )}
+            </CardHeader>
+            <CardContent className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-48" />
+                    {comparison.videos.map((video) => (
+                      <TableHead key={video.videoId} className="align-top py-3 min-w-48">
+                        <Link to={dashboardLink(video.url)} className="block hover:underline">
+                          <img
+                            src={video.thumbnailUrl}
+                            alt={video.title}
+                            className="w-full max-w-40 aspect-video object-cover rounded-md mb-2"
+                          />
+                          <span className="font-medium text-text-primary line-clamp-2">{video.title}</span>
+                        </Link>
+                        <span className="block text-xs text-text-muted font-normal">
+                          {video.channelName} · {formatTimestamp(video.duration)}
+                        </span>
+                        {video.transcriptQuality === 'metadata-only' && (
+                          <Badge
+                            variant="outline"
+                            className="mt-1 text-xs font-normal border-warning/50 bg-warning/10 text-warning"
+                            title="This video has no captions, so it was analyzed from its title and description only"
+                          >
+                            <AlertTriangle className="w-3 h-3 mr-1" />
+                            No transcript
+                          </Badge>
+                        )}
+                      </TableHead>
+                    ))}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {sectionRow('Shared themes')}
+                  {comparison.sharedThemes.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={columnCount} className="text-text-muted">No themes in common</TableCell>
+                    </TableRow>
+                  ) : comparison.sharedThemes.map((theme) => (
+                    <TableRow key={theme.theme}>
+                      <TableCell className="font-medium align-top">{theme.theme}</TableCell>
+                      {comparison.videos.map((video) => (
+                        <TableCell key={video.videoId} className="align-top">
+                          {theme.coverage[video.videoId] || emptyCell}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+
+                  {sectionRow('Points of disagreement')}
+                  {comparison.disagreements.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={columnCount} className="text-text-muted">The videos do not contradict each other</TableCell>
+                    </TableRow>
+                  ) : comparison.disagreements.map((disagreement) => (
+                    <TableRow key={disagreement.topic}>
+                      <TableCell className="font-medium align-top">{disagreement.topic}</TableCell>
+                      {comparison.videos.map((video) => (
+                        <TableCell key={video.videoId} className="align-top">
+                          {disagreement.positions[video.videoId] || emptyCell}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+
+                  {sectionRow('Unique insights')}
+                  <TableRow>
+                    <TableCell className="font-medium align-top">Only in this video</TableCell>
+                    {comparison.videos.map((video) => {
+                      const insights = comparison.uniqueInsights.find(item => item.videoId === video.videoId)?.insights || [];
+                      return (
+                        <TableCell key={video.videoId} className="align-top">
+                          {insights.length === 0 ? emptyCell : (
+                            <ul className="list-disc pl-4 space-y-1">
+                              {insights.map((insight) => <li key={insight}>{insight}</li>)}
+                            </ul>
+                          )}
+                        </TableCell>
+                      );
+                    })}
+                  </TableRow>
+
+                  {sectionRow('Watch this for')}
+                  <TableRow>
+                    <TableCell className="font-medium align-top">Recommended purpose</TableCell>
+                    {comparison.videos.map((video) => {
+                      const recommendations = comparison.recommendations.filter(item => item.videoId === video.videoId);
+                      return (
+                        <TableCell key={video.videoId} className="align-top">
+                          {recommendations.length === 0 ? emptyCell : recommendations.map((recommendation) => (
+                            <Fragment key={recommendation.purpose}>
+                              <p className="font-medium text-text-primary">{recommendation.purpose}</p>
+                              <p className="text-text-secondary mb-2">{recommendation.reason}</p>
+                            </Fragment>
+                          ))}
+                        </TableCell>
+                      );
+                    })}
+                  </TableRow>
+                </TableBody>
+              </Table>
+              <p className="text-xs text-text-muted mt-4">
+                Compared by {comparison.provider} ({comparison.model}) from each video's summary and key points.
+              </p>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Compare;
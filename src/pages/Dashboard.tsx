@@ -1,11 +1,33 @@
-import { useState, useEffect } from 'react';
-import { Youtube, Send, Loader2, MessageSquare, Clock, Eye } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { Youtube, Send, Loader2, MessageSquare, Clock, Eye, RotateCcw, XCircle, AlertTriangle, Languages } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import { useToast } from '@/hooks/use-toast';
-import { apiClient, VideoData, ChatMessage } from '@/lib/api';
+import { apiClient, VideoData, ChatMessage, AnalysisStageName, SummaryVersionList, OutputLanguage, LanguageMismatch } from '@/lib/api';
+import VideoPlayer from '@/components/VideoPlayer';
+import TimestampChip from '@/components/TimestampChip';
+import SummaryPanel from '@/components/SummaryPanel';
+import ChapterOutline from '@/components/ChapterOutline';
+import QuizPanel from '@/components/QuizPanel';
+import VideoExportMenu from '@/components/VideoExportMenu';
+import TranscriptUpload from '@/components/TranscriptUpload';
+import LanguageSelect from '@/components/LanguageSelect';
+import { formatTimestamp } from '@/lib/utils';
+import { isYouTubeVideoUrl, parseYouTubeUrl } from '@shared/youtubeUrl';
+import { DEFAULT_OUTPUT_LANGUAGE, getLanguageName } from '@shared/languages';
+
+const STAGE_LABELS: Record<AnalysisStageName, string> = {
+  metadata: 'Fetching video details',
+  transcript: 'Fetching transcript',
+  summary: 'Generating summary',
+  keyPoints: 'Extracting key points',
+  tags: 'Generating tags',
+  chapters: 'Building chapters',
+};
 
 const Dashboard = () => {
   const [videoUrl, setVideoUrl] = useState('');
@@ -16,10 +38,72 @@ const Dashboard = () => {
   const [chatInput, setChatInput] = useState('');
   const [chatSessionId, setChatSessionId] = useState<string | null>(null);
   const [processingVideoId, setProcessingVideoId] = useState<string | null>(null);
+  const [isResponding, setIsResponding] = useState(false);
+  const [analysisStage, setAnalysisStage] = useState<AnalysisStageName | null>(null);
+  const [analysisProgress, setAnalysisProgress] = useState(0);
+  // "auto" lets the server pick the caption track
+  const [transcriptLanguage, setTranscriptLanguage] = useState('auto');
+  const [outputLanguage, setOutputLanguage] = useState<OutputLanguage>(DEFAULT_OUTPUT_LANGUAGE);
+  const [chatLanguage, setChatLanguage] = useState<OutputLanguage>(DEFAULT_OUTPUT_LANGUAGE);
+  // Set when the video was already summarized in another language than the one picked
+  const [languageMismatch, setLanguageMismatch] = useState<LanguageMismatch | null>(null);
+  const [isSwitchingLanguage, setIsSwitchingLanguage] = useState(false);
+  const [partialVideo, setPartialVideo] = useState<Partial<VideoData> | null>(null);
+  const [analysisError, setAnalysisError] = useState<string | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const stopWatchingRef = useRef<(() => void) | null>(null);
+  const [playerStart, setPlayerStart] = useState(0);
+  const [playerAutoplay, setPlayerAutoplay] = useState(false);
+  const playerRef = useRef<HTMLDivElement>(null);
   const { toast } = useToast();
 
-  const handleAnalyze = async () => {
-    if (!videoUrl.trim()) return;
+  const handleSeek = (seconds: number) => {
+    setPlayerStart(seconds);
+    setPlayerAutoplay(true);
+    playerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const handleSummaryVersionsChange = ({ summary, versions, defaultSummaryVersion }: SummaryVersionList) => {
+    setCurrentVideo(prev => prev && {
+      ...prev,
+      summary,
+      summaryVersions: versions,
+      defaultSummaryVersion,
+    });
+  };
+
+  // Show the summary in the language picked for the analysis: switch to a
+  // version already in that language, or generate one
+  const handleSummaryLanguage = async () => {
+    if (!currentVideo || !languageMismatch) return;
+
+    try {
+      setIsSwitchingLanguage(true);
+      const response = languageMismatch.versionId
+        ? await apiClient.setDefaultSummaryVersion(currentVideo.videoId, languageMismatch.versionId)
+        : await apiClient.regenerateSummary(currentVideo.videoId, {
+          style: 'standard',
+          language: languageMismatch.requested,
+          setDefault: true,
+        });
+      if (response.success && response.data) {
+        handleSummaryVersionsChange(response.data);
+        setLanguageMismatch(null);
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to change the summary language",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSwitchingLanguage(false);
+    }
+  };
+
+  // `url` is passed by the ?video= deep link, before videoUrl has been updated
+  const handleAnalyze = async (url: string = videoUrl) => {
+    if (!url.trim()) return;
     
     try {
       setIsAnalyzing(true);
@@ -27,18 +111,32 @@ const Dashboard = () => {
       setShowChatbot(false);
       setChatMessages([]);
       setChatSessionId(null);
+      // Keep the start time of links like youtu.be/...?t=90
+      setPlayerStart(parseYouTubeUrl(url)?.start || 0);
+      setPlayerAutoplay(false);
+      setAnalysisStage(null);
+      setAnalysisProgress(0);
+      setPartialVideo(null);
+      setAnalysisError(null);
+      setIsCancelling(false);
+      setLanguageMismatch(null);
+      stopWatchingRef.current?.();
 
       toast({
         title: "Processing video",
         description: "Analyzing the video content...",
       });
 
-      const response = await apiClient.analyzeVideo(videoUrl);
+      const response = await apiClient.analyzeVideo(url, {
+        transcriptLanguage: transcriptLanguage === 'auto' ? undefined : transcriptLanguage,
+        outputLanguage,
+      });
       
       if (response.success && response.data) {
+        setLanguageMismatch(response.data.languageMismatch || null);
         setProcessingVideoId(response.data.videoId);
-        // Start polling for status updates
-        pollVideoStatus(response.data.videoId);
+        // Follow progress as the server pushes it
+        watchVideoAnalysis(response.data.videoId);
       } else {
         throw new Error(response.error || 'Failed to start video processing');
       }
@@ -53,50 +151,112 @@ const Dashboard = () => {
     }
   };
 
-  const pollVideoStatus = async (videoId: string) => {
+  const watchVideoAnalysis = (videoId: string) => {
+    stopWatchingRef.current = apiClient.watchAnalysis(videoId, {
+      onStatus: ({ stage, progress }) => {
+        setAnalysisStage(stage);
+        setAnalysisProgress(progress);
+      },
+      onStage: ({ data, progress }) => {
+        // Show each section as soon as its stage has finished
+        setPartialVideo(prev => ({ ...prev, ...data }));
+        setAnalysisProgress(progress);
+      },
+      onDone: (video) => {
+        stopWatchingRef.current = null;
+        setCurrentVideo(video);
+        setPartialVideo(null);
+        setShowChatbot(true);
+        setIsAnalyzing(false);
+
+        toast({
+          title: "Success",
+          description: "Video analysis completed!",
+        });
+      },
+      onFailed: (error) => {
+        stopWatchingRef.current = null;
+        setIsAnalyzing(false);
+        setAnalysisError(error || "Video processing failed");
+        toast({
+          title: "Error",
+          description: error || "Video processing failed",
+          variant: "destructive",
+        });
+      },
+      onCancelled: () => {
+        stopWatchingRef.current = null;
+        setIsAnalyzing(false);
+        setIsCancelling(false);
+        setAnalysisError("Analysis was cancelled");
+      },
+      onConnectionError: () => {
+        stopWatchingRef.current = null;
+        setIsAnalyzing(false);
+        toast({
+          title: "Error",
+          description: "Failed to follow processing status",
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const handleCancelAnalysis = async () => {
+    if (!processingVideoId) return;
+
     try {
-      const statusResponse = await apiClient.getVideoStatus(videoId);
-      
-      if (statusResponse.success && statusResponse.data) {
-        const { status, progress } = statusResponse.data;
-        
-        if (status === 'completed') {
-          // Video processing completed, get the full video data
-          const videoResponse = await apiClient.getVideo(videoId);
-          
-          if (videoResponse.success && videoResponse.data) {
-            setCurrentVideo(videoResponse.data);
-            setShowChatbot(true);
-            setIsAnalyzing(false);
-            
-            toast({
-              title: "Success",
-              description: "Video analysis completed!",
-            });
-          }
-        } else if (status === 'failed') {
-          setIsAnalyzing(false);
-          toast({
-            title: "Error",
-            description: statusResponse.data.error || "Video processing failed",
-            variant: "destructive",
-          });
-        } else {
-          // Still processing, continue polling
-          setTimeout(() => pollVideoStatus(videoId), 2000);
-        }
-      }
+      setIsCancelling(true);
+      await apiClient.cancelAnalysis(processingVideoId);
+      // The event stream reports when the job has actually stopped
     } catch (error) {
-      console.error('Status polling error:', error);
-      setIsAnalyzing(false);
+      setIsCancelling(false);
       toast({
         title: "Error",
-        description: "Failed to check processing status",
+        description: error instanceof Error ? error.message : "Failed to cancel analysis",
         variant: "destructive",
       });
     }
   };
 
+  const handleRetryAnalysis = async () => {
+    if (!processingVideoId) return;
+
+    try {
+      setIsAnalyzing(true);
+      setAnalysisError(null);
+      await apiClient.retryAnalysis(processingVideoId);
+      watchVideoAnalysis(processingVideoId);
+    } catch (error) {
+      setIsAnalyzing(false);
+      setAnalysisError(error instanceof Error ? error.message : "Failed to retry analysis");
+    }
+  };
+
+  // An uploaded transcript re-runs every stage after it; follow that like a new analysis
+  const handleTranscriptUploaded = () => {
+    if (!currentVideo) return;
+
+    const { videoId, title, thumbnailUrl, channelName, duration, viewCount } = currentVideo;
+    stopWatchingRef.current?.();
+    setPartialVideo({ videoId, title, thumbnailUrl, channelName, duration, viewCount });
+    setCurrentVideo(null);
+    setShowChatbot(false);
+    setChatMessages([]);
+    setChatSessionId(null);
+    setAnalysisStage(null);
+    setAnalysisProgress(0);
+    setAnalysisError(null);
+    setIsAnalyzing(true);
+    setProcessingVideoId(videoId);
+    watchVideoAnalysis(videoId);
+  };
+
+  // Stop following analysis progress when leaving the page
+  useEffect(() => {
+    return () => stopWatchingRef.current?.();
+  }, []);
+
   const initializeChatSession = async () => {
     if (!currentVideo || chatSessionId) return;
 
@@ -117,41 +277,60 @@ const Dashboard = () => {
   };
 
   const handleSendMessage = async () => {
-    if (!chatInput.trim() || !chatSessionId) return;
+    if (!chatInput.trim() || !chatSessionId || isResponding) return;
     
+    const question = chatInput;
     const userMessage: ChatMessage = {
       _id: Date.now().toString(),
-      content: chatInput,
+      content: question,
       role: 'user',
       timestamp: new Date().toISOString()
     };
+    const streamingId = `streaming-${Date.now()}`;
     
-    setChatMessages(prev => [...prev, userMessage]);
+    setChatMessages(prev => [...prev, userMessage, {
+      _id: streamingId,
+      content: '',
+      role: 'assistant',
+      timestamp: new Date().toISOString()
+    }]);
     setChatInput('');
+    setIsResponding(true);
     
     try {
-      const response = await apiClient.sendChatMessage(chatSessionId, chatInput);
-      
-      if (response.success && response.data) {
-        const assistantMessage: ChatMessage = {
-          _id: response.data.messageId,
-          content: response.data.message,
-          role: 'assistant',
-          timestamp: new Date().toISOString()
-        };
-        
-        setChatMessages(prev => [...prev, assistantMessage]);
-      }
+      const result = await apiClient.streamChatMessage(chatSessionId, question, {
+        language: chatLanguage,
+        onToken: (text) => {
+          setChatMessages(prev => prev.map(msg =>
+            msg._id === streamingId ? { ...msg, content: msg.content + text } : msg
+          ));
+        },
+      });
+
+      setChatMessages(prev => prev.map(msg =>
+        msg._id === streamingId
+          ? { ...msg, _id: result.messageId, content: result.message, citations: result.citations }
+          : msg
+      ));
     } catch (error) {
       console.error('Chat message error:', error);
+      // Drop the placeholder if nothing was streamed before the failure
+      setChatMessages(prev => prev.filter(msg => msg._id !== streamingId || msg.content));
       toast({
         title: "Error",
         description: "Failed to send message",
         variant: "destructive",
       });
+    } finally {
+      setIsResponding(false);
     }
   };
 
+  // Answer in the language of the video's summary until the user picks another
+  useEffect(() => {
+    setChatLanguage(currentVideo?.outputLanguage || DEFAULT_OUTPUT_LANGUAGE);
+  }, [currentVideo?.videoId, currentVideo?.outputLanguage]);
+
   // Initialize chat session when video is ready
   useEffect(() => {
     if (currentVideo && showChatbot && !chatSessionId) {
@@ -170,14 +349,16 @@ const Dashboard = () => {
       if (isValidYouTubeUrl(videoParam)) {
         setTimeout(() => {
           // Use a slight delay to ensure state is updated
-          handleAnalyze();
+          handleAnalyze(videoParam);
         }, 100);
       }
     }
   }, []);
 
+  const displayedVideo: Partial<VideoData> | null = currentVideo ?? partialVideo;
+
   const isValidYouTubeUrl = (url: string) => {
-    return url.includes('youtube.com/watch') || url.includes('youtu.be/');
+    return isYouTubeVideoUrl(url);
   };
 
   return (
@@ -217,7 +398,7 @@ const Dashboard = () => {
                 disabled={isAnalyzing}
               />
               <Button
-                onClick={handleAnalyze}
+                onClick={() => handleAnalyze()}
                 disabled={!videoUrl.trim() || !isValidYouTubeUrl(videoUrl) || isAnalyzing}
                 className="sm:w-auto w-full"
               >
@@ -229,6 +410,23 @@ const Dashboard = () => {
                 {isAnalyzing ? 'Analyzing...' : 'Analyze Video'}
               </Button>
             </div>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <LanguageSelect
+                value={transcriptLanguage}
+                onChange={setTranscriptLanguage}
+                autoLabel="Auto-detect"
+                prefix="Captions:"
+                className="sm:w-60"
+                disabled={isAnalyzing}
+              />
+              <LanguageSelect
+                value={outputLanguage}
+                onChange={(value) => setOutputLanguage(value as OutputLanguage)}
+                prefix="Summary in"
+                className="sm:w-60"
+                disabled={isAnalyzing}
+              />
+            </div>
             {videoUrl && !isValidYouTubeUrl(videoUrl) && (
               <p className="text-sm text-error">Please enter a valid YouTube URL</p>
             )}
@@ -242,62 +440,174 @@ const Dashboard = () => {
               <div className="text-center">
                 <Loader2 className="w-8 h-8 animate-spin mx-auto mb-4 text-brand-accent" />
                 <h3 className="text-lg font-heading text-brand-primary mb-2">Analyzing Video</h3>
-                <p className="text-text-secondary">AI is processing the video content and generating a summary...</p>
+                <p className="text-text-secondary">
+                  {analysisStage ? `${STAGE_LABELS[analysisStage]}...` : 'Waiting for an analysis worker...'}
+                </p>
+                <div className="max-w-sm mx-auto mt-4 space-y-1">
+                  <Progress value={analysisProgress} className="h-2" />
+                  <p className="text-xs text-text-secondary">{analysisProgress}% complete</p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="mt-4"
+                  onClick={handleCancelAnalysis}
+                  disabled={isCancelling || !processingVideoId}
+                >
+                  {isCancelling ? (
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  ) : (
+                    <XCircle className="w-4 h-4 mr-2" />
+                  )}
+                  {isCancelling ? 'Cancelling...' : 'Cancel'}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Failed or Cancelled State */}
+        {analysisError && !isAnalyzing && (
+          <Card className="mb-8 shadow-medium">
+            <CardContent className="py-8">
+              <div className="text-center">
+                <p className="text-error mb-2">{analysisError}</p>
+                <p className="text-sm text-text-secondary mb-4">
+                  Retrying resumes from the step that did not finish.
+                </p>
+                <Button onClick={handleRetryAnalysis} disabled={!processingVideoId}>
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Retry Analysis
+                </Button>
               </div>
             </CardContent>
           </Card>
         )}
 
         {/* Video Results */}
-        {currentVideo && (
+        {displayedVideo?.videoId && (
           <Card className="mb-8 shadow-medium">
             <CardHeader>
               <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-3">
                   <img 
-                    src={currentVideo.thumbnailUrl} 
-                    alt={currentVideo.title}
+                    src={displayedVideo.thumbnailUrl} 
+                    alt={displayedVideo.title}
                     className="w-16 h-12 object-cover rounded"
                   />
                   <div>
-                    <CardTitle className="text-brand-primary text-lg">{currentVideo.title}</CardTitle>
-                    <p className="text-sm text-text-secondary">{currentVideo.channelName}</p>
+                    <CardTitle className="text-brand-primary text-lg">{displayedVideo.title}</CardTitle>
+                    <p className="text-sm text-text-secondary">{displayedVideo.channelName}</p>
                   </div>
                 </div>
                 <div className="flex items-center space-x-2">
-                  <Badge variant="secondary" className="bg-success/10 text-success">
-                    Complete
-                  </Badge>
+                  {displayedVideo.transcriptQuality === 'metadata-only' && (
+                    <Badge
+                      variant="outline"
+                      className="border-warning/50 bg-warning/10 text-warning"
+                      title="This video has no captions, so it was analyzed from its title and description only"
+                    >
+                      <AlertTriangle className="w-3 h-3 mr-1" />
+                      No transcript
+                    </Badge>
+                  )}
+                  {currentVideo ? (
+                    <>
+                      {currentVideo.processingStatus === 'completed' && (
+                        <VideoExportMenu videoId={currentVideo.videoId} />
+                      )}
+                      <Badge variant="secondary" className="bg-success/10 text-success">
+                        Complete
+                      </Badge>
+                    </>
+                  ) : (
+                    <Badge variant="secondary">
+                      {isAnalyzing ? 'Analyzing' : 'Incomplete'}
+                    </Badge>
+                  )}
                 </div>
               </div>
               <div className="flex items-center space-x-4 mt-2 text-sm text-text-muted">
                 <div className="flex items-center space-x-1">
                   <Clock className="w-4 h-4" />
-                  <span>{Math.floor(currentVideo.duration / 60)}:{(currentVideo.duration % 60).toString().padStart(2, '0')}</span>
+                  <span>{formatTimestamp(displayedVideo.duration ?? 0)}</span>
                 </div>
                 <div className="flex items-center space-x-1">
                   <Eye className="w-4 h-4" />
-                  <span>{currentVideo.viewCount.toLocaleString()} views</span>
+                  <span>{(displayedVideo.viewCount ?? 0).toLocaleString()} views</span>
                 </div>
+                {displayedVideo.language && displayedVideo.transcriptQuality === 'full' && (
+                  <div className="flex items-center space-x-1">
+                    <Languages className="w-4 h-4" />
+                    <span>
+                      {getLanguageName(displayedVideo.language)} transcript
+                      {displayedVideo.transcriptSource === 'auto-captions' ? ' (auto-generated)' : ''}
+                    </span>
+                  </div>
+                )}
               </div>
             </CardHeader>
             <CardContent>
               <div className="mb-6">
-                <h3 className="font-semibold mb-3 text-brand-primary">AI Summary</h3>
-                <div className="prose prose-slate max-w-none">
-                  {currentVideo.summary.split('\n\n').map((paragraph, index) => (
-                    <p key={index} className="text-text-primary mb-4 last:mb-0">
-                      {paragraph}
+                <VideoPlayer
+                  ref={playerRef}
+                  videoId={displayedVideo.videoId}
+                  title={displayedVideo.title || ''}
+                  start={playerStart}
+                  autoplay={playerAutoplay}
+                />
+              </div>
+
+              {currentVideo?.processingStatus === 'completed' && languageMismatch && (
+                <Alert className="mb-6">
+                  <Languages className="h-4 w-4" />
+                  <AlertTitle>Summarized in {getLanguageName(languageMismatch.current)}</AlertTitle>
+                  <AlertDescription>
+                    <p className="mb-3">
+                      This video's analysis was started before, so it did not use the language you picked ({getLanguageName(languageMismatch.requested)}).
                     </p>
-                  ))}
+                    <Button variant="outline" size="sm" onClick={handleSummaryLanguage} disabled={isSwitchingLanguage}>
+                      {isSwitchingLanguage && <Loader2 className="w-3 h-3 mr-2 animate-spin" />}
+                      {languageMismatch.versionId
+                        ? `Show the ${getLanguageName(languageMismatch.requested)} summary`
+                        : `Summarize in ${getLanguageName(languageMismatch.requested)}`}
+                    </Button>
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              {currentVideo?.processingStatus === 'completed' && !currentVideo.transcriptSegments?.length && (
+                <TranscriptUpload videoId={currentVideo.videoId} onUploaded={handleTranscriptUploaded} />
+              )}
+
+              {displayedVideo.chapters && displayedVideo.chapters.length > 0 ? (
+                <div className="grid gap-6 md:grid-cols-3 mb-6">
+                  <div className="md:col-span-2">
+                    <SummaryPanel
+                      video={displayedVideo}
+                      isAnalyzing={isAnalyzing}
+                      onVersionsChange={handleSummaryVersionsChange}
+                    />
+                  </div>
+                  <ChapterOutline
+                    chapters={displayedVideo.chapters}
+                    source={displayedVideo.chaptersSource}
+                    onSeek={handleSeek}
+                  />
                 </div>
-              </div>
+              ) : (
+                <SummaryPanel
+                  video={displayedVideo}
+                  isAnalyzing={isAnalyzing}
+                  onVersionsChange={handleSummaryVersionsChange}
+                />
+              )}
               
-              {currentVideo.keyPoints && currentVideo.keyPoints.length > 0 && (
+              {displayedVideo.keyPoints && displayedVideo.keyPoints.length > 0 && (
                 <div className="mb-6">
                   <h3 className="font-semibold mb-3 text-brand-primary">Key Points</h3>
                   <ul className="space-y-2">
-                    {currentVideo.keyPoints.map((point, index) => (
+                    {displayedVideo.keyPoints.map((point, index) => (
                       <li key={index} className="flex items-start space-x-2">
                         <span className="text-brand-accent mt-1">•</span>
                         <span className="text-text-primary">{point}</span>
@@ -307,11 +617,11 @@ const Dashboard = () => {
                 </div>
               )}
 
-              {currentVideo.tags && currentVideo.tags.length > 0 && (
+              {displayedVideo.tags && displayedVideo.tags.length > 0 && (
                 <div>
                   <h3 className="font-semibold mb-3 text-brand-primary">Tags</h3>
                   <div className="flex flex-wrap gap-2">
-                    {currentVideo.tags.map((tag, index) => (
+                    {displayedVideo.tags.map((tag, index) => (
                       <Badge key={index} variant="outline" className="text-xs">
                         {tag}
                       </Badge>
@@ -323,14 +633,27 @@ const Dashboard = () => {
           </Card>
         )}
 
+        {/* Quiz Section */}
+        {currentVideo?.processingStatus === 'completed' && (
+          <QuizPanel videoId={currentVideo.videoId} onSeek={handleSeek} />
+        )}
+
         {/* Chatbot Section */}
         {showChatbot && (
           <Card className="shadow-large">
             <CardHeader>
-              <CardTitle className="flex items-center space-x-2 text-brand-primary">
-                <MessageSquare className="w-5 h-5" />
-                <span>Ask Questions About This Video</span>
-              </CardTitle>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <CardTitle className="flex items-center space-x-2 text-brand-primary">
+                  <MessageSquare className="w-5 h-5" />
+                  <span>Ask Questions About This Video</span>
+                </CardTitle>
+                <LanguageSelect
+                  value={chatLanguage}
+                  onChange={(value) => setChatLanguage(value as OutputLanguage)}
+                  prefix="Answers in"
+                  className="w-56 h-8 text-xs"
+                />
+              </div>
             </CardHeader>
             <CardContent>
               {/* Chat Messages */}
@@ -352,7 +675,23 @@ const Dashboard = () => {
                             : 'bg-surface-secondary text-text-primary'
                         }`}
                       >
-                        {message.content}
+                        {message.content ? (
+                          <div className="whitespace-pre-wrap">{message.content}</div>
+                        ) : (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        )}
+                        {message.citations && message.citations.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {message.citations.map((citation) => (
+                              <TimestampChip
+                                key={citation.start}
+                                start={citation.start}
+                                quote={citation.text}
+                                onSeek={handleSeek}
+                              />
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))
@@ -368,7 +707,7 @@ const Dashboard = () => {
                   onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
                   className="flex-1"
                 />
-                <Button onClick={handleSendMessage} disabled={!chatInput.trim()}>
+                <Button onClick={handleSendMessage} disabled={!chatInput.trim() || isResponding}>
                   <Send className="w-4 h-4" />
                 </Button>
               </div>
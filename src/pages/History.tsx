@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react';
-import { Clock, MessageSquare, Youtube, Search, Trash2, ExternalLink, Star, BookmarkIcon, Eye } from 'lucide-react';
+import { Clock, MessageSquare, Youtube, Search, Trash2, ExternalLink, Star, BookmarkIcon, Eye, Layers, Loader2 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/hooks/use-toast';
-import { apiClient } from '@/lib/api';
+import { apiClient, SearchHighlight } from '@/lib/api';
+import DeckExportMenu from '@/components/DeckExportMenu';
+import VideoExportMenu from '@/components/VideoExportMenu';
+import LibraryBackup from '@/components/LibraryBackup';
+import HighlightedText from '@/components/HighlightedText';
 
 interface HistoryItem {
   _id: string;
@@ -26,8 +30,21 @@ interface HistoryItem {
   rating?: number;
   notes?: string;
   createdAt: string;
+  // Present when the list is a search: why the item matched
+  searchMatch?: {
+    titleHighlights: SearchHighlight[];
+    field: 'summary' | 'keyPoints' | 'notes' | null;
+    snippet: string;
+    highlights: SearchHighlight[];
+  };
 }
 
+const SNIPPET_FIELD_LABELS = {
+  summary: 'Summary',
+  keyPoints: 'Key points',
+  notes: 'Your notes',
+};
+
 interface HistoryStats {
   totalVideos: number;
   totalBookmarks: number;
@@ -46,6 +63,7 @@ const History = () => {
   const [filterBy, setFilterBy] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [flashcardVideoId, setFlashcardVideoId] = useState<string | null>(null);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -53,6 +71,16 @@ const History = () => {
     loadStats();
   }, [searchQuery, sortBy, filterBy, currentPage]);
 
+  const isSearching = searchQuery.trim().length > 0;
+
+  // Rank search results by relevance unless another order is picked
+  const handleSearchChange = (value: string) => {
+    const searching = value.trim().length > 0;
+    if (searching && sortBy === 'recent') setSortBy('relevance');
+    if (!searching && sortBy === 'relevance') setSortBy('recent');
+    setSearchQuery(value);
+  };
+
   const loadHistory = async () => {
     try {
       setLoading(true);
@@ -181,6 +209,34 @@ const History = () => {
     }
   };
 
+  const handleCreateFlashcards = async (videoId: string) => {
+    try {
+      setFlashcardVideoId(videoId);
+
+      const existing = await apiClient.getVideoFlashcards(videoId);
+      const hasCards = !!existing.data && existing.data.length > 0;
+      if (hasCards && !confirm('This video already has flashcards. Replace them with a new deck? Review progress on the old cards will be lost.')) {
+        return;
+      }
+
+      const response = await apiClient.generateFlashcards(videoId, { replace: hasCards });
+      if (response.success && response.data) {
+        toast({
+          title: "Flashcards created",
+          description: `${response.data.length} cards added to your review queue`,
+        });
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to create flashcards",
+        variant: "destructive",
+      });
+    } finally {
+      setFlashcardVideoId(null);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -208,13 +264,24 @@ const History = () => {
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Header */}
         <div className="mb-8">
-          <div className="flex items-center space-x-3 mb-4">
-            <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
-              <Clock className="w-5 h-5 text-white" />
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <div className="flex items-center space-x-3">
+              <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
+                <Clock className="w-5 h-5 text-white" />
+              </div>
+              <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
+                History
+              </h1>
+            </div>
+            <div className="flex flex-wrap items-center justify-end gap-2">
+              <DeckExportMenu label="Export bookmarks" />
+              <LibraryBackup
+                onImported={() => {
+                  loadHistory();
+                  loadStats();
+                }}
+              />
             </div>
-            <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
-              History
-            </h1>
           </div>
           <p className="text-lg text-text-secondary">
             Access all your past video summaries and chat conversations.
@@ -229,9 +296,9 @@ const History = () => {
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-text-muted" />
                 <Input
                   type="text"
-                  placeholder="Search your history..."
+                  placeholder='Search your history... ("exact phrase", -exclude)'
                   value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                   className="pl-10"
                 />
               </div>
@@ -240,6 +307,7 @@ const History = () => {
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
+                  {isSearching && <SelectItem value="relevance">Best Match</SelectItem>}
                   <SelectItem value="recent">Most Recent</SelectItem>
                   <SelectItem value="created">Date Created</SelectItem>
                   <SelectItem value="title">Title A-Z</SelectItem>
@@ -342,7 +410,9 @@ const History = () => {
                       />
                       <div className="flex-1 min-w-0">
                         <CardTitle className="text-xl text-brand-primary mb-2 line-clamp-2">
-                          {item.videoTitle}
+                          {item.searchMatch ? (
+                            <HighlightedText as="span" text={item.videoTitle} highlights={item.searchMatch.titleHighlights} />
+                          ) : item.videoTitle}
                         </CardTitle>
                         <p className="text-sm text-text-secondary mb-2">{item.channelName}</p>
                         <div className="flex items-center space-x-4 text-sm text-text-muted">
@@ -374,9 +444,20 @@ const History = () => {
                   </div>
                 </CardHeader>
                 <CardContent>
-                  <p className="text-text-secondary mb-4 line-clamp-2">
-                    {item.summary}
-                  </p>
+                  {item.searchMatch?.field && item.searchMatch.highlights.length > 0 ? (
+                    <div className="mb-4">
+                      <span className="text-xs text-text-muted">{SNIPPET_FIELD_LABELS[item.searchMatch.field]}</span>
+                      <HighlightedText
+                        text={item.searchMatch.snippet}
+                        highlights={item.searchMatch.highlights}
+                        className="text-text-secondary"
+                      />
+                    </div>
+                  ) : (
+                    <p className="text-text-secondary mb-4 line-clamp-2">
+                      {item.summary}
+                    </p>
+                  )}
                   
                   {item.tags && item.tags.length > 0 && (
                     <div className="flex flex-wrap gap-2 mb-4">
@@ -394,7 +475,7 @@ const History = () => {
                   )}
 
                   <div className="flex items-center justify-between">
-                    <div className="flex items-center space-x-3">
+                    <div className="flex flex-wrap items-center gap-3">
                       <Button
                         variant="outline"
                         size="sm"
@@ -404,6 +485,20 @@ const History = () => {
                         <MessageSquare className="w-3 h-3" />
                         <span>Continue Chat</span>
                       </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleCreateFlashcards(item.videoId)}
+                        disabled={flashcardVideoId === item.videoId}
+                        className="flex items-center space-x-2"
+                      >
+                        {flashcardVideoId === item.videoId
+                          ? <Loader2 className="w-3 h-3 animate-spin" />
+                          : <Layers className="w-3 h-3" />}
+                        <span>Flashcards</span>
+                      </Button>
+                      <VideoExportMenu videoId={item.videoId} />
+                      <DeckExportMenu videoId={item.videoId} label="Cards" />
                       <Button
                         variant="ghost"
                         size="sm"
@@ -0,0 +1,353 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MessagesSquare, Send, Loader2, PlayCircle, RotateCcw } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import LanguageSelect from '@/components/LanguageSelect';
+import VideoPicker from '@/components/VideoPicker';
+import {
+  apiClient,
+  Batch,
+  ChatMessage,
+  ChatScope,
+  ChatScopeOptions,
+  ChatScopeSelection,
+  ChatScopeVideo,
+  Citation,
+  OutputLanguage,
+} from '@/lib/api';
+import { formatTimestamp } from '@/lib/utils';
+import { buildWatchUrl } from '@shared/youtubeUrl';
+import { DEFAULT_OUTPUT_LANGUAGE } from '@shared/languages';
+
+type ScopeTab = 'videos' | 'tag' | 'channel' | 'batch';
+
+// Dashboard link that opens a cited video at the cited moment
+const citationLink = (citation: Citation) => (
+  `/?video=${encodeURIComponent(buildWatchUrl(citation.videoId || '', { start: citation.start }))}`
+);
+
+const LibraryChat = () => {
+  const [tab, setTab] = useState<ScopeTab>('videos');
+  const [options, setOptions] = useState<ChatScopeOptions | null>(null);
+  const [batches, setBatches] = useState<Batch[]>([]);
+  const [selectedVideoIds, setSelectedVideoIds] = useState<string[]>([]);
+  const [tag, setTag] = useState('');
+  const [channel, setChannel] = useState('');
+  const [batchId, setBatchId] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [scope, setScope] = useState<ChatScope | null>(null);
+  const [sessionVideos, setSessionVideos] = useState<ChatScopeVideo[]>([]);
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [input, setInput] = useState('');
+  const [language, setLanguage] = useState<OutputLanguage>(DEFAULT_OUTPUT_LANGUAGE);
+  const [isResponding, setIsResponding] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [scopes, batchList] = await Promise.all([
+          apiClient.getChatScopes(),
+          apiClient.getBatches(),
+        ]);
+        if (scopes.success && scopes.data) setOptions(scopes.data);
+        if (batchList.success && batchList.data) setBatches(batchList.data);
+      } catch (error) {
+        console.error('Failed to load chat scopes:', error);
+      }
+    };
+    loadOptions();
+  }, []);
+
+  const maxVideos = options?.maxVideos || 20;
+
+  const selection: ChatScopeSelection | null =
+    tab === 'videos' ? (selectedVideoIds.length > 0 ? { videoIds: selectedVideoIds } : null)
+    : tab === 'tag' ? (tag ? { tag } : null)
+    : tab === 'channel' ? (channel ? { channel } : null)
+    : batchId ? { batchId } : null;
+
+  const handleStart = async () => {
+    if (!selection) return;
+
+    try {
+      setIsStarting(true);
+      const response = await apiClient.startMultiVideoChat(selection);
+      if (response.success && response.data) {
+        setSessionId(response.data.sessionId);
+        setScope(response.data.scope);
+        setSessionVideos(response.data.videos);
+        setMessages([]);
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to start chat session",
+        variant: "destructive",
+      });
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleNewChat = () => {
+    setSessionId(null);
+    setScope(null);
+    setSessionVideos([]);
+    setMessages([]);
+  };
+
+  const handleSendMessage = async () => {
+    if (!input.trim() || !sessionId || isResponding) return;
+
+    const question = input;
+    const streamingId = `streaming-${Date.now()}`;
+
+    setMessages(prev => [...prev, {
+      _id: Date.now().toString(),
+      content: question,
+      role: 'user',
+      timestamp: new Date().toISOString()
+    }, {
+      _id: streamingId,
+      content: '',
+      role: 'assistant',
+      timestamp: new Date().toISOString()
+    }]);
+    setInput('');
+    setIsResponding(true);
+
+    try {
+      const result = await apiClient.streamChatMessage(sessionId, question, {
+        language,
+        onToken: (text) => {
+          setMessages(prev => prev.map(msg =>
+            msg._id === streamingId ? { ...msg, content: msg.content + text } : msg
+          ));
+        },
+      });
+
+      setMessages(prev => prev.map(msg =>
+        msg._id === streamingId
+          ? { ...msg, _id: result.messageId, content: result.message, citations: result.citations }
+          : msg
+      ));
+    } catch (error) {
+      console.error('Chat message error:', error);
+      // Drop the placeholder if nothing was streamed before the failure
+      setMessages(prev => prev.filter(msg => msg._id !== streamingId || msg.content));
+      toast({
+        title: "Error",
+        description: "Failed to send message",
+        variant: "destructive",
+      });
+    } finally {
+      setIsResponding(false);
+    }
+  };
+
+  const videoLabel = (videoId?: string | null) => {
+    const index = sessionVideos.findIndex(video => video.videoId === videoId);
+    return index === -1 ? null : { label: `V${index + 1}`, title: sessionVideos[index].title };
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
+              <MessagesSquare className="w-5 h-5 text-white" />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
+              Library Chat
+            </h1>
+          </div>
+          <p className="text-lg text-text-secondary">
+            Ask questions across several videos at once, and compare what they say.
+          </p>
+        </div>
+
+        {!sessionId ? (
+          /* Scope picker */
+          <Card className="shadow-soft">
+            <CardHeader>
+              <CardTitle className="text-brand-primary">What should the chat cover?</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <Tabs value={tab} onValueChange={(value) => setTab(value as ScopeTab)}>
+                <TabsList className="mb-4">
+                  <TabsTrigger value="videos">Videos</TabsTrigger>
+                  <TabsTrigger value="tag">Tag</TabsTrigger>
+                  <TabsTrigger value="channel">Channel</TabsTrigger>
+                  <TabsTrigger value="batch">Batch</TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="videos">
+                  <VideoPicker selectedIds={selectedVideoIds} onChange={setSelectedVideoIds} max={maxVideos} />
+                </TabsContent>
+
+                <TabsContent value="tag">
+                  <Select value={tag} onValueChange={setTag}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Pick a tag" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {options?.tags.map((option) => (
+                        <SelectItem key={option.name} value={option.name}>
+                          {option.name} ({option.count})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </TabsContent>
+
+                <TabsContent value="channel">
+                  <Select value={channel} onValueChange={setChannel}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Pick a channel" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {options?.channels.map((option) => (
+                        <SelectItem key={option.name} value={option.name}>
+                          {option.name} ({option.count})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </TabsContent>
+
+                <TabsContent value="batch">
+                  <Select value={batchId} onValueChange={setBatchId}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Pick a batch" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {batches.map((batch) => (
+                        <SelectItem key={batch._id} value={batch._id}>
+                          {batch.title} ({batch.counts.completed} analyzed)
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </TabsContent>
+              </Tabs>
+
+              <Button onClick={handleStart} disabled={!selection || isStarting} className="mt-4 w-full sm:w-auto">
+                {isStarting ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <MessagesSquare className="w-4 h-4 mr-2" />
+                )}
+                Start Chat
+              </Button>
+            </CardContent>
+          </Card>
+        ) : (
+          /* Chat */
+          <Card className="shadow-large">
+            <CardHeader>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <CardTitle className="text-brand-primary line-clamp-1">{scope?.label}</CardTitle>
+                <div className="flex items-center gap-2">
+                  <LanguageSelect
+                    value={language}
+                    onChange={(value) => setLanguage(value as OutputLanguage)}
+                    prefix="Answers in"
+                    className="w-56 h-8 text-xs"
+                  />
+                  <Button variant="outline" size="sm" onClick={handleNewChat}>
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                    New Chat
+                  </Button>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-1 pt-2">
+                {sessionVideos.map((video, index) => (
+                  <Badge key={video.videoId} variant="outline" className="text-xs font-normal max-w-full">
+                    <span className="font-medium mr-1">V{index + 1}</span>
+                    <span className="truncate">{video.title}</span>
+                  </Badge>
+                ))}
+              </div>
+            </CardHeader>
+            <CardContent>
+              {/* Chat Messages */}
+              <div className="h-96 overflow-y-auto mb-4 space-y-3 p-4 bg-surface rounded-lg">
+                {messages.length === 0 ? (
+                  <div className="text-center text-text-muted">
+                    Ask about these {sessionVideos.length} videos, e.g. "Where do they disagree?"
+                  </div>
+                ) : (
+                  messages.map((message) => (
+                    <div
+                      key={message._id}
+                      className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
+                    >
+                      <div
+                        className={`max-w-sm sm:max-w-lg px-4 py-2 rounded-lg ${
+                          message.role === 'user'
+                            ? 'bg-brand-primary text-white'
+                            : 'bg-surface-secondary text-text-primary'
+                        }`}
+                      >
+                        {message.content ? (
+                          <div className="whitespace-pre-wrap">{message.content}</div>
+                        ) : (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        )}
+                        {message.citations && message.citations.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {message.citations.map((citation) => {
+                              const video = videoLabel(citation.videoId);
+                              return (
+                                <Link
+                                  key={`${citation.videoId}-${citation.start}`}
+                                  to={citationLink(citation)}
+                                  title={video ? `${video.title}: ${citation.text}` : citation.text}
+                                  className="inline-flex items-center space-x-1 px-2 py-0.5 rounded-full border border-border text-xs font-medium text-brand-accent hover:bg-surface-hover transition-colors"
+                                >
+                                  <PlayCircle className="w-3 h-3" />
+                                  <span>{video ? `${video.label} ` : ''}[{formatTimestamp(citation.start)}]</span>
+                                </Link>
+                              );
+                            })}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+
+              {/* Chat Input */}
+              <div className="flex space-x-3">
+                <Input
+                  placeholder="Ask across the selected videos..."
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
+                  className="flex-1"
+                />
+                <Button onClick={handleSendMessage} disabled={!input.trim() || isResponding}>
+                  <Send className="w-4 h-4" />
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LibraryChat;
@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Layers, Eye, CheckCircle2, ExternalLink } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useToast } from '@/hooks/use-toast';
+import { apiClient, Flashcard, FlashcardStats } from '@/lib/api';
+import { formatTimestamp } from '@/lib/utils';
+import { buildWatchUrl } from '@shared/youtubeUrl';
+
+// SM-2 grades offered after revealing the answer
+const GRADES = [
+  { grade: 1, label: 'Again', hint: 'Forgot it' },
+  { grade: 3, label: 'Hard', hint: 'Recalled with effort' },
+  { grade: 4, label: 'Good', hint: 'Recalled' },
+  { grade: 5, label: 'Easy', hint: 'Instant recall' },
+];
+
+const Review = () => {
+  const [cards, setCards] = useState<Flashcard[]>([]);
+  const [stats, setStats] = useState<FlashcardStats | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const { toast } = useToast();
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.getReviewQueue(50);
+      if (response.success && response.data) {
+        setCards(response.data.cards);
+        setStats(response.data.stats);
+        setShowAnswer(false);
+      }
+    } catch (error) {
+      console.error('Failed to load review queue:', error);
+      toast({
+        title: "Error",
+        description: "Failed to load flashcards",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleGrade = async (grade: number) => {
+    const card = cards[0];
+    if (!card) return;
+
+    try {
+      setIsSubmitting(true);
+      const response = await apiClient.reviewFlashcard(card._id, grade);
+      if (response.success && response.data) {
+        setStats(response.data.stats);
+        setReviewedCount(count => count + 1);
+        // Forgotten cards come back at the end of this session
+        setCards(queue => grade < 3 ? [...queue.slice(1), card] : queue.slice(1));
+        setShowAnswer(false);
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to record review",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const card = cards[0];
+  const video = card && typeof card.historyId === 'object' ? card.historyId : null;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
+              <Layers className="w-5 h-5 text-white" />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
+              Review
+            </h1>
+          </div>
+          <p className="text-lg text-text-secondary">
+            Flashcards from your videos, scheduled so you review each one just before you would forget it.
+          </p>
+        </div>
+
+        {/* Stats */}
+        {stats && (
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-8">
+            {[
+              { label: 'Due', value: stats.due },
+              { label: 'New', value: stats.new },
+              { label: 'Learning', value: stats.learning },
+              { label: 'Reviewed today', value: stats.reviewedToday },
+            ].map(({ label, value }) => (
+              <Card key={label} className="shadow-soft">
+                <CardContent className="p-4 text-center">
+                  <div className="text-2xl font-bold text-brand-primary">{value}</div>
+                  <div className="text-sm text-text-muted">{label}</div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-brand-primary"></div>
+          </div>
+        ) : !card ? (
+          <Card className="shadow-soft">
+            <CardContent className="py-16 text-center">
+              <CheckCircle2 className="w-16 h-16 text-text-muted mx-auto mb-4" />
+              <h3 className="text-xl font-heading text-text-primary mb-2">
+                {reviewedCount > 0 ? 'All caught up' : 'Nothing to review'}
+              </h3>
+              <p className="text-text-muted mb-6">
+                {stats && stats.total > 0
+                  ? 'No cards are due right now. Come back later for your next review.'
+                  : 'Create flashcards for a video from your history to start reviewing.'}
+              </p>
+              <div className="flex justify-center space-x-3">
+                {reviewedCount > 0 && (
+                  <Button variant="outline" onClick={loadQueue}>
+                    Check again
+                  </Button>
+                )}
+                <Button asChild className="bg-brand-primary hover:bg-brand-secondary">
+                  <Link to="/history">Go to History</Link>
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <Card className="shadow-large">
+            <CardHeader>
+              <div className="flex items-center justify-between gap-2">
+                <CardTitle className="text-sm font-normal text-text-muted line-clamp-1">
+                  {video?.videoTitle || 'Flashcard'}
+                </CardTitle>
+                <span className="text-sm text-text-muted whitespace-nowrap">
+                  {cards.length} left
+                </span>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <p className="text-xl text-text-primary font-medium mb-6">{card.front}</p>
+
+              {showAnswer ? (
+                <>
+                  <div className="p-4 rounded-lg bg-surface mb-6">
+                    <p className="text-text-primary">{card.back}</p>
+                    <div className="flex items-center space-x-2 mt-3">
+                      <Badge variant="outline" className="text-xs">
+                        {card.source === 'keyPoint' ? 'Key point' : 'Transcript'}
+                      </Badge>
+                      {card.start !== null && (
+                        <a
+                          href={buildWatchUrl(card.videoId, { start: card.start })}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center space-x-1 text-xs text-brand-accent hover:underline"
+                        >
+                          <ExternalLink className="w-3 h-3" />
+                          <span>[{formatTimestamp(card.start)}]</span>
+                        </a>
+                      )}
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {GRADES.map(({ grade, label, hint }) => (
+                      <Button
+                        key={grade}
+                        variant={grade < 3 ? 'outline' : 'default'}
+                        onClick={() => handleGrade(grade)}
+                        disabled={isSubmitting}
+                        className="flex flex-col h-auto py-2"
+                      >
+                        <span>{label}</span>
+                        <span className="text-xs font-normal opacity-80">{hint}</span>
+                      </Button>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <Button onClick={() => setShowAnswer(true)} className="w-full">
+                  <Eye className="w-4 h-4 mr-2" />
+                  Show answer
+                </Button>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Review;
@@ -0,0 +1,295 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search as SearchIcon, Loader2, PlayCircle, ExternalLink, Sparkles, RefreshCw } from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/hooks/use-toast';
+import HighlightedText from '@/components/HighlightedText';
+import { apiClient, SearchResults, SearchStatus, SearchVideoResult } from '@/lib/api';
+import { formatTimestamp } from '@/lib/utils';
+
+// Results requested for each of videos and passages
+const RESULT_LIMIT = 10;
+// How often the status is refreshed while the library is being reindexed
+const REINDEX_REFRESH_MS = 3000;
+
+const FIELD_LABELS: Record<NonNullable<SearchVideoResult['field']>, string> = {
+  summary: 'Summary',
+  keyPoints: 'Key points',
+  notes: 'Your notes',
+  description: 'Description',
+};
+
+// Dashboard link that opens a video, at the time in its URL if any
+const dashboardLink = (url: string) => `/?video=${encodeURIComponent(url)}`;
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState<SearchResults | null>(null);
+  const [status, setStatus] = useState<SearchStatus | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const { toast } = useToast();
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await apiClient.getSearchStatus();
+      if (response.success && response.data) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load search status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const isReindexing = !!status?.reindexing;
+
+  useEffect(() => {
+    if (!isReindexing) return;
+    const timer = setInterval(loadStatus, REINDEX_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [isReindexing, loadStatus]);
+
+  // Search whenever the query in the URL changes, so results can be linked to
+  useEffect(() => {
+    setInput(query);
+    if (!query) {
+      setResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const runSearch = async () => {
+      try {
+        setIsSearching(true);
+        const response = await apiClient.search(query, { limit: RESULT_LIMIT });
+        if (!cancelled && response.success && response.data) {
+          setResults(response.data);
+        }
+      } catch (error) {
+        if (cancelled) return;
+        toast({
+          title: "Search failed",
+          description: error instanceof Error ? error.message : "Failed to search the library",
+          variant: "destructive",
+        });
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    };
+    runSearch();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, toast]);
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    const trimmed = input.trim();
+    if (trimmed) setSearchParams({ q: trimmed });
+  };
+
+  const handleReindex = async () => {
+    try {
+      const response = await apiClient.reindexSearch();
+      toast({
+        title: "Indexing library",
+        description: response.message,
+      });
+      loadStatus();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to index the library",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const hasResults = !!results && (results.videos.length > 0 || results.passages.length > 0);
+  const unindexedCount = status ? status.totalVideos - status.indexedVideos : 0;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <div className="w-10 h-10 bg-brand-accent rounded-xl flex items-center justify-center">
+              <SearchIcon className="w-5 h-5 text-white" />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-heading text-brand-primary">
+              Search
+            </h1>
+          </div>
+          <p className="text-lg text-text-secondary">
+            Find videos, and the moments inside them, across everything you have analyzed.
+          </p>
+        </div>
+
+        {/* Search box */}
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-3 mb-3">
+          <Input
+            placeholder="What are you looking for?"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            maxLength={200}
+            className="flex-1"
+          />
+          <Button type="submit" disabled={!input.trim() || isSearching} className="sm:w-auto w-full">
+            {isSearching ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <SearchIcon className="w-4 h-4 mr-2" />
+            )}
+            Search
+          </Button>
+        </form>
+
+        {/* How search works right now */}
+        {status && (
+          <div className="flex flex-wrap items-center gap-2 mb-8 text-sm text-text-muted">
+            {status.embedding ? (
+              <>
+                <Sparkles className="w-4 h-4 text-brand-accent" />
+                <span>
+                  Semantic search with {status.embedding.label} ({status.embedding.model})
+                  {' · '}{status.indexedVideos} of {status.totalVideos} videos indexed
+                </span>
+                {isReindexing ? (
+                  <span className="inline-flex items-center">
+                    <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                    Indexing {status.reindexing?.done} of {status.reindexing?.total}...
+                  </span>
+                ) : unindexedCount > 0 && (
+                  <Button variant="outline" size="sm" onClick={handleReindex}>
+                    <RefreshCw className="w-3 h-3 mr-1" />
+                    Index {unindexedCount} more
+                  </Button>
+                )}
+              </>
+            ) : (
+              <span>Keyword search. Set EMBEDDING_PROVIDER on the server to also find results by meaning.</span>
+            )}
+          </div>
+        )}
+
+        {/* Results */}
+        {isSearching && !results ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-brand-primary"></div>
+          </div>
+        ) : results && !hasResults ? (
+          <Card className="shadow-soft">
+            <CardContent className="py-16 text-center">
+              <SearchIcon className="w-16 h-16 text-text-muted mx-auto mb-4" />
+              <h3 className="text-xl font-heading text-text-primary mb-2">Nothing found</h3>
+              <p className="text-text-muted">No analyzed video matches "{results.query}".</p>
+            </CardContent>
+          </Card>
+        ) : results && (
+          <div className="space-y-8">
+            {results.videos.length > 0 && (
+              <section>
+                <h2 className="text-xl font-heading text-brand-primary mb-4">Videos</h2>
+                <div className="space-y-4">
+                  {results.videos.map((video) => (
+                    <Card key={video.videoId} className="shadow-soft">
+                      <CardContent className="p-4 flex gap-4">
+                        <Link to={dashboardLink(video.url)} className="shrink-0">
+                          <img
+                            src={video.thumbnailUrl}
+                            alt={video.title}
+                            className="w-32 aspect-video object-cover rounded-md"
+                          />
+                        </Link>
+                        <div className="min-w-0 flex-1">
+                          <Link to={dashboardLink(video.url)} className="hover:underline">
+                            <h3 className="font-heading text-text-primary line-clamp-1">{video.title}</h3>
+                          </Link>
+                          <p className="text-sm text-text-muted mb-2">{video.channelName}</p>
+                          {video.snippet && (
+                            <HighlightedText
+                              text={video.snippet}
+                              highlights={video.highlights}
+                              className="text-sm text-text-secondary"
+                            />
+                          )}
+                          <div className="flex items-center gap-2 mt-2">
+                            {video.field && (
+                              <Badge variant="outline" className="text-xs">{FIELD_LABELS[video.field]}</Badge>
+                            )}
+                            {video.matchedBy.includes('semantic') && !video.matchedBy.includes('keyword') && (
+                              <Badge variant="secondary" className="text-xs">Related</Badge>
+                            )}
+                          </div>
+                        </div>
+                      </CardContent>
+                    </Card>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {results.passages.length > 0 && (
+              <section>
+                <h2 className="text-xl font-heading text-brand-primary mb-4">Moments</h2>
+                <div className="space-y-4">
+                  {results.passages.map((passage) => (
+                    <Card key={`${passage.videoId}-${passage.chunkIndex}`} className="shadow-soft">
+                      <CardContent className="p-4">
+                        <div className="flex items-center justify-between gap-3 mb-2">
+                          <div className="flex items-center gap-2 min-w-0">
+                            {passage.start !== null && (
+                              <Link
+                                to={dashboardLink(passage.url)}
+                                className="inline-flex items-center space-x-1 px-2 py-0.5 rounded-full border border-border text-xs font-medium text-brand-accent hover:bg-surface-hover transition-colors shrink-0"
+                              >
+                                <PlayCircle className="w-3 h-3" />
+                                <span>[{formatTimestamp(passage.start)}]</span>
+                              </Link>
+                            )}
+                            <Link to={dashboardLink(passage.url)} className="text-sm font-medium text-text-primary line-clamp-1 hover:underline">
+                              {passage.title}
+                            </Link>
+                          </div>
+                          <a
+                            href={passage.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-text-muted hover:text-text-primary shrink-0"
+                            title="Open on YouTube"
+                          >
+                            <ExternalLink className="w-4 h-4" />
+                          </a>
+                        </div>
+                        <HighlightedText
+                          text={passage.snippet}
+                          highlights={passage.highlights}
+                          className="text-sm text-text-secondary"
+                        />
+                        {passage.matchedBy.includes('semantic') && !passage.matchedBy.includes('keyword') && (
+                          <Badge variant="secondary" className="text-xs mt-2">Related</Badge>
+                        )}
+                      </CardContent>
+                    </Card>
+                  ))}
+                </div>
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Search;